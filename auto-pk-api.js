@@ -9,6 +9,8 @@ module.exports = new HAPIRestAPI({
   endpoint: '/api/1.0/autopk',
   primaryKeyAuto: true,
   primaryKeyGuid: false,
+  etag: true,
+  versionColumn: 'version',
   validation: {
     id: Joi.number(),
     name: Joi.string()
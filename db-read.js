@@ -0,0 +1,7 @@
+const { Pool } = require('pg')
+const { pg } = require('./config')
+
+// Pool for read only queries.  In the tests, this is the same DB standing in for a read replica
+const pool = new Pool(pg)
+
+module.exports = pool
@@ -0,0 +1,42 @@
+const Joi = require('joi')
+const HAPIRestAPI = require('./src/rest-api')
+const pool = require('./db')
+
+module.exports = new HAPIRestAPI({
+  table: 'documents_test',
+  connection: pool,
+  primaryKey: 'document_id',
+  endpoint: '/api/1.0/documents',
+  primaryKeyAuto: true,
+  primaryKeyGuid: false,
+  softDelete: 'date_deleted',
+  readableColumns: ['document_id', 'licence_id', 'name'],
+  sortableColumns: ['document_id', 'name'],
+  filterOperators: {
+    name: ['$equals', '$in', '$like']
+  },
+  maxFilterDepth: 2,
+  maxFilterInSize: 5,
+  maxFilterPredicates: 4,
+  search: {
+    columns: ['name'],
+    headlineOptions: 'StartSel=[, StopSel=]'
+  },
+  // A document referencing a licence which doesn't exist is unprocessable
+  dbErrors: {
+    23503: { statusCode: 422 }
+  },
+  relations: {
+    licence: {
+      type: 'belongsTo',
+      table: 'licences_test',
+      foreignKey: 'licence_id',
+      references: 'licence_id'
+    }
+  },
+  validation: {
+    document_id: Joi.number(),
+    licence_id: Joi.number(),
+    name: Joi.string()
+  }
+})
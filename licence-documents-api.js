@@ -0,0 +1,23 @@
+const Joi = require('joi')
+const HAPIRestAPI = require('./src/rest-api')
+const pool = require('./db')
+
+module.exports = new HAPIRestAPI({
+  table: 'licence_documents_test',
+  connection: pool,
+  primaryKey: ['licence_id', 'document_id'],
+  endpoint: '/api/1.0/licence-documents',
+  createOnReplace: true,
+  maxPerPage: 50,
+  perPageOverflow: 'reject',
+  queryTimeout: 5000,
+  maxQueryTimeout: 10000,
+  upsert: {
+    set: ['role']
+  },
+  validation: {
+    licence_id: Joi.number().integer(),
+    document_id: Joi.number().integer(),
+    role: Joi.string()
+  }
+})
@@ -0,0 +1,26 @@
+const Joi = require('joi')
+const HAPIRestAPI = require('./src/rest-api')
+const pool = require('./db')
+
+module.exports = new HAPIRestAPI({
+  table: 'licences_test',
+  connection: pool,
+  primaryKey: 'licence_id',
+  endpoint: '/api/1.0/licences',
+  primaryKeyAuto: true,
+  primaryKeyGuid: false,
+  relations: {
+    documents: {
+      type: 'hasMany',
+      api: 'documents',
+      foreignKey: 'licence_id',
+      writable: true,
+      columns: ['document_id', 'name'],
+      sort: { document_id: 1 }
+    }
+  },
+  validation: {
+    licence_id: Joi.number(),
+    licence_ref: Joi.string()
+  }
+})
@@ -0,0 +1 @@
+ALTER TABLE autopk_test DROP COLUMN version;
@@ -0,0 +1 @@
+ALTER TABLE autopk_test ADD COLUMN version integer NOT NULL DEFAULT 1;
@@ -0,0 +1 @@
+DROP TABLE softdelete_test;
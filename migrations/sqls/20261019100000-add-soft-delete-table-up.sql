@@ -0,0 +1,7 @@
+CREATE TABLE softdelete_test
+(
+    id BIGSERIAL NOT NULL,
+    name character varying COLLATE pg_catalog."default",
+    date_deleted timestamp with time zone,
+    CONSTRAINT softdelete_test_pkey PRIMARY KEY (id)
+)
@@ -0,0 +1,2 @@
+DROP TABLE documents_test;
+DROP TABLE licences_test;
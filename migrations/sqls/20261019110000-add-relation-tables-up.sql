@@ -0,0 +1,15 @@
+CREATE TABLE licences_test
+(
+    licence_id BIGSERIAL NOT NULL,
+    licence_ref character varying COLLATE pg_catalog."default",
+    CONSTRAINT licences_test_pkey PRIMARY KEY (licence_id)
+);
+
+CREATE TABLE documents_test
+(
+    document_id BIGSERIAL NOT NULL,
+    licence_id bigint REFERENCES licences_test (licence_id),
+    name character varying COLLATE pg_catalog."default",
+    date_deleted timestamp with time zone,
+    CONSTRAINT documents_test_pkey PRIMARY KEY (document_id)
+);
@@ -0,0 +1,2 @@
+DROP TABLE hapi_pg_rest_test."MixedCase";
+DROP SCHEMA hapi_pg_rest_test;
@@ -0,0 +1,8 @@
+CREATE SCHEMA hapi_pg_rest_test;
+
+CREATE TABLE hapi_pg_rest_test."MixedCase"
+(
+    "Id" BIGSERIAL NOT NULL,
+    "Name" character varying COLLATE pg_catalog."default",
+    CONSTRAINT "MixedCase_pkey" PRIMARY KEY ("Id")
+);
@@ -0,0 +1 @@
+DROP TABLE licence_documents_test;
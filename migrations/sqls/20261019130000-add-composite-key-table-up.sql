@@ -0,0 +1,7 @@
+CREATE TABLE licence_documents_test
+(
+    licence_id bigint NOT NULL,
+    document_id bigint NOT NULL,
+    role character varying COLLATE pg_catalog."default",
+    CONSTRAINT licence_documents_test_pkey PRIMARY KEY (licence_id, document_id)
+);
@@ -0,0 +1,10 @@
+CREATE TABLE idempotency_keys
+(
+    api character varying COLLATE pg_catalog."default" NOT NULL,
+    idempotency_key character varying(255) COLLATE pg_catalog."default" NOT NULL,
+    fingerprint character varying(64) COLLATE pg_catalog."default" NOT NULL,
+    status_code integer,
+    response jsonb,
+    date_created timestamp with time zone NOT NULL DEFAULT now(),
+    CONSTRAINT idempotency_keys_pkey PRIMARY KEY (api, idempotency_key)
+);
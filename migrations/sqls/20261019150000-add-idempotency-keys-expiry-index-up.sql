@@ -0,0 +1 @@
+CREATE INDEX idempotency_keys_expiry_idx ON idempotency_keys (api, date_created);
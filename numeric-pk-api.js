@@ -9,6 +9,9 @@ module.exports = new HAPIRestAPI({
   endpoint: '/api/1.0/numericpk',
   primaryKeyAuto: false,
   primaryKeyGuid: false,
+  etag: true,
+  createOnReplace: true,
+  maxExportRows: 10000,
   validation: {
     id: Joi.number(),
     name: Joi.string()
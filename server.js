@@ -8,6 +8,10 @@ const SessionsApi = require('./sessions-api.js')
 const SessionsApiContext = require('./sessions-api-context.js')
 const AutoPKApi = require('./auto-pk-api.js')
 const NumericPKApi = require('./numeric-pk-api.js')
+const SoftDeleteApi = require('./soft-delete-api.js')
+const LicencesApi = require('./licences-api.js')
+const DocumentsApi = require('./documents-api.js')
+const LicenceDocumentsApi = require('./licence-documents-api.js')
 
 // Create a server with a host and port
 // const server = new Hapi.Server({ debug: { request: ['error'] } });
@@ -20,7 +24,11 @@ server.route([
   ...SessionsApi.getRoutes(),
   ...SessionsApiContext.getRoutes(),
   ...AutoPKApi.getRoutes(),
-  ...NumericPKApi.getRoutes()
+  ...NumericPKApi.getRoutes(),
+  ...SoftDeleteApi.getRoutes(),
+  ...LicencesApi.getRoutes(),
+  ...DocumentsApi.getRoutes(),
+  ...LicenceDocumentsApi.getRoutes()
 ])
 
 async function start () {
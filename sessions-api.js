@@ -10,6 +10,8 @@ module.exports = new HAPIRestAPI({
   endpoint: '/api/1.0/sessions',
   onCreateTimestamp: 'date_created',
   onUpdateTimestamp: 'date_updated',
+  etag: true,
+  idempotency: true,
   upsert: {
     fields: ['session_id'],
     set: ['session_data']
@@ -0,0 +1,21 @@
+const Joi = require('joi')
+const HAPIRestAPI = require('./src/rest-api')
+const pool = require('./db')
+const readPool = require('./db-read')
+
+module.exports = new HAPIRestAPI({
+  table: 'softdelete_test',
+  connection: pool,
+  readConnection: readPool,
+  primaryKey: 'id',
+  endpoint: '/api/1.0/softdelete',
+  primaryKeyAuto: true,
+  primaryKeyGuid: false,
+  softDelete: 'date_deleted',
+  // For testing, permission to view deleted records is granted by a header
+  allowIncludeDeleted: request => request.headers['x-include-deleted'] === 'allow',
+  validation: {
+    id: Joi.number(),
+    name: Joi.string()
+  }
+})
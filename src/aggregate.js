@@ -0,0 +1,150 @@
+/**
+ * Parses and validates aggregate query params - group by columns with
+ * optional date truncation, aggregate functions, HAVING criteria and sort
+ * @module aggregate
+ */
+const { isPlainObject, isArray, castArray } = require('lodash')
+const { ValidationError } = require('./errors')
+const { parseJSONParam } = require('./helpers')
+
+const AGGREGATE_FUNCTIONS = ['count', 'sum', 'avg', 'min', 'max']
+const DATE_TRUNCATIONS = ['day', 'week', 'month', 'year']
+const HAVING_OPERATORS = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte']
+
+/**
+ * Checks a column is readable
+ * @param {String} column
+ * @param {Array} columns - readable columns
+ */
+const checkColumn = (column, columns) => {
+  if (!columns.includes(column)) {
+    throw new ValidationError(`Unknown column ${column}`)
+  }
+}
+
+/**
+ * Parses the group by param, e.g. 'ip,date_created:day'
+ * @param {String} [str]
+ * @param {Array} columns - readable columns
+ * @return {Array} [{column, truncate}, ...]
+ */
+const parseGroupBy = (str, columns) => {
+  if (!str) {
+    return []
+  }
+  return str.split(',').map(item => {
+    const [column, truncate] = item.trim().split(':')
+    checkColumn(column, columns)
+    if (truncate && !DATE_TRUNCATIONS.includes(truncate)) {
+      throw new ValidationError(`Date truncation must be one of ${DATE_TRUNCATIONS.join(', ')}`)
+    }
+    return { column, truncate: truncate || null }
+  })
+}
+
+/**
+ * Parses the aggregates param, e.g. {"count":"*","max":["date_created","date_updated"]}
+ * The result of each is named by function and column, e.g. max_date_created,
+ * or just count for count(*)
+ * @param {Object} aggregates
+ * @param {Array} columns - readable columns
+ * @return {Array} [{fn, column, alias}, ...]
+ */
+const parseAggregates = (aggregates, columns) => {
+  if (!isPlainObject(aggregates) || !Object.keys(aggregates).length) {
+    throw new ValidationError('At least one aggregate is required')
+  }
+  const result = []
+  for (const [fn, value] of Object.entries(aggregates)) {
+    if (!AGGREGATE_FUNCTIONS.includes(fn)) {
+      throw new ValidationError(`Aggregate function must be one of ${AGGREGATE_FUNCTIONS.join(', ')}`)
+    }
+    for (const column of castArray(value)) {
+      if (column === '*' && fn === 'count') {
+        result.push({ fn, column, alias: fn })
+      } else {
+        checkColumn(column, columns)
+        result.push({ fn, column, alias: `${fn}_${column}` })
+      }
+    }
+  }
+  return result
+}
+
+/**
+ * Validates the having criteria, e.g. {"count":{"$gt":5}}, which may refer to
+ * any group by column or aggregate result
+ * @param {Object} having
+ * @param {Array} aliases - names of the result columns
+ * @return {Object} having - {alias : {$op : value}}
+ */
+const parseHaving = (having, aliases) => {
+  if (!isPlainObject(having)) {
+    throw new ValidationError('Having must be an object')
+  }
+  const result = {}
+  for (const [alias, value] of Object.entries(having)) {
+    if (!aliases.includes(alias)) {
+      throw new ValidationError(`Unknown having column ${alias}`)
+    }
+    const conditions = isPlainObject(value) ? value : { $eq: value }
+    for (const [operator, operand] of Object.entries(conditions)) {
+      if (!HAVING_OPERATORS.includes(operator)) {
+        throw new ValidationError(`Having operator must be one of ${HAVING_OPERATORS.join(', ')}`)
+      }
+      if (operand === null || isPlainObject(operand) || isArray(operand)) {
+        throw new ValidationError(`Invalid having value for ${alias}`)
+      }
+    }
+    result[alias] = conditions
+  }
+  return result
+}
+
+/**
+ * Validates the sort, which may refer to any group by column or aggregate result
+ * @param {Object} sort - {alias : +1|-1}
+ * @param {Array} aliases - names of the result columns
+ * @return {Object} sort
+ */
+const checkSort = (sort, aliases) => {
+  for (const alias of Object.keys(sort)) {
+    if (!aliases.includes(alias)) {
+      throw new ValidationError(`Unknown sort column ${alias}`)
+    }
+  }
+  return sort
+}
+
+/**
+ * Gets the aggregate query from the HAPI request query params
+ * @param {Object} query - HAPI request query
+ * @param {String} [query.groupBy] - comma separated list of columns, with optional date truncation, e.g. date_created:day
+ * @param {String} query.aggregates - JSON encoded object of aggregate functions and columns
+ * @param {String} [query.having] - JSON encoded criteria for the aggregate results
+ * @param {Object} sort - sort for the aggregate results
+ * @param {Object} config - HAPI PG REST API config object
+ * @return {Object} {groupBy, aggregates, having, sort}
+ */
+const getAggregateQuery = (query, sort, config) => {
+  const columns = config.readableColumns
+
+  const groupBy = parseGroupBy(query.groupBy, columns)
+  const aggregates = parseAggregates(parseJSONParam(query.aggregates, 'aggregates', {}), columns)
+
+  const aliases = [...groupBy.map(item => item.column), ...aggregates.map(item => item.alias)]
+  if (new Set(aliases).size !== aliases.length) {
+    throw new ValidationError('Aggregate result column names must be unique')
+  }
+
+  return {
+    groupBy,
+    aggregates,
+    having: parseHaving(parseJSONParam(query.having, 'having', {}), aliases),
+    sort: checkSort(sort, aliases)
+  }
+}
+
+module.exports = {
+  getAggregateQuery
+}
@@ -3,7 +3,8 @@
  * @module api-client
  * @class APIClient
  */
-const { forEach, get } = require('lodash')
+const { forEach, get, isPlainObject, isArray, isEqual, sortBy } = require('lodash')
+const uuidV4 = require('uuid/v4')
 const { throwIfError } = require('./helpers')
 
 class APIClient {
@@ -12,15 +13,25 @@ class APIClient {
    * @param {Function} rp - request-promise-native instance
    * @param {Object} config
    * @param {String} config.endpoint
+   * @param {Boolean} [config.cache] - whether to cache GET responses and send conditional requests
+   * @param {Number} [config.cacheSize] - maximum number of cached responses
+   * @param {Array} [config.primaryKey] - columns of a composite primary key, in URL order
+   * @param {Number} [config.retries] - number of times to retry a create after a network error or 5xx response
+   * @param {Number} [config.retryDelay] - milliseconds to wait before each retry
    */
   constructor (rp, config = {}) {
     const defaults = {
-      headers: {}
+      headers: {},
+      cache: false,
+      cacheSize: 100,
+      retries: 0,
+      retryDelay: 100
     }
     this.config = Object.assign({}, defaults, config)
     this.logger = config.logger || console
     this.rp = rp
     this.urlParams = {}
+    this.cache = new Map()
   }
 
   /**
@@ -32,13 +43,38 @@ class APIClient {
     return this
   }
 
+  /**
+   * Checks whether the supplied value is a composite primary key object,
+   * i.e. has the columns of the primary key config option
+   * @param {Mixed} id
+   * @return {Boolean}
+   */
+  isKey (id) {
+    const { primaryKey } = this.config
+    return isArray(primaryKey) && isPlainObject(id) && isEqual(sortBy(Object.keys(id)), sortBy(primaryKey))
+  }
+
+  /**
+   * Gets the URL path for a record ID.  A composite key object is a path
+   * segment for each column, in the order of the primaryKey config option
+   * @param {Mixed} id - the ID, or an object of composite key values
+   * @return {String} path
+   */
+  getIdPath (id) {
+    if (!isPlainObject(id)) {
+      return id
+    }
+    const columns = this.config.primaryKey || Object.keys(id)
+    return columns.map(column => encodeURIComponent(id[column])).join('/')
+  }
+
   /**
    * Get URL for call
-   * @param {Mixed} [id] - the ID of the entity to get/update/delete
+   * @param {Mixed} [id] - the ID of the entity to get/update/delete, or an object of composite key values
    * @return {String} URL
    */
   getUrl (id) {
-    let url = id ? `${this.config.endpoint}/${id}` : this.config.endpoint
+    let url = id ? `${this.config.endpoint}/${this.getIdPath(id)}` : this.config.endpoint
     // Replace context params in URL
     forEach(this.urlParams, (val, key) => {
       url = url.replace(`{${key}}`, val)
@@ -58,6 +94,35 @@ class APIClient {
           columns: columns.join(',')
         }
       : null
+    return this.makeRetriedRequest({
+      uri: this.getUrl(),
+      method: 'POST',
+      body,
+      headers: this.config.headers,
+      json: true,
+      qs
+    })
+  }
+
+  /**
+   * Upsert records - creates the records, updating or ignoring those which
+   * conflict with existing records on the supplied columns
+   * @param {Object|Array} body - the record(s) to post
+   * @param {Array} onConflict - the conflict target columns, which must be allowed by the API
+   * @param {Object} [options]
+   * @param {String} [options.mode] - 'update' (default) or 'ignore'
+   * @param {Array} [options.columns] - the columns to return
+   * @return {Promise} - resolves with API response, each row has an _action of 'inserted' or 'updated'
+   */
+  async upsert (body, onConflict, options = {}) {
+    const { mode = 'update', columns } = options
+    const qs = {
+      onConflict: onConflict.join(','),
+      mode
+    }
+    if (columns) {
+      qs.columns = columns.join(',')
+    }
     return this.makeRequest({
       uri: this.getUrl(),
       method: 'POST',
@@ -70,7 +135,7 @@ class APIClient {
 
   /**
    * Find one record
-   * @param {String} id
+   * @param {String|Object} id - the primary key value, or an object of composite key values
    * @param {Array} [columns] - an array containing column names to select
    * @return {Promise} resolves with single record if found
    */
@@ -81,7 +146,7 @@ class APIClient {
         }
       : null
 
-    return this.makeRequest({
+    return this.makeCachedRequest({
       uri: this.getUrl(id),
       method: 'GET',
       headers: this.config.headers,
@@ -109,7 +174,7 @@ class APIClient {
       qs.columns = columns.join(',')
     }
 
-    return this.makeRequest({
+    return this.makeCachedRequest({
       uri: this.getUrl(),
       method: 'GET',
       headers: this.config.headers,
@@ -120,7 +185,11 @@ class APIClient {
 
   /**
    * Finds all pages of data for a particular filter request and returns as a
-   * flat array
+   * flat array.  If the API advertises that cursor pagination is safe for
+   * the sort, this is used to iterate through the pages, otherwise offset
+   * pagination.  Pages are loaded with the server's maximum page size if it
+   * has one.  The first request counts the rows exactly, as the API's count
+   * mode may be 'estimated' or 'none'
    *
    * Throws an error if any request has error in the response
    *
@@ -131,16 +200,23 @@ class APIClient {
    */
   async findAll (filter = {}, sort = {}, columns = []) {
     // Find first page
-    const { error, pagination: { pageCount, perPage } } = await this.findMany(filter, sort, null, [])
+    const { error, pagination: { perPage, maxPerPage, totalRows, cursorPagination } } = await this.findMany(filter, sort, { count: 'exact' }, [])
 
     throwIfError(error)
 
+    const pageSize = maxPerPage || perPage
+
+    if (cursorPagination) {
+      return this.findAllByCursor(filter, sort, pageSize, columns)
+    }
+
     const rows = []
+    const lastPage = Math.ceil(totalRows / pageSize)
 
-    for (let page = 1; page <= pageCount; page++) {
+    for (let page = 1; page <= lastPage; page++) {
       const pagination = {
         page,
-        perPage
+        perPage: pageSize
       }
       const { error: pageError, data } = await this.findMany(filter, sort, pagination, columns)
 
@@ -152,9 +228,70 @@ class APIClient {
     return rows
   }
 
+  /**
+   * Finds all pages of data using cursor pagination and returns as a flat array
+   *
+   * Throws an error if any request has error in the response
+   *
+   * @param {Object} filter - mongo-sql filter criteria
+   * @param {Object} sort - sort fields/direction
+   * @param {Number} perPage - number of rows to load per request
+   * @param {Array} [columns] - columns to return
+   * @return {Promise} resolves with flat array of data
+   */
+  async findAllByCursor (filter, sort, perPage, columns) {
+    const rows = []
+    let cursor = null
+
+    do {
+      const { error, data, pagination } = await this.findMany(filter, sort, { cursor, perPage }, columns)
+
+      throwIfError(error)
+
+      rows.push(...data)
+      cursor = pagination.nextCursor
+    } while (cursor)
+
+    return rows
+  }
+
+  /**
+   * Aggregate records, optionally grouped by columns
+   * @param {Object} [filter] - an object describing which records to aggregate
+   * @param {Array} [groupBy] - columns to group by, with optional date truncation, e.g. ['ip', 'date_created:day']
+   * @param {Object} aggregates - aggregate functions and columns, e.g. {count : '*', max : 'date_created'}
+   * @param {Object} [options]
+   * @param {Object} [options.having] - criteria for the aggregate results, e.g. {count : {$gt : 5}}
+   * @param {Object} [options.sort] - sort for the aggregate results, e.g. {count : -1}
+   * @return {Promise} resolves with API response
+   */
+  async aggregate (filter = {}, groupBy = [], aggregates = {}, options = {}) {
+    const qs = {
+      filter: JSON.stringify(filter),
+      aggregates: JSON.stringify(aggregates)
+    }
+    if (groupBy.length) {
+      qs.groupBy = groupBy.join(',')
+    }
+    if (options.having) {
+      qs.having = JSON.stringify(options.having)
+    }
+    if (options.sort) {
+      qs.sort = JSON.stringify(options.sort)
+    }
+
+    return this.makeRequest({
+      uri: this.getUrl('aggregate'),
+      method: 'GET',
+      headers: this.config.headers,
+      qs,
+      json: true
+    })
+  }
+
   /**
    * Update one record
-   * @param {String} id - the primary key value
+   * @param {String|Object} id - the primary key value, or an object of composite key values
    * @param {Object} body - the data to update
    * @param {Array} [columns] - the columns to select
    * @return {Promise} - resolves with API response
@@ -192,15 +329,38 @@ class APIClient {
     })
   }
 
+  /**
+   * Update each of a list of records with its own values, in a single
+   * transaction
+   * @param {Array} body - list of {id, ...changes}, where id is the primary key value or an object of composite key values
+   * @param {Array} [columns] - the columns to return
+   * @return {Promise} - resolves with {data, rowCount, notFound}, where notFound lists the ids not found
+   */
+  async updateEach (body, columns = null) {
+    const qs = columns
+      ? {
+          columns: columns.join(',')
+        }
+      : null
+    return this.makeRequest({
+      uri: this.getUrl(),
+      method: 'PATCH',
+      headers: this.config.headers,
+      body,
+      json: true,
+      qs
+    })
+  }
+
   /**
    * Delete record
-   * @param {String|Object} id - the ID of the row to delete, or filter object
+   * @param {String|Object} id - the ID of the row to delete, an object of composite key values, or filter object
    * @return {Promise} - resolves when deleted
    */
   async delete (id) {
     let options
 
-    if (typeof (id) === 'string') {
+    if (typeof (id) === 'string' || this.isKey(id)) {
       options = {
         uri: this.getUrl(id),
         method: 'DELETE',
@@ -220,6 +380,50 @@ class APIClient {
     return this.makeRequest(options)
   }
 
+  /**
+   * Restore a soft deleted record
+   * @param {String|Object} id - the ID of the row to restore, or an object of composite key values
+   * @param {Array} [columns] - the columns to return
+   * @return {Promise} - resolves with API response
+   */
+  async restore (id, columns = null) {
+    const qs = columns
+      ? {
+          columns: columns.join(',')
+        }
+      : null
+    return this.makeRequest({
+      uri: `${this.getUrl(id)}/restore`,
+      method: 'POST',
+      headers: this.config.headers,
+      json: true,
+      qs
+    })
+  }
+
+  /**
+   * Run a batch of create, update and delete operations in a single
+   * transaction
+   * @param {Array} operations - list of {action, id, filter, data}
+   * @param {Array} [columns] - the columns to return
+   * @return {Promise} - resolves with API response, data contains {data, rowCount} for each operation
+   */
+  async batch (operations, columns = null) {
+    const qs = columns
+      ? {
+          columns: columns.join(',')
+        }
+      : null
+    return this.makeRequest({
+      uri: this.getUrl('batch'),
+      method: 'POST',
+      headers: this.config.headers,
+      body: operations,
+      json: true,
+      qs
+    })
+  }
+
   /**
    * Get schema
    * @return {Promise} - resolves with schema data {jsonSchema : {}, config : {}}
@@ -241,22 +445,110 @@ class APIClient {
     try {
       return await this.rp(options)
     } catch (error) {
-      if (error.statusCode < 500) {
-        const errorName = get(error, 'error.error.name')
-        if (errorName) {
-          return {
-            data: null,
-            error: get(error, 'error.error')
-          }
+      return this.handleRequestError(error)
+    }
+  }
+
+  /**
+   * Make POST request with request-promise-native, retrying it after a
+   * network error or 5xx response if the retries config option is set.
+   * Each attempt sends the same generated Idempotency-Key header, so that
+   * the records are created once by an API with idempotency keys enabled
+   * @param {Object} options - request promise options
+   */
+  async makeRetriedRequest (options) {
+    const { retries, retryDelay } = this.config
+    if (!retries) {
+      return this.makeRequest(options)
+    }
+
+    const headers = { 'Idempotency-Key': uuidV4(), ...options.headers }
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.rp({ ...options, headers })
+      } catch (error) {
+        if (attempt >= retries || error.statusCode < 500) {
+          return this.handleRequestError(error)
         }
-      } else {
-        // Log full error
-        this.logger.error('hapi rest api error', error)
+        await new Promise(resolve => setTimeout(resolve, retryDelay))
+      }
+    }
+  }
+
+  /**
+   * Make GET request with request-promise-native.  If caching is enabled,
+   * the ETag/Last-Modified validators of the cached response are sent, and
+   * the cached body is returned if the server replies 304 Not Modified
+   * @param {Object} options - request promise options
+   */
+  async makeCachedRequest (options) {
+    if (!this.config.cache) {
+      return this.makeRequest(options)
+    }
+
+    const key = JSON.stringify([options.uri, options.qs])
+    const cached = this.cache.get(key)
+    const headers = cached ? { ...options.headers, ...cached.validators } : options.headers
+
+    try {
+      const response = await this.rp({ ...options, headers, resolveWithFullResponse: true })
+      this.setCache(key, response)
+      return response.body
+    } catch (error) {
+      if (cached && error.statusCode === 304) {
+        return cached.body
       }
+      return this.handleRequestError(error)
+    }
+  }
+
+  /**
+   * Stores a response in the cache if it has validators, evicting the
+   * least recently stored response if the cache is full
+   * @param {String} key - cache key
+   * @param {Object} response - full response from request-promise-native
+   */
+  setCache (key, response) {
+    const { etag, 'last-modified': lastModified } = response.headers
+    this.cache.delete(key)
+    if (!etag && !lastModified) {
+      return
+    }
+    const validators = {}
+    if (etag) {
+      validators['if-none-match'] = etag
+    }
+    if (lastModified) {
+      validators['if-modified-since'] = lastModified
+    }
+    this.cache.set(key, { validators, body: response.body })
+    if (this.cache.size > this.config.cacheSize) {
+      this.cache.delete(this.cache.keys().next().value)
+    }
+  }
 
-      // Rethrow other error
-      throw error
+  /**
+   * Handles an error thrown by request-promise-native.  API errors are
+   * returned in the standard response form, other errors are rethrown
+   * @param {Object} error - request promise error
+   * @return {Object} response with error
+   */
+  handleRequestError (error) {
+    if (error.statusCode < 500) {
+      const errorName = get(error, 'error.error.name')
+      if (errorName) {
+        return {
+          data: null,
+          error: get(error, 'error.error')
+        }
+      }
+    } else {
+      // Log full error
+      this.logger.error('hapi rest api error', error)
     }
+
+    // Rethrow other error
+    throw error
   }
 }
 
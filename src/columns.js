@@ -0,0 +1,89 @@
+/**
+ * Checks the columns a request reads, filters and sorts on against the
+ * API's readableColumns, filterableColumns and sortableColumns config
+ * @module columns
+ */
+const { isArray, isPlainObject, difference, without } = require('lodash')
+const { ValidationError } = require('./errors')
+const { RANK_COLUMN } = require('./search')
+
+/**
+ * Gets the column from a filter or sort key, which may be a path within a
+ * JSON column, e.g. session_data->>username
+ * @param {String} key
+ * @return {String} column name
+ */
+const getColumn = key => key.split(/->|#>/)[0]
+
+/**
+ * Gets the columns referred to in a mongo-sql filter.  Keys beginning with $
+ * are operators such as $or and $and, whose values are searched for columns
+ * @param {Object|Array} filter
+ * @return {Array} column names
+ */
+const getFilterColumns = (filter) => {
+  if (isArray(filter)) {
+    return filter.flatMap(getFilterColumns)
+  }
+  if (!isPlainObject(filter)) {
+    return []
+  }
+  return Object.entries(filter).flatMap(([key, value]) =>
+    key.startsWith('$') ? getFilterColumns(value) : [getColumn(key)]
+  )
+}
+
+/**
+ * Throws a validation error if any of the columns are not allowed
+ * @param {Array} columns - columns in the request
+ * @param {Array} allowed - allowed columns
+ * @param {String} message - error message, followed by the first column not allowed
+ */
+const checkAllowed = (columns, allowed, message) => {
+  const [column] = difference(columns, allowed)
+  if (column !== undefined) {
+    throw new ValidationError(`${message} ${column}`)
+  }
+}
+
+/**
+ * Checks the requested columns are readable
+ * @param {Array} columns
+ * @param {Object} config - HAPI PG REST API config object
+ * @return {Array} columns
+ */
+const checkReadableColumns = (columns, config) => {
+  checkAllowed(columns, config.readableColumns, 'Cannot read column')
+  return columns
+}
+
+/**
+ * Checks the columns in the filter are filterable
+ * @param {Object} filter
+ * @param {Object} config - HAPI PG REST API config object
+ * @return {Object} filter
+ */
+const checkFilterableColumns = (filter, config) => {
+  checkAllowed(getFilterColumns(filter), config.filterableColumns, 'Cannot filter on column')
+  return filter
+}
+
+/**
+ * Checks the columns in the sort are sortable.  The full-text search rank
+ * can also be sorted on
+ * @param {Object} sort - {field : +1, field : -1}
+ * @param {Object} config - HAPI PG REST API config object
+ * @return {Object} sort
+ */
+const checkSortableColumns = (sort, config) => {
+  checkAllowed(without(Object.keys(sort), RANK_COLUMN).map(getColumn), config.sortableColumns, 'Cannot sort on column')
+  return sort
+}
+
+module.exports = {
+  getColumn,
+  getFilterColumns,
+  checkReadableColumns,
+  checkFilterableColumns,
+  checkSortableColumns
+}
@@ -1,102 +1,471 @@
 const moment = require('moment')
 const uuidV4 = require('uuid/v4')
-const { isArray, isEmpty } = require('lodash')
+const { isArray, isEmpty, difference, chunk, union } = require('lodash')
 const manager = require('./manager')
-const { getRequestData, getPaginationResponse, errorReply } = require('./helpers')
-const { NotFoundError, ValidationError, NotImplementedError } = require('./errors')
-const { validateCreatePayload, validateParams, validateUpdatePayload } = require('./validators')
+const { getRequestData, getCountMode, getPaginationResponse, getNextPageLink, getListValidators, getIfMatch, errorReply } = require('./helpers')
+const { NotFoundError, ValidationError, ForbiddenError, PreconditionFailedError } = require('./errors')
+const { isCursorPagination, isCursorSafe, findCursorPage } = require('./cursor-pagination')
+const { getExportFormat, exportResponse } = require('./export')
+const { getImportFormat, getImportRows } = require('./import')
+const { getAggregateQuery } = require('./aggregate')
+const { checkFilterableColumns } = require('./columns')
+const { checkFilter } = require('./filter')
+const { RANK_COLUMN, getSearch } = require('./search')
+const { getRelations, getSelectColumns, loadRelations, hasNestedRecords, getRelatedRepository } = require('./relations')
+const { validateCreatePayload, validateNestedCreatePayload, validateKey, validateParams, validateUpdatePayload, validateUpdateEachPayload, validateReplacePayload, validateBatchPayload } = require('./validators')
+const { getKeyColumns, getKeyFromId } = require('./primary-key')
+const { getUpsert } = require('./upsert')
+const { idempotent } = require('./idempotency')
+const { getQueryTimeout, getAbortSignal } = require('./query-timeout')
+const { getReadConnection } = require('./read-connection')
+
+// Maximum number of bound parameters Postgres allows in a single query
+const MAX_QUERY_PARAMS = 65535
+
+/**
+ * Gets the API repository for a request.  Its queries run with the request's
+ * statement timeout, those with a timeout or in a transaction are cancelled
+ * if the client disconnects, and find requests read from the read connection
+ * @param {Object} request - HAPI request
+ * @param {Object} config - HAPI PG REST API config object
+ * @return {Object} repository
+ */
+const getRequestRepository = (request, config) => {
+  const repo = manager.get(config.name)
+  return repo.withQueryOptions({
+    queryTimeout: getQueryTimeout(request, config),
+    abortSignal: getAbortSignal(request),
+    readConnection: getReadConnection(request, repo.config)
+  })
+}
+
+/**
+ * Gets the columns which should be reset to their DB default (or NULL)
+ * when a record is replaced, i.e. all columns in the validation schema
+ * that are not present in the new data.  The primary key and
+ * on create timestamp are preserved
+ * @param {Object} data - the replacement data
+ * @param {Object} config - HAPI PG REST API config object
+ * @return {Object} mongo-sql $custom update setting each column to DEFAULT
+ */
+const getReplaceDefaults = (data, config) => {
+  const keys = Object.keys(config.validation.describe().keys)
+  const softDeleteColumn = config.softDelete && config.softDelete.column
+  const preserved = [...getKeyColumns(config), config.onCreateTimestamp, config.versionColumn, softDeleteColumn, ...Object.keys(data)]
+  return difference(keys, preserved).reduce((acc, key) => ({
+    ...acc,
+    [key]: 'DEFAULT'
+  }), {})
+}
+
+/**
+ * Gets the error to reply with when a write to a single record affected
+ * no rows.  If an If-Match precondition was supplied and the record exists,
+ * the precondition failed - otherwise the record was not found.  The record
+ * is found on the primary connection, which the write was made on
+ * @param {Object} repo - the request repository
+ * @param {Object} filter - the query filter
+ * @param {Array} [ifMatch] - list of ETags from If-Match header
+ * @return {Promise} resolves with error instance
+ */
+const getNoRowsError = async (repo, filter, ifMatch) => {
+  if (ifMatch) {
+    const { rows } = await repo.withQueryOptions({ readConnection: null }).findRowCount(filter)
+    if (parseInt(rows[0].totalrowcount, 10) > 0) {
+      return new PreconditionFailedError()
+    }
+  }
+  return new NotFoundError()
+}
+
+/**
+ * Gets rows to insert for a create request, adding the generated primary
+ * key and on create timestamp to each row
+ * @param {Object|Array} data - validated create payload
+ * @param {Object} config - HAPI PG REST API config object
+ * @return {Array} rows to insert
+ */
+const getCreateRows = (data, config) => {
+  // Convert to array for ease of adding GUID/timestamp fields
+  const rows = isArray(data) ? data : [data]
+
+  const ts = moment().format('YYYY-MM-DD HH:mm:ss')
+  return rows.map(row => {
+    // Generate primary key
+    if (!config.primaryKeyAuto && config.primaryKeyGuid) {
+      row[config.primaryKey] = uuidV4()
+    }
+    // Generate on create time stamp
+    if (config.onCreateTimestamp) {
+      row[config.onCreateTimestamp] = ts
+    }
+    return row
+  })
+}
+
+/**
+ * Creates a reply for a single record, adding the ETag and Last-Modified
+ * headers if enabled
+ * @param {Object} h - HAPI HTTP reply interface
+ * @param {Object} body - the response body
+ * @param {String} [etag] - the record's ETag
+ * @param {Date} [modified] - the time the record was last modified
+ * @return {Object} HAPI response
+ */
+const singleRecordResponse = (h, body, etag, modified) => {
+  const response = h.response(body)
+  if (etag) {
+    response.etag(etag)
+  }
+  if (modified) {
+    response.header('last-modified', new Date(modified).toUTCString())
+  }
+  return response
+}
+
+/**
+ * Checks whether the request is permitted to include soft deleted records
+ * @param {Object} request - HAPI request
+ * @param {Object} config - HAPI PG REST API config object
+ * @param {Boolean} includeDeleted - whether deleted records were requested
+ * @return {Promise} resolves with ForbiddenError if not permitted, otherwise null
+ */
+const checkIncludeDeleted = async (request, config, includeDeleted) => {
+  if (includeDeleted && config.softDelete && !(await config.allowIncludeDeleted(request))) {
+    return new ForbiddenError('Not permitted to include deleted records')
+  }
+  return null
+}
 
 /**
  * Find and return a single record
  * @param {Mixed} request.params.id - the primary key value
+ * @param {String} [request.query.includeDeleted] - 'true' to include soft deleted records
+ * @param {String} [request.query.include] - comma separated list of relations to embed
  */
 const findOne = async (request, h) => {
   const config = request.route.settings.plugins.hapiPgRestAPI
-  const repo = manager.get(config.name)
-  const { columns, filter } = await getRequestData(request, config)
+  const repo = getRequestRepository(request, config)
+  const { columns, filter, includeDeleted, include } = await getRequestData(request, config)
 
   const { error } = validateParams(request.params, config)
   if (error) {
     return errorReply(new ValidationError(error), h)
   }
 
+  const forbiddenError = await checkIncludeDeleted(request, config, includeDeleted)
+  if (forbiddenError) {
+    return errorReply(forbiddenError, h)
+  }
+
   try {
+    const relations = getRelations(include, config)
+    // Record ETag doesn't reflect related records, so is omitted when they are embedded
+    const etag = config.etag && !relations.length
+
     // Get data
-    const { rows } = await repo.find(filter, null, null, columns)
+    const { rows, etags = [], modified = [] } = await repo.find(filter, null, null, getSelectColumns(columns, relations, config), { etag, includeDeleted })
 
     if (rows.length !== 1) {
       return errorReply(new NotFoundError(), h)
     }
 
-    return {
+    await loadRelations(repo, rows, relations, columns, config)
+
+    return singleRecordResponse(h, {
       error: null,
       data: config.postSelect(rows)[0]
-    }
+    }, etags[0], modified[0])
   } catch (error) {
     return errorReply(error, h)
   }
 }
 
+/**
+ * Finds a page of records using page/perPage offset pagination.  The total
+ * row count is calculated in the same query unless an estimated or no count
+ * is requested
+ * @param {Object} repo - the repository instance
+ * @param {Object} query - request data {filter, sort, pagination, columns, options}
+ * @param {Object} config - HAPI PG REST API config object
+ * @return {Promise} resolves with {rows, pagination}
+ */
+const findOffsetPage = async (repo, { filter, sort, pagination, columns, options }, config) => {
+  const countOptions = { ...options, count: getCountMode(pagination, config) }
+  const result = await repo.find(filter, sort, pagination, columns, countOptions)
+  return {
+    rows: result.rows,
+    pagination: await getPaginationResponse(pagination, result, repo, filter, countOptions, isCursorSafe(sort, config.primaryKey))
+  }
+}
+
 /**
  * Find many results, with options for filter, sort, pagination, and returned columns
  * @param {String} request.query.filter - JSON encoded filter object
  * @param {String} request.query.sort - JSON encoded sort object
- * @param {String} request.query.pagination - JSON encoded pagination object
+ * @param {String} request.query.pagination - JSON encoded pagination object, either {page, perPage} or {cursor, perPage}
  * @param {String} request.query.columns - Comma separated column list
+ * @param {String} [request.query.includeDeleted] - 'true' to include soft deleted records
+ * @param {String} [request.query.format] - 'csv' or 'ndjson' to stream all matching records, otherwise
+ *                                          taken from the Accept header
+ * @param {String} [request.query.include] - comma separated list of relations to embed, ignored for exports
+ * @param {String} [request.query.q] - full-text search text
+ * @param {String} [request.query.headline] - 'true' to return highlighted snippets of the search columns
  */
 const findMany = async (request, h) => {
   const config = request.route.settings.plugins.hapiPgRestAPI
-  const repo = manager.get(config.name)
-  const { filter, sort, pagination, columns } = await getRequestData(request, config)
+  const repo = getRequestRepository(request, config)
+  const data = await getRequestData(request, config)
+  const { sort, pagination, columns, includeDeleted, include } = data
+
+  const forbiddenError = await checkIncludeDeleted(request, config, includeDeleted)
+  if (forbiddenError) {
+    return errorReply(forbiddenError, h)
+  }
 
   try {
-    // Get data
-    const { rows } = await repo.find(filter, sort, pagination, columns)
+    const format = getExportFormat(request)
+    const search = getSearch(data, config, !format && !isCursorPagination(pagination))
+    const filter = search ? { $and: [data.filter, search.filter] } : data.filter
+    const options = { includeDeleted }
+
+    // Stream all matching rows if CSV/NDJSON export requested
+    if (format) {
+      return await exportResponse(h, repo, { filter, sort, columns, options }, config, format)
+    }
 
-    return {
+    const relations = getRelations(include, config)
+
+    // Reply 304 Not Modified if list unchanged since client's cached copy.
+    // List validators don't reflect related records, so aren't used when they are embedded
+    const validators = config.etag && !relations.length && await getListValidators(repo, filter, options)
+    const notModified = validators && h.entity({ ...validators, weak: true })
+    if (notModified) {
+      return notModified
+    }
+
+    // Get data, with search rank and headlines if searching
+    if (search) {
+      options.sortAliases = [RANK_COLUMN]
+    }
+    const selectColumns = [...getSelectColumns(columns, relations, config), ...(search ? search.columns : [])]
+    const query = { filter, sort, pagination, columns: selectColumns, options }
+    const { rows, pagination: paginationResponse } = isCursorPagination(pagination)
+      ? await findCursorPage(repo, query, config)
+      : await findOffsetPage(repo, query, config)
+
+    await loadRelations(repo, rows, relations, columns, config)
+
+    const response = h.response({
       data: config.postSelect(rows),
       error: null,
-      pagination: await getPaginationResponse(pagination, repo, filter)
+      pagination: { ...paginationResponse, maxPerPage: config.maxPerPage }
+    })
+    const link = getNextPageLink(request, paginationResponse)
+    if (link) {
+      response.header('link', link)
     }
+    if (validators) {
+      response.etag(validators.etag, { weak: true })
+    }
+    return response
   } catch (error) {
     return errorReply(error, h)
   }
 }
 
 /**
- * Create single/multiple record
+ * Aggregate records matching the filter, optionally grouped by columns
+ * @param {String} [request.query.filter] - JSON encoded filter object
+ * @param {String} [request.query.groupBy] - comma separated list of columns, with optional date truncation, e.g. date_created:day
+ * @param {String} request.query.aggregates - JSON encoded object of aggregate functions and columns, e.g. {"count":"*"}
+ * @param {String} [request.query.having] - JSON encoded criteria for the aggregate results
+ * @param {String} [request.query.sort] - JSON encoded sort object for the aggregate results
+ * @param {String} [request.query.includeDeleted] - 'true' to include soft deleted records
  */
-const create = async (request, h) => {
+const aggregate = async (request, h) => {
   const config = request.route.settings.plugins.hapiPgRestAPI
-  const repo = manager.get(config.name)
-  const { columns, data: payload } = await getRequestData(request, config)
+  const repo = getRequestRepository(request, config)
+  // Sort is checked against the aggregate result columns instead
+  const { filter, sort, includeDeleted } = await getRequestData(request, config, request.payload, { checkSort: false })
 
-  const { error, value } = validateCreatePayload(payload, config)
+  const forbiddenError = await checkIncludeDeleted(request, config, includeDeleted)
+  if (forbiddenError) {
+    return errorReply(forbiddenError, h)
+  }
+
+  try {
+    const query = getAggregateQuery(request.query, sort, config)
+    const { rows } = await repo.aggregate(filter, query, { includeDeleted })
+
+    return {
+      data: rows,
+      error: null
+    }
+  } catch (error) {
+    return errorReply(error, h)
+  }
+}
+
+/**
+ * Create records from a CSV or NDJSON payload.  Each line is validated
+ * separately.  If any are invalid, the whole import is rejected unless
+ * request.query.skipInvalid is 'true', in which case the invalid lines are
+ * reported and the valid lines created.  Rows are inserted in batches within
+ * a single transaction
+ * @param {String} request.payload - CSV or NDJSON text
+ * @param {String} [request.query.skipInvalid] - 'true' to skip invalid lines
+ * @param {String} [request.query.columns] - columns to output in reply
+ */
+const importRecords = async (request, h, format) => {
+  const config = request.route.settings.plugins.hapiPgRestAPI
+  const repo = getRequestRepository(request, config)
+
+  try {
+    const { data: rows, errors } = getImportRows(request.payload, format, config)
+    const skipInvalid = request.query.skipInvalid === 'true'
+
+    if (errors.length && !skipInvalid) {
+      return errorReply(new ValidationError(`Import contains ${errors.length} invalid line(s)`), h, { lines: errors })
+    }
+
+    const { columns, data } = await getRequestData(request, config, rows)
+
+    let created = []
+    if (data.length) {
+      const createRows = getCreateRows(await config.preInsert(data), config)
+      const batchSize = Math.floor(MAX_QUERY_PARAMS / Object.keys(createRows[0]).length)
+
+      created = await repo.transaction(async transactionRepo => {
+        const results = []
+        for (const batch of chunk(createRows, batchSize)) {
+          const { rows: batchRows } = await transactionRepo.create(batch, columns)
+          results.push(...batchRows)
+        }
+        return results
+      })
+    }
+
+    return h.response({
+      data: created,
+      error: null,
+      rowCount: created.length,
+      ...(skipInvalid && { skipped: errors })
+    }).code(created.length ? 201 : 200)
+  } catch (error) {
+    return errorReply(error, h)
+  }
+}
+
+/**
+ * Creates the records in a validated tree of nested records.  The child
+ * records of each record are then created with their foreign key set to the
+ * primary key of the record created, and nested in it.  Records without
+ * child records are created in a single multi-row insert
+ * @param {Object} repo - repository running queries in the transaction
+ * @param {Array} tree - validated records [{value, children : {relation : [...]}}]
+ * @param {Object} config - HAPI PG REST API config object
+ * @param {Array} [columns] - columns to return
+ * @return {Promise} resolves with created rows
+ */
+const createTree = async (repo, tree, config, columns) => {
+  if (!tree.length) {
+    return []
+  }
+  const data = getCreateRows(await config.preInsert(tree.map(node => node.value)), config)
+
+  if (tree.every(node => isEmpty(node.children))) {
+    const { rows } = await repo.create(data, columns)
+    return rows
+  }
+
+  // Primary key is needed to set the foreign key of the child records
+  const returning = columns && union(columns, [config.primaryKey])
+  const created = []
+  for (const [i, row] of data.entries()) {
+    const { rows: [record] } = await repo.create(row, returning)
+    for (const [name, children] of Object.entries(tree[i].children)) {
+      const relation = config.relations[name]
+      const childRepo = getRelatedRepository(repo, relation)
+      children.forEach(child => { child.value[relation.foreignKey] = record[config.primaryKey] })
+      record[name] = await createTree(childRepo, children, childRepo.config, childRepo.config.readableColumns)
+    }
+    if (returning && !columns.includes(config.primaryKey)) {
+      delete record[config.primaryKey]
+    }
+    created.push(record)
+  }
+  return created
+}
+
+/**
+ * Create records with nested records for the API's writable relations.  All
+ * records are created in a single transaction, so no records are created
+ * if any fail
+ * @param {Object|Array} payload - create payload
+ * @param {Array} [columns] - columns to output in reply
+ */
+const createNested = async (request, h, payload, columns) => {
+  const config = request.route.settings.plugins.hapiPgRestAPI
+  const repo = getRequestRepository(request, config)
+
+  const { error, value: tree } = validateNestedCreatePayload(payload, config)
   if (error) {
     return errorReply(new ValidationError(error), h)
   }
 
-  let data = await config.preInsert(value)
+  try {
+    const rows = await repo.transaction(transactionRepo => createTree(transactionRepo, tree, config, columns))
 
-  // Convert to array for ease of adding GUID/timestamp fields
-  data = isArray(data) ? data : [data]
+    return h.response({
+      data: rows.length === 1 ? rows[0] : rows,
+      error: null
+    }).code(201)
+  } catch (error) {
+    return errorReply(error, h)
+  }
+}
 
-  const ts = moment().format('YYYY-MM-DD HH:mm:ss')
-  data = data.map(row => {
-    // Generate primary key
-    if (!config.primaryKeyAuto && config.primaryKeyGuid) {
-      row[config.primaryKey] = uuidV4()
+/**
+ * Create single/multiple record.  CSV and NDJSON payloads are imported
+ * as multiple records.  Payloads may include nested records for the API's
+ * writable relations
+ * @param {String} [request.query.columns] - columns to output in reply
+ * @param {String} [request.query.onConflict] - comma separated conflict target columns, to upsert the records
+ * @param {String} [request.query.mode] - 'update' to update conflicting records (default), or 'ignore' to skip them
+ */
+const create = async (request, h) => {
+  const format = getImportFormat(request)
+  const { onConflict } = request.query
+  if (format) {
+    if (onConflict) {
+      throw new ValidationError('Upsert is not supported for imports')
     }
-    // Generate on create time stamp
-    if (config.onCreateTimestamp) {
-      row[config.onCreateTimestamp] = ts
+    return importRecords(request, h, format)
+  }
+
+  const config = request.route.settings.plugins.hapiPgRestAPI
+  const repo = getRequestRepository(request, config)
+  const { columns, data: payload } = await getRequestData(request, config)
+
+  if (hasNestedRecords(payload, config)) {
+    if (onConflict) {
+      throw new ValidationError('Upsert is not supported with nested records')
     }
-    return row
-  })
+    return createNested(request, h, payload, columns)
+  }
+
+  const { error, value } = validateCreatePayload(payload, config)
+  if (error) {
+    return errorReply(new ValidationError(error), h)
+  }
+
+  const data = getCreateRows(await config.preInsert(value), config)
 
   // Persist data
   try {
-    const { rows } = await repo.create(data, columns)
+    const upsert = getUpsert(request.query, data, config)
+    const { rows } = await repo.create(data, columns, { upsert })
 
     return h.response({
       data: rows.length === 1 ? rows[0] : rows,
@@ -115,7 +484,7 @@ const create = async (request, h) => {
  */
 const updateOne = async (request, h) => {
   const config = request.route.settings.plugins.hapiPgRestAPI
-  const repo = manager.get(config.name)
+  const repo = getRequestRepository(request, config)
   const { columns, filter } = await getRequestData(request, config)
 
   const { error } = validateParams(request.params, config)
@@ -135,39 +504,161 @@ const updateOne = async (request, h) => {
     data[config.onUpdateTimestamp] = moment().format('YYYY-MM-DD HH:mm:ss')
   }
 
+  const ifMatch = getIfMatch(request, config)
+
   try {
-    const { rows, rowCount } = await repo.update(filter, data, columns)
+    const { rows, rowCount, etags = [], modified = [] } = await repo.update(filter, data, columns, { etag: config.etag, ifMatch })
 
     if (rowCount !== 1) {
-      return errorReply(new NotFoundError(), h)
+      return errorReply(await getNoRowsError(repo, filter, ifMatch), h)
     }
 
-    return {
+    return singleRecordResponse(h, {
       data: rows[0],
       error: null,
       rowCount
-    }
+    }, etags[0], modified[0])
   } catch (error) {
     return errorReply(error, h)
   }
 }
 
 /**
- * PUT method to replace record.  Not yet implemeneted
+ * Replace a single record.  Columns omitted from the payload are reset
+ * to their DB default.  If config.createOnReplace is set, the record is
+ * created if it does not exist
+ * @param {String} request.params.id - primary key value
+ * @param {Object} request.payload - full replacement record
+ * @param {String} [request.query.columns] - columns to output in reply
  */
 const replaceOne = async (request, h) => {
-  return errorReply(new NotImplementedError(), h)
+  const config = request.route.settings.plugins.hapiPgRestAPI
+  const repo = getRequestRepository(request, config)
+  const { columns, filter, data: payload } = await getRequestData(request, config)
+
+  const { error, value: key } = validateParams(request.params, config)
+  if (error) {
+    return errorReply(new ValidationError(error), h)
+  }
+
+  // Validate payload
+  const { error: payloadError, value: payloadValue } = validateReplacePayload(payload, config, key)
+  if (payloadError) {
+    return errorReply(payloadError, h)
+  }
+
+  const data = await config.preUpdate({ ...payloadValue })
+  for (const column of getKeyColumns(config)) {
+    delete data[column]
+  }
+
+  const ts = moment().format('YYYY-MM-DD HH:mm:ss')
+  if (config.onUpdateTimestamp) {
+    data[config.onUpdateTimestamp] = ts
+  }
+
+  const ifMatch = getIfMatch(request, config)
+  const updateData = { ...data, $custom: getReplaceDefaults(data, config) }
+
+  try {
+    // Create the record if it does not exist, unless a precondition was supplied
+    if (config.createOnReplace && !config.primaryKeyAuto && !ifMatch) {
+      const insertData = { ...data, ...key }
+      if (config.onCreateTimestamp) {
+        insertData[config.onCreateTimestamp] = ts
+      }
+      const { rows, rowCount, actions, etags = [], modified = [] } = await repo.replace(filter, insertData, updateData, columns, { etag: config.etag })
+
+      if (rowCount === 0) {
+        return errorReply(await getNoRowsError(repo, filter), h)
+      }
+      const response = singleRecordResponse(h, {
+        data: rows[0],
+        error: null,
+        rowCount
+      }, etags[0], modified[0])
+      return actions[0] === 'inserted' ? response.code(201) : response
+    }
+
+    const { rows, rowCount, etags = [], modified = [] } = await repo.update(filter, updateData, columns, { etag: config.etag, ifMatch })
+
+    if (rowCount === 1) {
+      return singleRecordResponse(h, {
+        data: rows[0],
+        error: null,
+        rowCount
+      }, etags[0], modified[0])
+    }
+
+    return errorReply(await getNoRowsError(repo, filter, ifMatch), h)
+  } catch (error) {
+    return errorReply(error, h)
+  }
 }
 
 /**
- * Update multiple records
+ * Update each of a list of records with different values, in a single
+ * transaction.  The ids of records not found are returned
+ * @param {String} [request.query.filter] - JSON encoded filter object, which each record must also match
+ * @param {Array} request.payload - list of {id, ...changes} objects
+ * @param {String} [request.query.columns] - CSV of columns to return
+ */
+const updateEach = async (request, h) => {
+  const config = request.route.settings.plugins.hapiPgRestAPI
+  const repo = getRequestRepository(request, config)
+  const { filter, columns, data: payload } = await getRequestData(request, config)
+
+  const { error, value: updates, index } = validateUpdateEachPayload(payload, config)
+  if (error) {
+    return errorReply(error, h, index === undefined ? {} : { index })
+  }
+
+  const ts = moment().format('YYYY-MM-DD HH:mm:ss')
+
+  try {
+    const { rows, notFound } = await repo.transaction(async transactionRepo => {
+      const result = { rows: [], notFound: [] }
+      for (const { id, key, data: changes } of updates) {
+        const data = await config.preUpdate(changes)
+        if (config.onUpdateTimestamp) {
+          data[config.onUpdateTimestamp] = ts
+        }
+        // The key can't replace conditions on the same columns in the filter, e.g. set by preQuery
+        const { rows } = await transactionRepo.update({ $and: [filter, key] }, data, columns)
+        if (rows.length) {
+          result.rows.push(...rows)
+        } else {
+          result.notFound.push(id)
+        }
+      }
+      return result
+    })
+
+    return {
+      data: rows,
+      error: null,
+      rowCount: rows.length,
+      notFound
+    }
+  } catch (error) {
+    return errorReply(error, h)
+  }
+}
+
+/**
+ * Update multiple records.  If the payload is an array, each record in it
+ * is updated with its own values
  * @param {String} request.query.filter - JSON encoded filter string for records to update
- * @param {Object} request.payload - key/value pairs of values to update
+ * @param {Object|Array} request.payload - key/value pairs of values to update, or a list of {id, ...changes}
  * @param {String} request.query.columns - CSV of columns to return (default *)
  */
 const updateMany = async (request, h) => {
+  if (isArray(request.payload)) {
+    return updateEach(request, h)
+  }
+
   const config = request.route.settings.plugins.hapiPgRestAPI
-  const repo = manager.get(config.name)
+  const repo = getRequestRepository(request, config)
   const { filter, columns } = await getRequestData(request, config)
 
   if (isEmpty(filter)) {
@@ -205,7 +696,7 @@ const updateMany = async (request, h) => {
  */
 const deleteOne = async (request, h) => {
   const config = request.route.settings.plugins.hapiPgRestAPI
-  const repo = manager.get(config.name)
+  const repo = getRequestRepository(request, config)
   const { filter } = await getRequestData(request, config)
 
   const { error } = validateParams(request.params, config)
@@ -213,11 +704,13 @@ const deleteOne = async (request, h) => {
     return errorReply(error, h)
   }
 
+  const ifMatch = getIfMatch(request, config)
+
   try {
-    const { rowCount } = await repo.delete(filter)
+    const { rowCount } = await repo.delete(filter, { ifMatch })
 
     if (rowCount === 0) {
-      return errorReply(new NotFoundError(), h)
+      return errorReply(await getNoRowsError(repo, filter, ifMatch), h)
     }
 
     return {
@@ -230,13 +723,50 @@ const deleteOne = async (request, h) => {
   }
 }
 
+/**
+ * Restore a single soft deleted record
+ * @param {Mixed} request.params.id - the primary key value
+ * @param {String} [request.query.columns] - columns to output in reply
+ */
+const restoreOne = async (request, h) => {
+  const config = request.route.settings.plugins.hapiPgRestAPI
+  const repo = getRequestRepository(request, config)
+  const { columns, filter } = await getRequestData(request, config)
+
+  const { error } = validateParams(request.params, config)
+  if (error) {
+    return errorReply(new ValidationError(error), h)
+  }
+
+  const data = {}
+  if (config.onUpdateTimestamp) {
+    data[config.onUpdateTimestamp] = moment().format('YYYY-MM-DD HH:mm:ss')
+  }
+
+  try {
+    const { rows, rowCount, etags = [], modified = [] } = await repo.restore(filter, data, columns, { etag: config.etag })
+
+    if (rowCount !== 1) {
+      return errorReply(new NotFoundError(), h)
+    }
+
+    return singleRecordResponse(h, {
+      data: rows[0],
+      error: null,
+      rowCount
+    }, etags[0], modified[0])
+  } catch (error) {
+    return errorReply(error, h)
+  }
+}
+
 /**
  * Delete many results, with options for filter
  * @param {String} request.query.filter - JSON encoded filter object
  */
 const deleteMany = async (request, h) => {
   const config = request.route.settings.plugins.hapiPgRestAPI
-  const repo = manager.get(config.name)
+  const repo = getRequestRepository(request, config)
 
   const { filter } = await getRequestData(request, config)
 
@@ -254,13 +784,154 @@ const deleteMany = async (request, h) => {
   }
 }
 
+/**
+ * Batch operation handlers.  Each runs a single create, update or delete
+ * operation using the supplied repository, throwing on error
+ */
+const batchOperations = {
+  create: async (repo, { data }, config, columns) => {
+    const { error, value } = validateCreatePayload(data, config)
+    if (error) {
+      throw new ValidationError(error)
+    }
+    const { rows } = await repo.create(getCreateRows(await config.preInsert(value), config), columns)
+    return {
+      data: rows.length === 1 ? rows[0] : rows,
+      rowCount: rows.length
+    }
+  },
+
+  update: async (repo, { id, filter, data }, config, columns) => {
+    if (isEmpty(filter)) {
+      throw new ValidationError('Filter is required')
+    }
+    const { error, value } = validateUpdatePayload(data, config)
+    if (error) {
+      throw error
+    }
+    const values = await config.preUpdate(value)
+    if (config.onUpdateTimestamp) {
+      values[config.onUpdateTimestamp] = moment().format('YYYY-MM-DD HH:mm:ss')
+    }
+    const { rows, rowCount } = await repo.update(filter, values, columns)
+    if (id !== undefined && rowCount !== 1) {
+      throw new NotFoundError()
+    }
+    return {
+      data: id === undefined ? rows : rows[0],
+      rowCount
+    }
+  },
+
+  delete: async (repo, { id, filter }) => {
+    const { rowCount } = await repo.delete(filter)
+    if (id !== undefined && rowCount === 0) {
+      throw new NotFoundError()
+    }
+    return {
+      data: null,
+      rowCount
+    }
+  }
+}
+
+/**
+ * Runs a single batch operation.  The filter and data for the operation are
+ * passed through the preQuery hook in the same way as for a HTTP request
+ * @param {Object} repo - the repository instance for the transaction
+ * @param {Object} operation - {action, id, filter, data}
+ * @param {Object} request - HAPI request interface
+ * @param {Object} config - HAPI PG REST API config object
+ * @param {Array} [columns] - columns to return
+ * @return {Promise} resolves with {data, rowCount}
+ */
+const runBatchOperation = async (repo, operation, request, config, columns) => {
+  const filter = checkFilter(checkFilterableColumns({ ...operation.filter }, config), config)
+  if (operation.id !== undefined) {
+    const key = getKeyFromId(operation.id, config)
+    const { error } = validateKey(key, config)
+    if (error) {
+      throw new ValidationError(error)
+    }
+    Object.assign(filter, key)
+  }
+
+  const query = await config.preQuery({
+    filter,
+    sort: {},
+    pagination: config.pagination,
+    columns,
+    includeDeleted: false,
+    data: operation.data || {}
+  }, request)
+
+  return batchOperations[operation.action](repo, { ...operation, ...query }, config, columns)
+}
+
+/**
+ * Run an ordered list of create, update and delete operations in a single
+ * transaction.  If any operation fails, all are rolled back and the index
+ * of the failed operation is returned in the error
+ * @param {Array} request.payload - list of operations {action, id, filter, data}
+ * @param {String} [request.query.columns] - columns to output in reply
+ */
+const batch = async (request, h) => {
+  const config = request.route.settings.plugins.hapiPgRestAPI
+  const repo = getRequestRepository(request, config)
+  const { columns } = await getRequestData(request, config)
+
+  const { error, value: operations } = validateBatchPayload(request.payload)
+  if (error) {
+    return errorReply(new ValidationError(error), h)
+  }
+
+  let failedIndex = null
+
+  try {
+    const data = await repo.transaction(async transactionRepo => {
+      const results = []
+      for (const [index, operation] of operations.entries()) {
+        failedIndex = index
+        results.push(await runBatchOperation(transactionRepo, operation, request, config, columns))
+      }
+      failedIndex = null
+      return results
+    })
+
+    return {
+      data,
+      error: null
+    }
+  } catch (error) {
+    return errorReply(error, h, failedIndex === null ? {} : { index: failedIndex })
+  }
+}
+
+/**
+ * Wraps a route handler so that errors thrown while interpreting the
+ * request, e.g. a column which is not allowed, are replied in the standard
+ * error format
+ * @param {Function} handler - HAPI route handler
+ * @return {Function} HAPI route handler
+ */
+const replyOnError = handler => async (request, h) => {
+  try {
+    return await handler(request, h)
+  } catch (error) {
+    return errorReply(error, h)
+  }
+}
+
 module.exports = {
-  create,
-  findOne,
-  findMany,
-  updateOne,
-  replaceOne,
-  updateMany,
-  deleteOne,
-  deleteMany
+  create: replyOnError(idempotent(create)),
+  findOne: replyOnError(findOne),
+  findMany: replyOnError(findMany),
+  updateOne: replyOnError(updateOne),
+  replaceOne: replyOnError(replaceOne),
+  updateMany: replyOnError(updateMany),
+  deleteOne: replyOnError(deleteOne),
+  deleteMany: replyOnError(deleteMany),
+  restoreOne: replyOnError(restoreOne),
+  batch: replyOnError(idempotent(batch)),
+  aggregate: replyOnError(aggregate)
 }
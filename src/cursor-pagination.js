@@ -0,0 +1,136 @@
+/**
+ * Keyset (cursor) pagination.  Pages are located using the sort column values
+ * of the first/last row of the current page, with the primary key as a
+ * tie-breaker, so no OFFSET or COUNT(*) queries are needed and pages remain
+ * consistent when rows are inserted
+ * @module cursor-pagination
+ */
+const { isArray, isEqual, castArray } = require('lodash')
+const { ValidationError } = require('./errors')
+
+/**
+ * Checks whether the pagination requested is cursor-based
+ * @param {Object} [pagination] - the pagination object received as part of the request
+ * @return {Boolean}
+ */
+const isCursorPagination = pagination => Boolean(pagination) && 'cursor' in pagination
+
+/**
+ * Gets the keyset for the requested sort.  The primary key columns are
+ * appended as a tie-breaker if not already sorted on
+ * @param {Object} sort - sort by {field : +1, field : -1}
+ * @param {String|Array} primaryKey - primary key column, or columns of a composite key
+ * @return {Array} keyset - [[column, 1|-1], ...]
+ */
+const getKeyset = (sort = {}, primaryKey) => {
+  const keyset = Object.entries(sort).map(([column, direction]) => [column, direction === -1 ? -1 : 1])
+  for (const column of castArray(primaryKey)) {
+    if (!(column in sort)) {
+      keyset.push([column, 1])
+    }
+  }
+  return keyset
+}
+
+/**
+ * Checks whether clients can safely page through all rows with a cursor for
+ * the sort, i.e. it only sorts on primary key columns, which can't be NULL.
+ * Cursors can be requested for any sort, but paging through all rows with
+ * offset pagination is preferred for other sorts
+ * @param {Object} sort - sort by {field : +1, field : -1}
+ * @param {String|Array} primaryKey - primary key column, or columns of a composite key
+ * @return {Boolean}
+ */
+const isCursorSafe = (sort = {}, primaryKey) => {
+  const keyColumns = castArray(primaryKey)
+  return Object.keys(sort).every(column => keyColumns.includes(column))
+}
+
+/**
+ * Encodes an opaque cursor
+ * @param {Array} keyset
+ * @param {Array} values - keyset values of the row to page from
+ * @param {Boolean} before - whether the cursor loads the page before the row
+ * @return {String}
+ */
+const encodeCursor = (keyset, values, before) => {
+  return Buffer.from(JSON.stringify({ keyset, values, before })).toString('base64url')
+}
+
+/**
+ * Decodes an opaque cursor, checking it was created for the same keyset
+ * @param {String} str - encoded cursor
+ * @param {Array} keyset
+ * @return {Object} cursor - {values, before}
+ */
+const decodeCursor = (str, keyset) => {
+  let cursor
+  try {
+    cursor = JSON.parse(Buffer.from(str, 'base64url').toString())
+  } catch (error) {
+    throw new ValidationError('Invalid pagination cursor')
+  }
+  if (!cursor || !isArray(cursor.values) || !isEqual(cursor.keyset, keyset)) {
+    throw new ValidationError('Pagination cursor does not match sort')
+  }
+  return cursor
+}
+
+/**
+ * Finds a page of records using the cursor in the pagination request
+ * @param {Object} repo - the repository instance
+ * @param {Object} request - request data
+ * @param {Object} request.filter - the query filter
+ * @param {Object} request.sort - the requested sort
+ * @param {Object} request.pagination - {cursor, perPage}
+ * @param {Array} [request.columns] - columns to select
+ * @param {Object} [request.options] - repository query options
+ * @param {Object} config - HAPI PG REST API config object
+ * @return {Promise} resolves with {rows, pagination}
+ */
+const findCursorPage = async (repo, { filter, sort, pagination, columns, options }, config) => {
+  const perPage = pagination.perPage || config.pagination.perPage
+  if (!Number.isInteger(perPage) || perPage < 1) {
+    throw new ValidationError('Pagination perPage must be a positive integer')
+  }
+
+  const keyset = getKeyset(sort, config.primaryKey)
+  const cursor = pagination.cursor ? decodeCursor(pagination.cursor, keyset) : null
+  const before = Boolean(cursor && cursor.before)
+
+  // Load an extra row to determine whether there are more rows
+  const { rows, keys } = await repo.findByKeyset(filter, keyset, {
+    values: cursor && cursor.values,
+    before,
+    limit: perPage + 1
+  }, columns, options)
+
+  const hasMore = rows.length > perPage
+  if (hasMore) {
+    const index = before ? 0 : perPage
+    rows.splice(index, 1)
+    keys.splice(index, 1)
+  }
+
+  const hasNext = rows.length > 0 && (before || hasMore)
+  const hasPrev = rows.length > 0 && (before ? hasMore : Boolean(cursor))
+
+  return {
+    rows,
+    pagination: {
+      perPage,
+      cursor: pagination.cursor || null,
+      nextCursor: hasNext ? encodeCursor(keyset, keys[keys.length - 1], false) : null,
+      prevCursor: hasPrev ? encodeCursor(keyset, keys[0], true) : null
+    }
+  }
+}
+
+module.exports = {
+  isCursorPagination,
+  isCursorSafe,
+  getKeyset,
+  encodeCursor,
+  decodeCursor,
+  findCursorPage
+}
@@ -0,0 +1,96 @@
+/**
+ * Mapping of Postgres errors to HTTP responses.  Each SQLSTATE error code
+ * can be mapped to a status code, and the mapping can be overridden for
+ * each API with the dbErrors config option
+ * @module db-errors
+ */
+const { pick } = require('lodash')
+const { ConfigError } = require('./errors')
+
+/**
+ * Default mapping of Postgres error codes to responses
+ * @type {Object}
+ */
+const DB_ERRORS = {
+  // Class 22 - data exception
+  22001: { type: 'string_data_right_truncation', statusCode: 400 },
+  22003: { type: 'numeric_value_out_of_range', statusCode: 400 },
+  22007: { type: 'invalid_datetime_format', statusCode: 400 },
+  22008: { type: 'datetime_field_overflow', statusCode: 400 },
+  '22P02': { type: 'invalid_text_representation', statusCode: 400 },
+  // Class 23 - integrity constraint violation
+  23502: { type: 'not_null_violation', statusCode: 400 },
+  23503: { type: 'foreign_key_violation', statusCode: 409 },
+  23505: { type: 'unique_violation', statusCode: 409 },
+  23514: { type: 'check_violation', statusCode: 422 },
+  // Transient errors, which can be retried
+  40001: { type: 'serialization_failure', statusCode: 503, retryAfter: 1 },
+  '40P01': { type: 'deadlock_detected', statusCode: 503, retryAfter: 1 },
+  '55P03': { type: 'lock_not_available', statusCode: 503, retryAfter: 1 },
+  // Query cancelled by a statement timeout or because the client disconnected
+  57014: { type: 'query_canceled', statusCode: 504 }
+}
+
+/**
+ * Properties of the Postgres error which are included in the error response
+ * @type {Array}
+ */
+const ERROR_FIELDS = ['constraint', 'table', 'column', 'detail']
+
+/**
+ * Gets the DB error mapping for an API, with the API's overrides applied.
+ * An override can replace some properties of the default mapping, add a
+ * mapping for another error code, or be null to remove a mapping so that
+ * the error is a 500 response
+ * @param {Object} [overrides] - mapping for the API, keyed by error code
+ * @return {Object} mapping keyed by error code
+ */
+const getDBErrors = (overrides) => {
+  const dbErrors = { ...DB_ERRORS }
+  for (const [code, override] of Object.entries(overrides || {})) {
+    if (override === null) {
+      delete dbErrors[code]
+      continue
+    }
+    const mapping = { ...dbErrors[code], ...override }
+    if (!Number.isInteger(mapping.statusCode) || mapping.statusCode < 400 || mapping.statusCode > 599) {
+      throw new ConfigError(`DB error ${code} must be mapped to a 4xx or 5xx status code`)
+    }
+    dbErrors[code] = mapping
+  }
+  return dbErrors
+}
+
+/**
+ * Gets the response for a Postgres error
+ * @param {Object} error - Postgres error
+ * @param {Object} [dbErrors] - mapping keyed by error code, defaults to the default mapping
+ * @return {Object} {statusCode, retryAfter, body} - the error body to reply with
+ */
+const getDBErrorResponse = (error, dbErrors = DB_ERRORS) => {
+  const { code } = error
+  const mapping = dbErrors[(code || '').toString()]
+  if (!mapping) {
+    return {
+      statusCode: 500,
+      retryAfter: null,
+      body: { name: 'DBError', code }
+    }
+  }
+  return {
+    statusCode: mapping.statusCode,
+    retryAfter: mapping.retryAfter || null,
+    body: {
+      name: 'DBError',
+      code,
+      type: mapping.type || null,
+      ...pick(error, ERROR_FIELDS)
+    }
+  }
+}
+
+module.exports = {
+  DB_ERRORS,
+  getDBErrors,
+  getDBErrorResponse
+}
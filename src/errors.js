@@ -25,6 +25,26 @@ class NotFoundError extends ExtendableError {}
 
 class NotImplementedError extends ExtendableError {}
 
+/**
+ * An error class for when the request is not permitted
+ * @class ForbiddenError
+ */
+class ForbiddenError extends ExtendableError {}
+
+/**
+ * An error class for when an If-Match precondition does not match the
+ * current state of the record
+ * @class PreconditionFailedError
+ */
+class PreconditionFailedError extends ExtendableError {}
+
+/**
+ * An error class for when the request conflicts with a previous request,
+ * e.g. an idempotency key reused with a different payload
+ * @class ConflictError
+ */
+class ConflictError extends ExtendableError {}
+
 class APIClientError extends ExtendableError {
   constructor (error) {
     super(`API error: ${JSON.stringify(error)}`)
@@ -36,5 +56,8 @@ module.exports = {
   ValidationError,
   NotFoundError,
   NotImplementedError,
+  ForbiddenError,
+  PreconditionFailedError,
+  ConflictError,
   APIClientError
 }
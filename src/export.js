@@ -0,0 +1,155 @@
+/**
+ * Streaming export of find many results as CSV or NDJSON.  Rows are read
+ * from the DB in batches using a cursor and written to the response as they
+ * are loaded, so large exports are never buffered in memory
+ * @module export
+ */
+const { Readable } = require('stream')
+const { isObject } = require('lodash')
+const { ValidationError } = require('./errors')
+
+const EXPORT_BATCH_SIZE = 1000
+
+const formats = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv'
+  },
+  ndjson: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    extension: 'ndjson'
+  }
+}
+
+/**
+ * Gets the requested export format from the format query param, or the
+ * Accept header if not specified
+ * @param {Object} request - HAPI request interface
+ * @return {String|null} export format 'csv' or 'ndjson', or null for a JSON response
+ */
+const getExportFormat = (request) => {
+  const { format } = request.query
+  if (format) {
+    if (format === 'json') {
+      return null
+    }
+    if (!(format in formats)) {
+      throw new ValidationError(`Format must be one of json, ${Object.keys(formats).join(', ')}`)
+    }
+    return format
+  }
+
+  const accept = request.headers.accept || ''
+  if (accept.includes('text/csv')) {
+    return 'csv'
+  }
+  if (accept.includes('application/x-ndjson')) {
+    return 'ndjson'
+  }
+  return null
+}
+
+/**
+ * Formats a single value for a CSV file, quoting where necessary
+ * @param {Mixed} value
+ * @return {String}
+ */
+const formatCSVValue = (value) => {
+  if (value === null || value === undefined) {
+    return ''
+  }
+  let str = value
+  if (value instanceof Date) {
+    str = value.toISOString()
+  } else if (isObject(value)) {
+    str = JSON.stringify(value)
+  }
+  str = str.toString()
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str
+}
+
+/**
+ * Formats a row for a CSV file
+ * @param {Array} values
+ * @return {String} CSV line
+ */
+const formatCSVRow = values => `${values.map(formatCSVValue).join(',')}\n`
+
+/**
+ * Converts batches of rows to CSV lines.  The header line is taken from the
+ * keys of the first row, or the requested columns if there are no rows
+ * @param {AsyncIterable} batches - yields arrays of rows
+ * @param {Array} [columns] - requested columns
+ * @return {AsyncGenerator} yields strings
+ */
+const toCSV = async function * (batches, columns) {
+  let keys = null
+  for await (const rows of batches) {
+    if (!keys && rows.length) {
+      keys = Object.keys(rows[0])
+      yield formatCSVRow(keys)
+    }
+    yield rows.map(row => formatCSVRow(keys.map(key => row[key]))).join('')
+  }
+  if (!keys && columns) {
+    yield formatCSVRow(columns)
+  }
+}
+
+/**
+ * Converts batches of rows to newline-delimited JSON
+ * @param {AsyncIterable} batches - yields arrays of rows
+ * @return {AsyncGenerator} yields strings
+ */
+const toNDJSON = async function * (batches) {
+  for await (const rows of batches) {
+    yield rows.map(row => `${JSON.stringify(row)}\n`).join('')
+  }
+}
+
+/**
+ * Reads batches of rows from the DB, applying the postSelect hook to each
+ * @param {Object} repo - the repository instance
+ * @param {Object} query - request data {filter, sort, columns, options}
+ * @param {Object} config - HAPI PG REST API config object
+ * @return {AsyncGenerator} yields arrays of rows
+ */
+const findBatches = async function * (repo, { filter, sort, columns, options }, config) {
+  const batches = repo.findInBatches(filter, sort, columns, { ...options, batchSize: EXPORT_BATCH_SIZE })
+  for await (const rows of batches) {
+    yield config.postSelect(rows)
+  }
+}
+
+/**
+ * Creates a streaming export response.  If config.maxExportRows is set and
+ * the number of matching rows exceeds it, a ValidationError is thrown
+ * @param {Object} h - HAPI response toolkit
+ * @param {Object} repo - the repository instance
+ * @param {Object} query - request data {filter, sort, columns, options}
+ * @param {Object} config - HAPI PG REST API config object
+ * @param {String} format - export format 'csv' or 'ndjson'
+ * @return {Promise} resolves with HAPI response
+ */
+const exportResponse = async (h, repo, query, config, format) => {
+  if (config.maxExportRows) {
+    const { rows } = await repo.findRowCount(query.filter, query.options)
+    if (parseInt(rows[0].totalrowcount, 10) > config.maxExportRows) {
+      throw new ValidationError(`Export exceeds maximum of ${config.maxExportRows} rows`)
+    }
+  }
+
+  const batches = findBatches(repo, query, config)
+  const lines = format === 'csv' ? toCSV(batches, query.columns) : toNDJSON(batches)
+  const { contentType, extension } = formats[format]
+
+  return h.response(Readable.from(lines, { objectMode: false }))
+    .type(contentType)
+    .header('content-disposition', `attachment; filename="${config.name}.${extension}"`)
+}
+
+module.exports = {
+  getExportFormat,
+  formatCSVValue,
+  exportResponse
+}
@@ -0,0 +1,147 @@
+/**
+ * Checks a request filter only uses the operators clients are allowed, and
+ * is within the API's filter limits - the operators allowed on each column,
+ * and the maximum nesting depth, $in list size and number of predicates
+ * @module filter
+ */
+const { isArray, isPlainObject, difference } = require('lodash')
+const { ValidationError } = require('./errors')
+const { getColumn } = require('./columns')
+
+const LOGICAL_OPERATORS = ['$or', '$and', '$nor', '$not']
+const LIST_OPERATORS = ['$in', '$nin']
+
+// Name of the equality operator, which is implied for a column with a plain value
+const EQUALS_OPERATOR = '$equals'
+
+// mongo-sql operators which clients can use in filters - all of them except
+// $custom, which would let the client run its own SQL
+const FILTER_OPERATORS = [
+  ...LOGICAL_OPERATORS,
+  ...LIST_OPERATORS,
+  EQUALS_OPERATOR, '$ne', '$gt', '$gte', '$lt', '$lte', '$null', '$notNull', '$like', '$ilike',
+  '$years_ago', '$months_ago', '$days_ago', '$hours_ago', '$minutes_ago', '$seconds_ago',
+  '$exists', '$notExists'
+]
+
+/**
+ * Gets the operators used anywhere in a filter, including within columns
+ * @param {Mixed} filter
+ * @return {Array} operators
+ */
+const getOperators = (filter) => {
+  if (isArray(filter)) {
+    return filter.flatMap(getOperators)
+  }
+  if (!isPlainObject(filter)) {
+    return []
+  }
+  return Object.entries(filter).flatMap(([key, value]) => [
+    ...(key.startsWith('$') ? [key] : []),
+    ...getOperators(value)
+  ])
+}
+
+/**
+ * Gets the conditions on a column.  mongo-sql treats an array value as $in
+ * and any other value other than an object of operators as $equals
+ * @param {Mixed} value - the value of a column in the filter
+ * @return {Array} [[operator, value], ...]
+ */
+const getConditions = (value) => {
+  if (isArray(value)) {
+    return [['$in', value]]
+  }
+  if (isPlainObject(value)) {
+    return Object.entries(value)
+  }
+  return [[EQUALS_OPERATOR, value]]
+}
+
+/**
+ * Gets the predicates in a filter.  Each condition on a column is a
+ * predicate, as is any other operator such as $custom which is not within a
+ * column
+ * @param {Object|Array} filter
+ * @param {Number|null} maxDepth - maximum nesting of logical operators such as $or
+ * @param {Number} [depth] - current nesting depth
+ * @return {Array} predicates [{column, operator, value}, ...]
+ */
+const getPredicates = (filter, maxDepth, depth = 0) => {
+  if (maxDepth !== null && depth > maxDepth) {
+    throw new ValidationError(`Filter nesting depth exceeds the maximum of ${maxDepth}`)
+  }
+  if (isArray(filter)) {
+    return filter.flatMap(item => getPredicates(item, maxDepth, depth))
+  }
+  if (!isPlainObject(filter)) {
+    return []
+  }
+  return Object.entries(filter).flatMap(([key, value]) => {
+    if (LOGICAL_OPERATORS.includes(key)) {
+      return getPredicates(value, maxDepth, depth + 1)
+    }
+    if (key.startsWith('$')) {
+      return [{ column: null, operator: key, value }]
+    }
+    return getConditions(value).map(([operator, operand]) => ({ column: getColumn(key), operator, value: operand }))
+  })
+}
+
+/**
+ * Checks an operator is allowed on a column.  Columns not listed allow the
+ * operators listed for '*', or any operator if '*' is not listed.  Operators
+ * not within a column, such as $custom, must be listed for '*'
+ * @param {String|null} column
+ * @param {String} operator
+ * @param {Object} filterOperators - {column : [operators], '*' : [operators]}
+ */
+const checkOperator = (column, operator, filterOperators) => {
+  const allowed = (column && filterOperators[column]) || filterOperators['*']
+  const isAllowed = allowed ? allowed.includes(operator) : column !== null
+  if (!isAllowed) {
+    throw new ValidationError(`Filter operator ${operator} is not allowed${column ? ` on column ${column}` : ''}`)
+  }
+}
+
+/**
+ * Checks the filter only uses the allowed operators, and is within the API's
+ * filter limits
+ * @param {Object} filter
+ * @param {Object} config - HAPI PG REST API config object
+ * @param {Object} [config.filterOperators] - operators allowed per column
+ * @param {Number} [config.maxFilterDepth] - maximum nesting depth of $or/$and/$nor/$not
+ * @param {Number} [config.maxFilterInSize] - maximum number of values in an $in/$nin list
+ * @param {Number} [config.maxFilterPredicates] - maximum number of predicates
+ * @return {Object} filter
+ */
+const checkFilter = (filter, config) => {
+  const { filterOperators, maxFilterDepth, maxFilterInSize, maxFilterPredicates } = config
+
+  const [operator] = difference(getOperators(filter), FILTER_OPERATORS)
+  if (operator !== undefined) {
+    throw new ValidationError(`Filter operator ${operator} is not allowed`)
+  }
+
+  const predicates = getPredicates(filter, maxFilterDepth)
+
+  if (maxFilterPredicates !== null && predicates.length > maxFilterPredicates) {
+    throw new ValidationError(`Filter has ${predicates.length} predicates, exceeding the maximum of ${maxFilterPredicates}`)
+  }
+
+  for (const { column, operator, value } of predicates) {
+    if (filterOperators) {
+      checkOperator(column, operator, filterOperators)
+    }
+    if (maxFilterInSize !== null && LIST_OPERATORS.includes(operator) && isArray(value) && value.length > maxFilterInSize) {
+      throw new ValidationError(`Filter ${operator} list for column ${column} has ${value.length} values, exceeding the maximum of ${maxFilterInSize}`)
+    }
+  }
+
+  return filter
+}
+
+module.exports = {
+  getPredicates,
+  checkFilter
+}
@@ -1,117 +1,265 @@
-const { APIClientError } = require('./errors')
+const crypto = require('crypto')
+const { get } = require('lodash')
+const { APIClientError, ValidationError } = require('./errors')
+const { checkReadableColumns, checkFilterableColumns, checkSortableColumns } = require('./columns')
+const { checkFilter } = require('./filter')
+const { getDBErrorResponse } = require('./db-errors')
+const { getKeyFromParams } = require('./primary-key')
+
+const COUNT_MODES = ['exact', 'estimated', 'none']
+
+/**
+ * Gets the row count mode for a paginated request - 'exact', 'estimated'
+ * or 'none'
+ * @param {Object} pagination - the pagination object received as part of the request
+ * @param {Object} config - HAPI PG REST API config object
+ * @return {String} count mode
+ */
+const getCountMode = (pagination, config) => {
+  const count = pagination.count || config.pagination.count || 'exact'
+  if (!COUNT_MODES.includes(count)) {
+    throw new ValidationError(`Pagination count must be one of ${COUNT_MODES.join(', ')}`)
+  }
+  return count
+}
 
 /**
  * Get pagination info for paginated request
- * Includes total row count and number of pages
+ * Includes total row count and number of pages - or whether there are more
+ * rows if no count was requested - and advertises whether all rows can be
+ * paged through with cursor pagination for the sort
  * @param {Object} pagination - the pagination object received as part of the request
+ * @param {Object} result - the result of repo.find
  * @param {Object} repo - the repository instance
  * @param {Object} filter - the query filter
+ * @param {Object} options - repository query options
+ * @param {String} options.count - count mode
+ * @param {Boolean} cursorPagination - whether cursor pagination is safe for the sort
  * @return {Promise} resolves with object of pagination info
  */
-const getPaginationResponse = async (pagination, repo, filter) => {
-  const result = await repo.findRowCount(filter)
-  const totalRows = parseInt(result.rows[0].totalrowcount, 10)
+const getPaginationResponse = async (pagination, result, repo, filter, options, cursorPagination) => {
+  const { count } = options
+
+  if (count === 'none') {
+    return {
+      ...pagination,
+      count,
+      hasMore: result.hasMore,
+      cursorPagination
+    }
+  }
+
+  let { totalRows } = result
+  if (count === 'estimated') {
+    totalRows = await repo.findEstimatedRowCount(filter, options)
+  } else if (totalRows === undefined) {
+    // Page is past the end of the results, so the total must be counted separately
+    const { rows } = await repo.findRowCount(filter, options)
+    totalRows = parseInt(rows[0].totalrowcount, 10)
+  }
 
   return {
     ...pagination,
+    count,
     totalRows,
-    pageCount: Math.ceil(totalRows / pagination.perPage)
+    pageCount: Math.ceil(totalRows / pagination.perPage),
+    cursorPagination
+  }
+}
+
+/**
+ * Gets the pagination for a request, with the API's defaults for any keys not
+ * supplied.  A perPage above the maxPerPage config option is reduced to the
+ * maximum, or rejected if the perPageOverflow config option is 'reject'
+ * @param {Object} pagination - the pagination object received as part of the request
+ * @param {Object} config - HAPI PG REST API config object
+ * @return {Object} pagination
+ */
+const getPagination = (pagination, config) => {
+  const { maxPerPage, perPageOverflow } = config
+  const result = { ...config.pagination, ...pagination }
+  if (maxPerPage && result.perPage > maxPerPage) {
+    if (perPageOverflow === 'reject') {
+      throw new ValidationError(`Pagination perPage must be at most ${maxPerPage}`)
+    }
+    result.perPage = maxPerPage
+  }
+  return result
+}
+
+/**
+ * Gets a Link header for the next page of results, if the page returned
+ * doesn't include the last of the results
+ * @param {Object} request - HAPI request interface
+ * @param {Object} pagination - pagination info returned in the response
+ * @return {String|null} Link header, e.g. </endpoint?pagination=...>; rel="next"
+ */
+const getNextPageLink = (request, pagination) => {
+  const { page, perPage, count, pageCount, hasMore, nextCursor } = pagination
+  let next = null
+  if ('nextCursor' in pagination) {
+    next = nextCursor && { cursor: nextCursor, perPage }
+  } else if (count === 'none' ? hasMore : page < pageCount) {
+    next = { page: page + 1, perPage, count }
+  }
+  if (!next) {
+    return null
+  }
+  const query = new URLSearchParams({ ...request.query, pagination: JSON.stringify(next) })
+  return `<${request.path}?${query}>; rel="next"`
+}
+
+/**
+ * Gets a weak ETag for a list of records, derived from the number of
+ * matching rows and their most recent modification time.  This changes when
+ * a matching row is created, updated or deleted.  Last-Modified isn't used,
+ * as deleting a row doesn't change the most recent modification time
+ * @param {Object} repo - the repository instance
+ * @param {Object} filter - the query filter
+ * @param {Object} [options] - repository query options
+ * @return {Promise} resolves with {etag}, or null if the API has no timestamps
+ */
+const getListValidators = async (repo, filter, options) => {
+  if (!repo.getModifiedExpression()) {
+    return null
+  }
+  const { rows: [{ totalrowcount, lastmodified }] } = await repo.findLastModified(filter, options)
+  const modified = lastmodified ? new Date(lastmodified).toISOString() : ''
+  const etag = crypto
+    .createHash('md5')
+    .update(`${totalrowcount}:${modified}`)
+    .digest('hex')
+
+  return { etag }
+}
+
+/**
+ * Parses a JSON encoded query param
+ * @param {String} [str] - JSON string
+ * @param {String} name - param name for error message
+ * @param {Mixed} defaultValue - value if param not supplied
+ * @return {Mixed}
+ */
+const parseJSONParam = (str, name, defaultValue) => {
+  if (!str) {
+    return defaultValue
+  }
+  try {
+    return JSON.parse(str)
+  } catch (error) {
+    throw new ValidationError(`Invalid JSON in ${name}`)
   }
 }
 
 /**
  * Extracts data from the HAPI request
- * Decodes JSON/CSV encoded parameters
+ * Decodes JSON/CSV encoded parameters, and checks the columns read, filtered
+ * and sorted on are allowed and the filter is within the API's limits.  If no
+ * columns are requested, all readable columns are returned
  * @param {Object} request - HAPI request interface
  * @param {Object} config - HAPI PG REST API config object
+ * @param {Object|Array} [payload] - request data, if not the request payload
+ * @param {Object} [options]
+ * @param {Boolean} [options.checkSort] - whether to check the sort columns are sortable (default true)
  * @return {Object} request data
  */
-const getRequestData = (request, config) => {
-  const { filter: filterStr, sort, pagination, columns } = request.query
+const getRequestData = (request, config, payload = request.payload, options = {}) => {
+  const { filter: filterStr, sort: sortStr, pagination, columns, includeDeleted, include, q, headline } = request.query
+  const { checkSort = true } = options
 
-  const filter = filterStr ? JSON.parse(filterStr) : {}
+  const filter = checkFilter(checkFilterableColumns(parseJSONParam(filterStr, 'filter', {}), config), config)
 
-  if (request.params.id) {
-    filter[config.primaryKey] = request.params.id
+  const key = getKeyFromParams(request.params, config)
+  if (key) {
+    Object.assign(filter, key)
   }
 
+  const sort = parseJSONParam(sortStr, 'sort', {})
+
   const query = {
     filter,
-    sort: sort ? JSON.parse(sort) : {},
-    pagination: pagination ? JSON.parse(pagination) : config.pagination,
-    columns: columns ? columns.split(',') : null,
-    data: request.payload || {}
+    sort: checkSort ? checkSortableColumns(sort, config) : sort,
+    pagination: getPagination(parseJSONParam(pagination, 'pagination', {}), config),
+    columns: columns ? checkReadableColumns(columns.split(','), config) : config.readableColumns,
+    includeDeleted: includeDeleted === 'true',
+    include: include ? include.split(',') : [],
+    q: q || null,
+    headline: headline === 'true',
+    data: payload || {}
   }
 
   // Enable hooks to modify data at this point
   return config.preQuery(query, request)
 }
 
+/**
+ * Parses the If-Match request header into a list of ETags.  Weak ETags
+ * never match so are discarded.  HAPI adds a suffix to the ETag of a
+ * compressed response, e.g. "abc-gzip", which is removed
+ * @param {Object} request - HAPI request interface
+ * @param {Object} config - HAPI PG REST API config object
+ * @return {Array|null} list of ETags, or null if no precondition applies
+ */
+const getIfMatch = (request, config) => {
+  const header = request.headers['if-match']
+  if (!config.etag || !header || header.trim() === '*') {
+    return null
+  }
+  return header
+    .split(',')
+    .map(tag => tag.trim())
+    .filter(tag => !tag.startsWith('W/'))
+    .map(tag => tag.replace(/^"(.*)"$/, '$1').replace(/-(gzip|deflate)$/, ''))
+}
+
 /**
  * Formats standard error reply
  * @param {Object} error
  * @return {Object}
  */
-const formatError = (code, errorObj, h) => {
+const formatError = (code, errorObj, h, details) => {
   const error = {
     name: errorObj.name,
-    message: errorObj.toString()
+    message: errorObj.toString(),
+    ...details
   }
   return h.response({ error, data: null }).code(code)
 }
 
-/**
- * Converts error code as a string
- * @param  {String|Number} code - error code
- * @return {String}      error code as string
- */
-const getStringCode = (code) => {
-  return (code || '').toString()
-}
-
-/**
- * Checks if 2 postgres error codes are equal
- * @param {Number|String} a - first code to test
- * @param {Number|String} b - second code to test
- * @return {Boolean} true if the same
- */
-const isCodeEqual = (a, b) => {
-  return getStringCode(a) === getStringCode(b)
-}
-
-/**
- * CHecks whether the supplied PG error code should be mapped to a
- * 400 error
- * @param  {String|Number}  code - PostGres error code
- * @return {Boolean}       true if considered 400 error
- */
-const isBadRequest = (code) => {
-  return isCodeEqual(code, 23505) || isCodeEqual(code, 23502)
-}
-
 /**
    * Return a HAPI error response
    * @param {Object} error - PostGres DB response error or internal error
    * @param {Object} h - HAPI HTTP reply interface
+   * @param {Object} [details] - additional properties to include in the error response
    */
-const errorReply = (error, h) => {
+const errorReply = (error, h, details = {}) => {
   console.error(error)
   // Validation error is a bad request - 400
   if (error.name === 'ValidationError') {
-    return formatError(400, error, h)
+    return formatError(400, error, h, details)
   }
   // Config error - server issue
+  if (error.name === 'ForbiddenError') {
+    return formatError(403, error, h, details)
+  }
   if (error.name === 'NotFoundError') {
-    return formatError(404, error, h)
+    return formatError(404, error, h, details)
   }
   if (error.name === 'NotImplementedError') {
-    return formatError(501, error, h)
+    return formatError(501, error, h, details)
+  }
+  if (error.name === 'PreconditionFailedError') {
+    return formatError(412, error, h, details)
+  }
+  if (error.name === 'ConflictError') {
+    return formatError(409, error, h, details)
   }
 
-  // DB error
-  const { code } = error
-  const statusCode = isBadRequest(code) ? 400 : 500
-  return h.response({ error: { name: 'DBError', code }, data: null }).code(statusCode)
+  // DB error - mapped to a status code by its error code
+  const config = get(h, 'request.route.settings.plugins.hapiPgRestAPI')
+  const { statusCode, retryAfter, body } = getDBErrorResponse(error, config && config.dbErrors)
+  const response = h.response({ error: { ...body, ...details }, data: null }).code(statusCode)
+  return retryAfter ? response.header('Retry-After', retryAfter.toString()) : response
 }
 
 /**
@@ -126,8 +274,13 @@ const throwIfError = (error) => {
 
 module.exports = {
   getRequestData,
+  parseJSONParam,
+  getCountMode,
+  getPagination,
   getPaginationResponse,
+  getNextPageLink,
+  getListValidators,
+  getIfMatch,
   errorReply,
-  throwIfError,
-  isBadRequest
+  throwIfError
 }
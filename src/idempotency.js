@@ -0,0 +1,212 @@
+/**
+ * Idempotency keys for POST requests.  A request with an Idempotency-Key
+ * header is stored with a fingerprint of the request and its response, so
+ * that a repeat of the request replays the original response rather than
+ * creating the records again
+ * @module idempotency
+ */
+const crypto = require('crypto')
+const { ConfigError, ConflictError, ValidationError } = require('./errors')
+const { quoteTable } = require('./identifiers')
+const manager = require('./manager')
+
+const HEADER = 'idempotency-key'
+
+// Header added to replayed responses
+const REPLAYED_HEADER = 'Idempotent-Replayed'
+
+const MAX_KEY_LENGTH = 255
+
+/**
+ * Gets the idempotency config with defaults.  Can be specified as true to
+ * use the default table and TTLs
+ * @param {Object|Boolean} idempotency - {table, ttl, lockTtl, purgeProbability}
+ * @return {Object|null} {table, ttl, lockTtl, purgeProbability}, or null if idempotency keys are not enabled
+ */
+const getIdempotencyConfig = (idempotency) => {
+  if (!idempotency) {
+    return null
+  }
+  const config = {
+    table: 'idempotency_keys',
+    ttl: 86400,
+    lockTtl: 60,
+    purgeProbability: 0.01,
+    ...(idempotency === true ? {} : idempotency)
+  }
+  for (const key of ['ttl', 'lockTtl']) {
+    if (!Number.isInteger(config[key]) || config[key] < 1) {
+      throw new ConfigError(`Idempotency ${key} must be a positive whole number of seconds`)
+    }
+  }
+  if (typeof config.purgeProbability !== 'number' || config.purgeProbability < 0 || config.purgeProbability > 1) {
+    throw new ConfigError('Idempotency purgeProbability must be a number from 0 to 1')
+  }
+  return config
+}
+
+/**
+ * Gets a fingerprint of the request, so a key reused for a different
+ * request can be detected
+ * @param {Object} request - HAPI request
+ * @return {String} SHA-256 hash
+ */
+const getFingerprint = (request) => {
+  const { method, path, query, payload } = request
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([method, path, query, payload]))
+    .digest('hex')
+}
+
+/**
+ * Deletes the API's expired keys, so the table doesn't grow without limit
+ * @param {Object} repo - the API repository
+ * @param {Object} config - HAPI PG REST API config object
+ * @return {Promise}
+ */
+const purgeExpiredKeys = (repo, config) => {
+  const { table, ttl } = config.idempotency
+  const query = `DELETE FROM ${quoteTable(table)}
+    WHERE api = $1 AND date_created < NOW() - $2 * INTERVAL '1 second'`
+  return repo.dbQuery(query, [config.name, ttl])
+}
+
+/**
+ * Stores the key for the request unless it is already stored.  An expired
+ * key is claimed again for the new request, as is a key whose request has
+ * been in progress for longer than the lock TTL, e.g. because the process
+ * handling it stopped
+ * @param {Object} repo - the API repository
+ * @param {Object} config - HAPI PG REST API config object
+ * @param {String} key - idempotency key
+ * @param {String} fingerprint - request fingerprint
+ * @return {Promise} resolves with true if the key was stored
+ */
+const claimKey = async (repo, config, key, fingerprint) => {
+  const { table, ttl, lockTtl } = config.idempotency
+  const query = `INSERT INTO ${quoteTable(table)} AS stored (api, idempotency_key, fingerprint)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (api, idempotency_key) DO UPDATE
+      SET fingerprint = EXCLUDED.fingerprint, status_code = NULL, response = NULL, date_created = NOW()
+      WHERE stored.date_created < NOW() - $4 * INTERVAL '1 second'
+        OR (stored.status_code IS NULL AND stored.date_created < NOW() - $5 * INTERVAL '1 second')
+    RETURNING idempotency_key`
+  const { rowCount } = await repo.dbQuery(query, [config.name, key, fingerprint, ttl, lockTtl])
+  return rowCount === 1
+}
+
+/**
+ * Finds the stored key
+ * @param {Object} repo - the API repository
+ * @param {Object} config - HAPI PG REST API config object
+ * @param {String} key - idempotency key
+ * @return {Promise} resolves with {fingerprint, status_code, response}, or undefined
+ */
+const findKey = async (repo, config, key) => {
+  const query = `SELECT fingerprint, status_code, response FROM ${quoteTable(config.idempotency.table)}
+    WHERE api = $1 AND idempotency_key = $2`
+  const { rows } = await repo.dbQuery(query, [config.name, key])
+  return rows[0]
+}
+
+/**
+ * Stores the response for the key
+ * @param {Object} repo - the API repository
+ * @param {Object} config - HAPI PG REST API config object
+ * @param {String} key - idempotency key
+ * @param {Object} response - HAPI response
+ * @return {Promise}
+ */
+const saveResponse = (repo, config, key, response) => {
+  const query = `UPDATE ${quoteTable(config.idempotency.table)} SET status_code = $3, response = $4
+    WHERE api = $1 AND idempotency_key = $2`
+  return repo.dbQuery(query, [config.name, key, response.statusCode, JSON.stringify(response.source)])
+}
+
+/**
+ * Deletes the key, so that the request can be retried with it
+ * @param {Object} repo - the API repository
+ * @param {Object} config - HAPI PG REST API config object
+ * @param {String} key - idempotency key
+ * @return {Promise}
+ */
+const deleteKey = (repo, config, key) => {
+  const query = `DELETE FROM ${quoteTable(config.idempotency.table)} WHERE api = $1 AND idempotency_key = $2`
+  return repo.dbQuery(query, [config.name, key])
+}
+
+/**
+ * Replies to a request whose key is already stored - with the stored
+ * response if the request is a repeat of the original request
+ * @param {Object} stored - {fingerprint, status_code, response}
+ * @param {String} fingerprint - request fingerprint
+ * @param {Object} h - HAPI response toolkit
+ * @return {Object} HAPI response
+ */
+const replay = (stored, fingerprint, h) => {
+  if (stored.fingerprint !== fingerprint) {
+    throw new ConflictError('Idempotency key has already been used for a different request')
+  }
+  if (stored.status_code === null) {
+    throw new ConflictError('A request with this idempotency key is in progress')
+  }
+  return h.response(stored.response).code(stored.status_code).header(REPLAYED_HEADER, 'true')
+}
+
+/**
+ * Wraps a POST handler so that requests with an Idempotency-Key header are
+ * only processed once.  Successful responses are stored and replayed for
+ * repeats of the request.  The key is released if the request fails, so it
+ * can be retried.  Expired keys are purged by a proportion of the requests
+ * with a key, set by the purgeProbability config option
+ * @param {Function} handler - HAPI route handler
+ * @return {Function} HAPI route handler
+ */
+const idempotent = handler => async (request, h) => {
+  const config = request.route.settings.plugins.hapiPgRestAPI
+  const key = request.headers[HEADER]
+  if (!config.idempotency || key === undefined) {
+    return handler(request, h)
+  }
+  if (!key.length || key.length > MAX_KEY_LENGTH) {
+    throw new ValidationError(`Idempotency-Key header must be 1 to ${MAX_KEY_LENGTH} characters`)
+  }
+
+  const repo = manager.get(config.name)
+  const fingerprint = getFingerprint(request)
+
+  if (Math.random() < config.idempotency.purgeProbability) {
+    await purgeExpiredKeys(repo, config)
+  }
+  if (!await claimKey(repo, config, key, fingerprint)) {
+    const stored = await findKey(repo, config, key)
+    if (!stored) {
+      throw new ConflictError('A request with this idempotency key is in progress')
+    }
+    return replay(stored, fingerprint, h)
+  }
+
+  let isSaved = false
+  try {
+    const result = await handler(request, h)
+    // Handlers can reply with a plain object, which is a 200 response
+    const response = typeof result.code === 'function' ? result : h.response(result)
+    if (response.statusCode >= 200 && response.statusCode < 300) {
+      await saveResponse(repo, config, key, response)
+      isSaved = true
+    }
+    return response
+  } finally {
+    if (!isSaved) {
+      await deleteKey(repo, config, key)
+    }
+  }
+}
+
+module.exports = {
+  getIdempotencyConfig,
+  getFingerprint,
+  purgeExpiredKeys,
+  idempotent
+}
@@ -0,0 +1,62 @@
+/**
+ * Quoting of SQL identifiers - table, schema and column names.  Identifiers
+ * interpolated into SQL rather than built by mongo-sql are quoted here, and
+ * can be checked against the columns configured for the API
+ * @module identifiers
+ */
+const { ValidationError } = require('./errors')
+
+/**
+ * Quotes a single identifier.  Double quotes within the identifier are
+ * escaped by doubling them
+ * @param {String} name
+ * @return {String}
+ */
+const quoteIdentifier = (name) => {
+  if (typeof name !== 'string' || !name.length || name.includes('\0')) {
+    throw new ValidationError(`Invalid identifier ${JSON.stringify(name)}`)
+  }
+  return `"${name.replace(/"/g, '""')}"`
+}
+
+/**
+ * Quotes a table name, which may be qualified with a schema, e.g.
+ * water.licences
+ * @param {String} table
+ * @return {String}
+ */
+const quoteTable = (table) => {
+  return table.split('.').map(quoteIdentifier).join('.')
+}
+
+/**
+ * Quotes a column name, optionally qualified with its table
+ * @param {String} column
+ * @param {String} [table]
+ * @return {String}
+ */
+const quoteColumn = (column, table) => {
+  return table ? `${quoteTable(table)}.${quoteIdentifier(column)}` : quoteIdentifier(column)
+}
+
+/**
+ * Checks identifiers are in a list of known columns
+ * @param {Array} names - identifiers to check
+ * @param {Array} [columns] - known columns, or undefined to allow any
+ */
+const checkColumns = (names, columns) => {
+  if (!columns) {
+    return
+  }
+  const unknown = names.find(name => !columns.includes(name))
+  if (unknown !== undefined) {
+    throw new ValidationError(`Unknown column ${unknown}`)
+  }
+}
+
+module.exports = {
+  quoteIdentifier,
+  quoteTable,
+  quoteColumn,
+  checkColumns
+}
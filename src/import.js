@@ -0,0 +1,224 @@
+/**
+ * Bulk import of CSV and NDJSON payloads on the create route.  Payloads are
+ * parsed into rows, each tagged with the line number it started on so that
+ * validation errors can be reported per line
+ * @module import
+ */
+const { get, isEqual, isPlainObject } = require('lodash')
+const { ValidationError } = require('./errors')
+const { validateImportRow } = require('./validators')
+
+const NDJSON_MIME = 'application/x-ndjson'
+
+/**
+ * Route onPreAuth extension.  HAPI does not parse NDJSON payloads, so the
+ * content type is changed to plain text for the payload to be received as a
+ * string, and the import format noted on the request
+ * @param {Object} request - HAPI request interface
+ * @param {Object} h - HAPI response toolkit
+ */
+const receiveNDJSONAsText = (request, h) => {
+  const contentType = request.headers['content-type'] || ''
+  if (contentType.split(';')[0].trim().toLowerCase() === NDJSON_MIME) {
+    request.headers['content-type'] = 'text/plain; charset=utf-8'
+    request.plugins.hapiPgRestAPI = { importFormat: 'ndjson' }
+  }
+  return h.continue
+}
+
+/**
+ * Gets the import format of a create request payload
+ * @param {Object} request - HAPI request interface
+ * @return {String|null} 'csv', 'ndjson', or null for a JSON payload
+ */
+const getImportFormat = (request) => {
+  if (get(request, 'plugins.hapiPgRestAPI.importFormat')) {
+    return request.plugins.hapiPgRestAPI.importFormat
+  }
+  return request.mime === 'text/csv' ? 'csv' : null
+}
+
+/**
+ * Parses CSV text into records.  Quoted values may contain commas, escaped
+ * double quotes and line breaks.  Blank lines are ignored
+ * @param {String} text
+ * @return {Array} records - [{line, values}, ...]
+ */
+const parseCSV = (text) => {
+  const str = text.replace(/^\uFEFF/, '')
+  const records = []
+  let values = []
+  let value = ''
+  let quoted = false
+  let line = 1
+  let recordLine = 1
+
+  const endRecord = () => {
+    values.push(value)
+    if (values.length > 1 || values[0] !== '') {
+      records.push({ line: recordLine, values })
+    }
+    values = []
+    value = ''
+  }
+
+  for (let i = 0; i < str.length; i++) {
+    const char = str[i]
+    if (quoted) {
+      if (char === '"' && str[i + 1] === '"') {
+        value += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        line += char === '\n' ? 1 : 0
+        value += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      values.push(value)
+      value = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && str[i + 1] === '\n') {
+        i++
+      }
+      endRecord()
+      recordLine = ++line
+    } else {
+      value += char
+    }
+  }
+
+  if (quoted) {
+    throw new ValidationError(`Unterminated quoted value starting on line ${recordLine}`)
+  }
+  endRecord()
+
+  return records
+}
+
+/**
+ * Creates the error for a line which could not be imported
+ * @param {Number} line
+ * @param {String} message
+ * @return {Object}
+ */
+const lineError = (line, message) => ({
+  line,
+  details: [{ message, type: 'import' }]
+})
+
+/**
+ * Parses a CSV payload into rows.  The header line is mapped to fields, which
+ * must be in the API validation schema.  Empty values are imported as null
+ * @param {String} text
+ * @param {Object} config - HAPI PG REST API config object
+ * @return {Object} {rows : [{line, row}], errors : [{line, details}]}
+ */
+const parseCSVRows = (text, config) => {
+  const [header, ...records] = parseCSV(text)
+  if (!header) {
+    throw new ValidationError('CSV payload must include a header line')
+  }
+
+  const fields = header.values.map(field => field.trim())
+  const schemaKeys = Object.keys(config.validation.describe().keys)
+  const unknown = fields.filter(field => !schemaKeys.includes(field))
+  if (unknown.length) {
+    throw new ValidationError(`Unknown CSV columns: ${unknown.join(', ')}`)
+  }
+  if (new Set(fields).size !== fields.length) {
+    throw new ValidationError('CSV header contains duplicate columns')
+  }
+
+  const rows = []
+  const errors = []
+  for (const { line, values } of records) {
+    if (values.length !== fields.length) {
+      errors.push(lineError(line, `Expected ${fields.length} values but found ${values.length}`))
+    } else {
+      const row = fields.reduce((acc, field, i) => ({ ...acc, [field]: values[i] === '' ? null : values[i] }), {})
+      rows.push({ line, row })
+    }
+  }
+  return { rows, errors }
+}
+
+/**
+ * Parses an NDJSON payload into rows.  Each non-blank line must contain a
+ * JSON object
+ * @param {String} text
+ * @return {Object} {rows : [{line, row}], errors : [{line, details}]}
+ */
+const parseNDJSONRows = (text) => {
+  const rows = []
+  const errors = []
+  text.split(/\r?\n/).forEach((str, i) => {
+    const line = i + 1
+    if (!str.trim()) {
+      return
+    }
+    try {
+      const row = JSON.parse(str, (key, value) => {
+        if (key === '__proto__') {
+          throw new Error('Invalid key')
+        }
+        return value
+      })
+      if (!isPlainObject(row)) {
+        throw new Error('Not an object')
+      }
+      rows.push({ line, row })
+    } catch (error) {
+      errors.push(lineError(line, 'Line must contain a JSON object'))
+    }
+  })
+  return { rows, errors }
+}
+
+/**
+ * Parses and validates an import payload.  Each row is validated against the
+ * API validation schema, which coerces values to the correct type.  As rows
+ * are inserted in a single multi-row insert, all rows must have the same
+ * fields as the first valid row
+ * @param {String} payload
+ * @param {String} format - 'csv' or 'ndjson'
+ * @param {Object} config - HAPI PG REST API config object
+ * @return {Object} {data : [validated rows], errors : [{line, details}]}
+ */
+const getImportRows = (payload, format, config) => {
+  if (typeof payload !== 'string') {
+    throw new ValidationError('Import payload must not be empty')
+  }
+  const { rows, errors } = format === 'csv' ? parseCSVRows(payload, config) : parseNDJSONRows(payload)
+
+  const data = []
+  let fields
+  for (const { line, row } of rows) {
+    const { error, value } = validateImportRow(row, config)
+    if (error) {
+      errors.push({
+        line,
+        details: error.details.map(({ message, path, type }) => ({ message, path, type }))
+      })
+    } else if (fields && !isEqual(Object.keys(value).sort(), fields)) {
+      errors.push(lineError(line, 'Line must have the same fields as the first line'))
+    } else {
+      fields = Object.keys(value).sort()
+      data.push(value)
+    }
+  }
+
+  return {
+    data,
+    errors: errors.sort((a, b) => a.line - b.line)
+  }
+}
+
+module.exports = {
+  receiveNDJSONAsText,
+  getImportFormat,
+  parseCSV,
+  getImportRows
+}
@@ -0,0 +1,68 @@
+/**
+ * Helpers for primary keys, which can be a single column or a composite
+ * key of several columns, e.g. primaryKey: ['licence_id', 'document_id']
+ * @module primary-key
+ */
+const { castArray, pick, isPlainObject } = require('lodash')
+
+/**
+ * Gets the primary key columns
+ * @param {Object} config - HAPI PG REST API config object
+ * @return {Array} column names
+ */
+const getKeyColumns = (config) => castArray(config.primaryKey)
+
+/**
+ * Checks whether the primary key is a composite key
+ * @param {Object} config - HAPI PG REST API config object
+ * @return {Boolean}
+ */
+const isCompositeKey = (config) => Array.isArray(config.primaryKey)
+
+/**
+ * Gets the URL path segments identifying a single record.  A single column
+ * key is the {id*} param, and a composite key has a param for each column
+ * @param {Object} config - HAPI PG REST API config object
+ * @return {String} e.g. {licence_id}/{document_id}
+ */
+const getKeyPath = (config) => {
+  return isCompositeKey(config)
+    ? config.primaryKey.map(column => `{${column}}`).join('/')
+    : '{id*}'
+}
+
+/**
+ * Gets the primary key from the URL params of a single record route
+ * @param {Object} params - HAPI request params
+ * @param {Object} config - HAPI PG REST API config object
+ * @return {Object|null} key values keyed by column, or null for other routes
+ */
+const getKeyFromParams = (params, config) => {
+  if (isCompositeKey(config)) {
+    const key = pick(params, config.primaryKey)
+    return Object.keys(key).length ? key : null
+  }
+  return params.id ? { [config.primaryKey]: params.id } : null
+}
+
+/**
+ * Gets the primary key from an id supplied in a batch operation - the
+ * value for a single column key, or an object for a composite key
+ * @param {Mixed} id
+ * @param {Object} config - HAPI PG REST API config object
+ * @return {Object} key values keyed by column
+ */
+const getKeyFromId = (id, config) => {
+  if (isCompositeKey(config)) {
+    return isPlainObject(id) ? pick(id, config.primaryKey) : {}
+  }
+  return { [config.primaryKey]: id }
+}
+
+module.exports = {
+  getKeyColumns,
+  isCompositeKey,
+  getKeyPath,
+  getKeyFromParams,
+  getKeyFromId
+}
@@ -0,0 +1,48 @@
+/**
+ * Statement timeouts for the DB queries of a request.  If the API has a
+ * timeout, each query runs with a Postgres statement_timeout.  Running
+ * queries with a timeout, or in a transaction, are cancelled if the client
+ * disconnects
+ * @module query-timeout
+ */
+const { ValidationError } = require('./errors')
+
+const HEADER = 'query-timeout'
+
+/**
+ * Gets the statement timeout for a request.  If the API has a maximum, the
+ * request can set the timeout with the Query-Timeout header, which is
+ * capped at the maximum
+ * @param {Object} request - HAPI request
+ * @param {Object} config - HAPI PG REST API config object
+ * @return {Number|null} timeout in milliseconds
+ */
+const getQueryTimeout = (request, config) => {
+  const { queryTimeout, maxQueryTimeout } = config
+  const header = request.headers[HEADER]
+  if (header === undefined || !maxQueryTimeout) {
+    return queryTimeout
+  }
+  const timeout = Number(header)
+  if (!Number.isInteger(timeout) || timeout < 1) {
+    throw new ValidationError('Query-Timeout header must be a positive integer number of milliseconds')
+  }
+  return Math.min(timeout, maxQueryTimeout)
+}
+
+/**
+ * Gets a signal which is aborted if the client disconnects before the
+ * response is sent
+ * @param {Object} request - HAPI request
+ * @return {AbortSignal}
+ */
+const getAbortSignal = (request) => {
+  const controller = new AbortController()
+  request.events.once('disconnect', () => controller.abort())
+  return controller.signal
+}
+
+module.exports = {
+  getQueryTimeout,
+  getAbortSignal
+}
@@ -0,0 +1,48 @@
+/**
+ * Routing of read only queries to a read connection, e.g. a pool connected
+ * to a read replica.  Find requests read from the read connection unless
+ * strong consistency is requested, e.g. to read a record straight after
+ * writing it
+ * @module read-connection
+ */
+const { ValidationError } = require('./errors')
+
+const HEADER = 'consistency'
+
+const CONSISTENCY_LEVELS = ['strong', 'eventual']
+
+/**
+ * Checks whether the request requires strong consistency, with the
+ * consistency query param or header
+ * @param {Object} request - HAPI request
+ * @return {Boolean}
+ */
+const isStrongConsistency = (request) => {
+  const consistency = request.query.consistency || request.headers[HEADER]
+  if (consistency && !CONSISTENCY_LEVELS.includes(consistency)) {
+    throw new ValidationError(`Consistency must be one of ${CONSISTENCY_LEVELS.join(', ')}`)
+  }
+  return consistency === 'strong'
+}
+
+/**
+ * Gets the read connection for a request.  Only GET requests read from the
+ * read connection, so that other requests read their own writes
+ * @param {Object} request - HAPI request
+ * @param {Object} config - repository config
+ * @param {Object} [config.readConnection] - pool for read only queries
+ * @param {Function} [config.chooseReadConnection] - function choosing the pool for each request
+ * @return {Object|null} pool, or null to read from the primary connection
+ */
+const getReadConnection = (request, config) => {
+  const { readConnection, chooseReadConnection } = config
+  if (request.method !== 'get' || isStrongConsistency(request)) {
+    return null
+  }
+  return chooseReadConnection ? chooseReadConnection(request) || null : readConnection
+}
+
+module.exports = {
+  isStrongConsistency,
+  getReadConnection
+}
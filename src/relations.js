@@ -0,0 +1,190 @@
+/**
+ * Loads related records requested with the include query param, and nests
+ * them in the records found.  Each relation is loaded with a single query
+ * for all the records, rather than a query per record.  Writable relations
+ * also allow child records to be created with their parent
+ * @module relations
+ */
+const { groupBy, uniq, union, intersection, difference, isArray, isPlainObject, has } = require('lodash')
+const Repository = require('./repository')
+const manager = require('./manager')
+const { ValidationError, ConfigError } = require('./errors')
+
+/**
+ * Gets the relations requested with the include query param
+ * @param {Array} include - relation names
+ * @param {Object} config - HAPI PG REST API config object
+ * @return {Array} relation names
+ */
+const getRelations = (include, config) => {
+  const unknown = difference(include, Object.keys(config.relations))
+  if (unknown.length) {
+    throw new ValidationError(`Unknown relation ${unknown.join(', ')}`)
+  }
+  return uniq(include)
+}
+
+/**
+ * Gets the column of this API's table used to join to the related records
+ * @param {Object} relation
+ * @param {Object} config - HAPI PG REST API config object
+ * @return {String}
+ */
+const getLocalKey = (relation, config) => {
+  return relation.type === 'hasMany' ? config.primaryKey : relation.foreignKey
+}
+
+/**
+ * Gets the related API's primary key, referenced by a belongsTo relation if
+ * the referenced column isn't specified
+ * @param {Object} relatedRepo - the related repository instance
+ * @return {String}
+ */
+const getReferencedKey = (relatedRepo) => {
+  const { primaryKey } = relatedRepo.config
+  if (isArray(primaryKey)) {
+    throw new ConfigError('A relation to an API with a composite primary key requires the referenced column')
+  }
+  return primaryKey
+}
+
+/**
+ * Gets the columns to select so that the relations can be joined.  The
+ * local key of each relation is added to the requested columns
+ * @param {Array} [columns] - requested columns, or null for all
+ * @param {Array} relations - relation names
+ * @param {Object} config - HAPI PG REST API config object
+ * @return {Array} columns
+ */
+const getSelectColumns = (columns, relations, config) => {
+  if (!columns) {
+    return columns
+  }
+  return union(columns, relations.map(name => getLocalKey(config.relations[name], config)))
+}
+
+/**
+ * Gets the repository to load related records.  If the relation refers to
+ * another API, its repository is used so its soft delete config is respected,
+ * and its postSelect hook is applied to the related records.  Its queries
+ * run on the same connections and with the same query options as the
+ * supplied repository, e.g. in a transaction, or with the request's read
+ * connection and statement timeout
+ * @param {Object} repo - the repository instance
+ * @param {Object} relation
+ * @return {Object} repository
+ */
+const getRelatedRepository = (repo, relation) => {
+  const { connection, readConnection, queryTimeout, abortSignal, inTransaction } = repo.config
+  const options = { connection, readConnection, queryTimeout, abortSignal, inTransaction }
+  if (relation.api) {
+    const relatedRepo = manager.get(relation.api)
+    if (!relatedRepo) {
+      throw new ConfigError(`Related API ${relation.api} not found`)
+    }
+    return relatedRepo.withQueryOptions(options)
+  }
+  return new Repository({ ...options, table: relation.table })
+}
+
+/**
+ * Gets the columns of the related records to return.  A related API's
+ * records are limited to its readable columns
+ * @param {Object} relation
+ * @param {Object} relatedRepo - repository for the related records
+ * @return {Array|null} columns, or null for all
+ */
+const getRelatedColumns = (relation, relatedRepo) => {
+  if (!relation.api) {
+    return relation.columns || null
+  }
+  const { readableColumns } = relatedRepo.config
+  return relation.columns ? intersection(relation.columns, readableColumns) : readableColumns
+}
+
+/**
+ * Loads a relation and nests the related records in each record.  A
+ * hasMany relation nests an array, belongsTo nests a single record or null
+ * @param {Object} repo - the repository instance
+ * @param {Array} rows - records found
+ * @param {String} name - relation name
+ * @param {Object} config - HAPI PG REST API config object
+ * @return {Promise}
+ */
+const loadRelation = async (repo, rows, name, config) => {
+  const relation = config.relations[name]
+  const relatedRepo = getRelatedRepository(repo, relation)
+  const isHasMany = relation.type === 'hasMany'
+
+  const localKey = getLocalKey(relation, config)
+  const relatedKey = isHasMany ? relation.foreignKey : (relation.references || getReferencedKey(relatedRepo))
+  const requested = getRelatedColumns(relation, relatedRepo)
+  const columns = requested ? union(requested, [relatedKey]) : null
+
+  const values = uniq(rows.map(row => row[localKey]).filter(value => value !== null && value !== undefined))
+  const { rows: found } = values.length
+    ? await relatedRepo.findIn(relatedKey, values, columns, relation.sort)
+    : { rows: [] }
+  const relatedRows = relation.api ? relatedRepo.config.postSelect(found) : found
+
+  const grouped = groupBy(relatedRows, row => String(row[relatedKey]))
+  for (const row of rows) {
+    const matches = grouped[String(row[localKey])] || []
+    row[name] = isHasMany ? matches : (matches[0] || null)
+  }
+
+  if (requested && !requested.includes(relatedKey)) {
+    relatedRows.forEach(row => delete row[relatedKey])
+  }
+}
+
+/**
+ * Loads the requested relations and nests them in the records found.  Local
+ * keys which were only selected to join the relations are then removed
+ * @param {Object} repo - the repository instance
+ * @param {Array} rows - records found
+ * @param {Array} relations - relation names
+ * @param {Array} [columns] - requested columns, or null for all
+ * @param {Object} config - HAPI PG REST API config object
+ * @return {Promise}
+ */
+const loadRelations = async (repo, rows, relations, columns, config) => {
+  for (const name of relations) {
+    await loadRelation(repo, rows, name, config)
+  }
+
+  const hidden = columns ? difference(getSelectColumns(columns, relations, config), columns) : []
+  rows.forEach(row => hidden.forEach(column => delete row[column]))
+}
+
+/**
+ * Gets the names of the relations whose records can be created with a
+ * parent record
+ * @param {Object} config - HAPI PG REST API config object
+ * @return {Array} relation names
+ */
+const getWritableRelations = (config) => {
+  return Object.keys(config.relations).filter(name => config.relations[name].writable)
+}
+
+/**
+ * Checks whether a create payload contains nested records for any of the
+ * writable relations
+ * @param {Object|Array} payload
+ * @param {Object} config - HAPI PG REST API config object
+ * @return {Boolean}
+ */
+const hasNestedRecords = (payload, config) => {
+  const names = getWritableRelations(config)
+  const rows = isArray(payload) ? payload : [payload]
+  return rows.some(row => isPlainObject(row) && names.some(name => has(row, name)))
+}
+
+module.exports = {
+  getRelations,
+  getSelectColumns,
+  loadRelations,
+  getWritableRelations,
+  hasNestedRecords,
+  getRelatedRepository
+}
@@ -1,13 +1,54 @@
 const builder = require('mongo-sql')
-const { mapValues, isArray } = require('lodash')
+const { mapValues, isArray, isEmpty, fromPairs, castArray } = require('lodash')
+const { quoteIdentifier, quoteTable, quoteColumn, checkColumns } = require('./identifiers')
+
+// Aliases for the ETag and last modified time calculated in select/returning clauses
+const ETAG_COLUMN = '_etag'
+const MODIFIED_COLUMN = '_modified'
+
+// Alias prefix for keyset values selected for cursor pagination
+const KEYSET_COLUMN = '_keyset_'
+
+// Alias for the total row count calculated with a window function
+const TOTAL_COLUMN = '_total_'
+
+// Alias for whether each row was inserted or updated by an upsert
+const ACTION_COLUMN = '_action'
+
+// Name of the DB cursor used to read rows in batches
+const BATCH_CURSOR = '_batch_cursor_'
+
+/**
+ * Cancels the running query of a pooled client.  The cancel is sent on a new
+ * connection rather than from the pool, which may have no idle clients
+ * @param {Object} pool - the pool the client is from
+ * @param {Number} processID - the backend process ID of the client
+ * @return {Promise}
+ */
+const cancelBackend = async (pool, processID) => {
+  const client = new pool.Client(pool.options)
+  try {
+    await client.connect()
+    await client.query('SELECT pg_cancel_backend($1)', [processID])
+  } finally {
+    await client.end()
+  }
+}
 
 class Repository {
   /**
    * Constructor
    * @param {Object} config
    * @param {Object} config.connection - Postgres DB connection created using pool
-   * @param {String} config.table - DB table name
+   * @param {Object} [config.readConnection] - pool for read only queries, e.g. connected to a read replica
+   * @param {String} config.table - DB table name, optionally qualified with a schema, e.g. water.licences
+   * @param {Array} [config.columns] - known columns of the table.  If set, other columns selected or returned are rejected.  The columns of data written are quoted but not checked, as they may be added by hooks
    * @param {String} config.primaryKey - primary key field name
+   * @param {String} [config.versionColumn] - integer column incremented on each update
+   * @param {Object} [config.softDelete] - soft delete column {column, type}
+   * @param {Number} [config.queryTimeout] - statement timeout for each query, in milliseconds
+   * @param {AbortSignal} [config.abortSignal] - cancels the running query when aborted
+   * @param {Boolean} [config.inTransaction] - whether the connection is a client with an open transaction
    */
   constructor (config = {}) {
     this.config = config
@@ -20,12 +61,149 @@ class Repository {
    * @return {Promise} resolves with PostGres result
    */
   dbQuery (query, queryParams) {
+    const { queryTimeout, inTransaction } = this.config
+
     if (this.config.showSql) {
       console.log(query, queryParams)
     }
+
+    // A transaction's client already has the query options set
+    if (queryTimeout && !inTransaction) {
+      return this.clientQuery(query, queryParams)
+    }
     return this.config.connection.query(query, queryParams)
   }
 
+  /**
+   * Runs a query on its own pooled client, so that the client's statement
+   * timeout can be set and its running query cancelled if the abort signal
+   * is aborted.  The timeout is reset before the client is released, and the
+   * client is discarded if it can't be reset or a cancel failed
+   * @param {String} query - SQL query
+   * @param {Array} queryParams - bound query params
+   * @return {Promise} resolves with PostGres result
+   */
+  async clientQuery (query, queryParams) {
+    const { queryTimeout } = this.config
+    const client = await this.config.connection.connect()
+    let stopCancelling = async () => undefined
+    let isTimeoutSet = false
+    let releaseError
+    try {
+      stopCancelling = this.cancelOnAbort(client)
+      await client.query(`SET statement_timeout = ${parseInt(queryTimeout, 10)}`)
+      isTimeoutSet = true
+      return await client.query(query, queryParams)
+    } finally {
+      releaseError = await stopCancelling()
+      if (isTimeoutSet && !releaseError) {
+        releaseError = await client.query('RESET statement_timeout').then(() => undefined, error => error)
+      }
+      client.release(releaseError)
+    }
+  }
+
+  /**
+   * Do read only DB query, on the read connection if there is one
+   * @param {String} query - SQL query
+   * @param {Array} queryParams - bound query params
+   * @return {Promise} resolves with PostGres result
+   */
+  readQuery (query, queryParams) {
+    return this.getReadRepository().dbQuery(query, queryParams)
+  }
+
+  /**
+   * Gets the repository to run read only queries with.  This uses the read
+   * connection if there is one, except in a transaction so that the
+   * transaction's own writes are read
+   * @return {Repository}
+   */
+  getReadRepository () {
+    const { readConnection, inTransaction } = this.config
+    if (!readConnection || inTransaction) {
+      return this
+    }
+    return new Repository({ ...this.config, connection: readConnection, readConnection: null })
+  }
+
+  /**
+   * Gets a repository for the same table which runs its queries with the
+   * supplied options
+   * @param {Object} options
+   * @param {Number} [options.queryTimeout] - statement timeout in milliseconds
+   * @param {AbortSignal} [options.abortSignal] - cancels the running query when aborted
+   * @param {Object} [options.readConnection] - connection for read only queries, or null to use the primary connection
+   * @return {Repository}
+   */
+  withQueryOptions (options) {
+    return new Repository({ ...this.config, ...options })
+  }
+
+  /**
+   * Cancels the pooled client's running query if the abort signal is
+   * aborted.  Throws if it has already been aborted, so that no query is run
+   * for a client which has gone
+   * @param {Object} client - pooled client
+   * @return {Function} stops listening for the abort signal.  This resolves
+   * once any cancel has been sent, with the error if it failed, in which case
+   * the client should be discarded as its query may still be running
+   */
+  cancelOnAbort (client) {
+    const { abortSignal, connection } = this.config
+    if (!abortSignal) {
+      return async () => undefined
+    }
+    abortSignal.throwIfAborted()
+    let cancelled
+    const cancel = () => {
+      cancelled = cancelBackend(connection, client.processID).then(() => undefined, error => error)
+    }
+    abortSignal.addEventListener('abort', cancel, { once: true })
+    return async () => {
+      abortSignal.removeEventListener('abort', cancel)
+      return cancelled
+    }
+  }
+
+  /**
+   * Sets the statement timeout for the transaction open on a pooled client,
+   * and cancels the client's running query if the abort signal is aborted
+   * @param {Object} client - pooled client
+   * @return {Promise} resolves with a function to stop listening for the abort signal
+   */
+  async setQueryOptions (client) {
+    const { queryTimeout } = this.config
+    if (queryTimeout) {
+      await client.query(`SET LOCAL statement_timeout = ${parseInt(queryTimeout, 10)}`)
+    }
+    return this.cancelOnAbort(client)
+  }
+
+  /**
+   * Runs the callback in a DB transaction on a single pooled client.  The
+   * callback is passed a repository which runs its queries in the transaction.
+   * The transaction is rolled back if the callback rejects
+   * @param {Function} callback - async function receiving the transaction repository
+   * @return {Promise} resolves with the value the callback resolves with
+   */
+  async transaction (callback) {
+    const client = await this.config.connection.connect()
+    let stopCancelling = async () => undefined
+    try {
+      await client.query('BEGIN')
+      stopCancelling = await this.setQueryOptions(client)
+      const result = await callback(new Repository({ ...this.config, connection: client, inTransaction: true }))
+      await client.query('COMMIT')
+      return result
+    } catch (error) {
+      await client.query('ROLLBACK')
+      throw error
+    } finally {
+      client.release(await stopCancelling())
+    }
+  }
+
   /**
    * Maps sort defined as +1/-1 to ASC/DESC for use in mongo-sql
    * @param {Object} sort
@@ -35,23 +213,258 @@ class Repository {
     return mapValues(sort, i => (i === -1 ? 'DESC' : 'ASC'))
   }
 
+  /**
+   * Maps sort to a list of ORDER BY expressions for use in mongo-sql, where
+   * some sort keys are aliases of output columns rather than table columns
+   * @param {Object} sort - sort by {field : +1, field : -1}
+   * @param {String} table
+   * @param {Array} aliases - output column aliases
+   * @return {Array}
+   */
+  static mapAliasSort (sort, table, aliases) {
+    return Object.entries(sort).map(([key, direction]) => {
+      const expression = aliases.includes(key) ? quoteIdentifier(key) : builder.quoteObject(key, table)
+      return `${expression} ${direction === -1 ? 'DESC' : 'ASC'}`
+    })
+  }
+
+  /**
+   * Gets ORDER BY expressions for a keyset.  NULLs sort after all other
+   * values, which is the Postgres default, but is made explicit as the
+   * keyset filter depends on it
+   * @param {Array} order - sort columns and directions [[column, 1|-1], ...]
+   * @param {String} table
+   * @return {Array}
+   */
+  static getKeysetOrder (order, table) {
+    return order.map(([column, direction]) =>
+      `${builder.quoteObject(column, table)} ${direction === -1 ? 'DESC NULLS FIRST' : 'ASC NULLS LAST'}`
+    )
+  }
+
+  /**
+   * Gets a filter matching rows after the supplied keyset values in the
+   * supplied sort order.  As NULLs sort after all other values, no values
+   * follow a NULL in ascending order, and all non-NULL values follow it in
+   * descending order
+   * @param {Array} order - sort columns and directions [[column, 1|-1], ...]
+   * @param {Array} values - keyset values
+   * @return {Object} filter
+   */
+  static getKeysetFilter (order, values) {
+    const conditions = order.map(([column, direction], i) => {
+      const previous = fromPairs(order.slice(0, i).map(([name], j) => [name, values[j]]))
+      if (values[i] === null) {
+        return direction === -1 ? { ...previous, [column]: { $notNull: true } } : null
+      }
+      const after = { [column]: { [direction === -1 ? '$lt' : '$gt']: values[i] } }
+      return direction === -1 ? { ...previous, ...after } : { ...previous, $or: [after, { [column]: null }] }
+    })
+    return { $or: conditions.filter(condition => condition) }
+  }
+
+  /**
+   * Moves the total row count calculated in the query from each row in the
+   * result to a totalRows property on the result.  If the page is empty the
+   * total can't be known unless it is the first page
+   * @param {Object} result - DB result
+   * @param {Number} [offset] - query offset
+   * @return {Object} result
+   */
+  static mapTotalRows (result, offset) {
+    if (result.rows.length) {
+      result.totalRows = parseInt(result.rows[0][TOTAL_COLUMN], 10)
+    } else if (!offset) {
+      result.totalRows = 0
+    }
+    result.rows.forEach(row => {
+      delete row[TOTAL_COLUMN]
+    })
+    return result
+  }
+
+  /**
+   * Moves the ETag and last modified time calculated in the query from each
+   * row in the result to separate etags and modified arrays on the result
+   * @param {Object} result - PostGres result
+   * @return {Object} result with etags and modified arrays
+   */
+  static mapValidators (result) {
+    result.etags = result.rows.map(row => row[ETAG_COLUMN])
+    result.modified = result.rows.map(row => row[MODIFIED_COLUMN] || null)
+    result.rows.forEach(row => {
+      delete row[ETAG_COLUMN]
+      delete row[MODIFIED_COLUMN]
+    })
+    return result
+  }
+
+  /**
+   * Gets an SQL expression to calculate the ETag for a row.  This is
+   * derived from the version column if configured, otherwise a hash of the
+   * whole row.  The on update timestamp only has a resolution of one second,
+   * so can't be used
+   * @return {String} SQL expression
+   */
+  getETagExpression () {
+    const { table, versionColumn } = this.config
+    const expression = versionColumn ? quoteColumn(versionColumn, table) : `${quoteTable(table)}.*`
+    return `md5(coalesce((${expression})::text, ''))`
+  }
+
+  /**
+   * Gets an SQL expression for the time a row was last modified, based on
+   * the on update timestamp, falling back to the on create timestamp
+   * @return {String|null} SQL expression, or null if no timestamps configured
+   */
+  getModifiedExpression () {
+    const { table, onUpdateTimestamp, onCreateTimestamp } = this.config
+    const columns = [onUpdateTimestamp, onCreateTimestamp]
+      .filter(column => column)
+      .map(column => quoteColumn(column, table))
+    return columns.length ? `coalesce(${columns.join(', ')})` : null
+  }
+
+  /**
+   * Gets select/returning column expressions for the ETag and last modified
+   * time of each row
+   * @return {Array}
+   */
+  getValidatorColumns () {
+    const columns = [`${this.getETagExpression()} AS "${ETAG_COLUMN}"`]
+    const modified = this.getModifiedExpression()
+    if (modified) {
+      columns.push(`${modified} AS "${MODIFIED_COLUMN}"`)
+    }
+    return columns
+  }
+
+  /**
+   * Gets a filter matching rows which have been soft deleted
+   * @return {Object}
+   */
+  getDeletedFilter () {
+    const { column, type } = this.config.softDelete
+    return { [column]: type === 'boolean' ? true : { $notNull: true } }
+  }
+
+  /**
+   * Gets the where clause for a query.  This adds predicates to the supplied
+   * filter to exclude soft deleted rows, and to only match rows whose
+   * current ETag is in the If-Match list
+   * @param {Object} filter
+   * @param {Object} [options]
+   * @param {Boolean} [options.includeDeleted] - whether to include soft deleted rows
+   * @param {Array} [options.ifMatch] - list of ETags
+   * @return {Object} where clause for mongo-sql
+   */
+  getWhere (filter, options = {}) {
+    const { softDelete } = this.config
+    const conditions = [filter]
+
+    if (softDelete && !options.includeDeleted) {
+      conditions.push({ [softDelete.column]: softDelete.type === 'boolean' ? false : null })
+    }
+
+    if (options.ifMatch) {
+      // An empty list can never match
+      const etags = options.ifMatch.length ? options.ifMatch : [null]
+      const params = etags.map((etag, i) => `$${i + 1}`)
+      conditions.push({
+        $custom: [`${this.getETagExpression()} IN (${params.join(', ')})`, ...etags]
+      })
+    }
+
+    return conditions.length > 1 ? { $and: conditions } : filter
+  }
+
+  /**
+   * Checks the columns referred to in a query are known columns of the
+   * table, if the table's columns are configured
+   * @param {Array} [columns] - column names.  Column expression objects are not checked
+   */
+  checkColumns (columns) {
+    checkColumns((columns || []).filter(column => typeof column === 'string'), this.config.columns)
+  }
+
+  /**
+   * Gets the returning clause for insert/update queries
+   * @param {Array} [columns] - columns to return, defaults to all
+   * @param {Boolean} [etag] - whether to return the ETag and last modified time for each row
+   * @return {String}
+   */
+  getReturning (columns, etag) {
+    this.checkColumns(columns)
+    const parts = [columns ? columns.map(column => quoteColumn(column)).join(', ') : '*']
+    if (etag) {
+      parts.push(...this.getValidatorColumns())
+    }
+    return ` RETURNING ${parts.join(', ')}`
+  }
+
   /**
    * Total rows query
    * @param {Object} filter
+   * @param {Object} [options]
+   * @param {Boolean} [options.includeDeleted] - whether to include soft deleted rows
    * @return {Promise} resolves with result of DB query
    */
-  findRowCount (filter) {
+  findRowCount (filter, options = {}) {
     const { table } = this.config
 
     const query = {
       type: 'select',
       table,
       columns: ['COUNT(*) AS totalrowcount'],
-      where: filter
+      where: this.getWhere(filter, options)
     }
 
     const result = builder.sql(query)
-    return this.dbQuery(result.toString(), result.values)
+    return this.readQuery(result.toString(), result.values)
+  }
+
+  /**
+   * Gets the row count and most recent modification time for rows matching
+   * the filter.  These can be used to detect whether a list has changed
+   * @param {Object} filter
+   * @param {Object} [options]
+   * @param {Boolean} [options.includeDeleted] - whether to include soft deleted rows
+   * @return {Promise} resolves with result of DB query
+   */
+  findLastModified (filter, options = {}) {
+    const { table } = this.config
+
+    const query = {
+      type: 'select',
+      table,
+      columns: ['COUNT(*) AS totalrowcount', `MAX(${this.getModifiedExpression()}) AS lastmodified`],
+      where: this.getWhere(filter, options)
+    }
+
+    const result = builder.sql(query)
+    return this.readQuery(result.toString(), result.values)
+  }
+
+  /**
+   * Gets the planner's estimate of the number of rows matching the filter.
+   * This avoids a full count on very large tables, but may be inaccurate
+   * @param {Object} filter
+   * @param {Object} [options]
+   * @param {Boolean} [options.includeDeleted] - whether to include soft deleted rows
+   * @return {Promise} resolves with estimated row count
+   */
+  async findEstimatedRowCount (filter, options = {}) {
+    const { table } = this.config
+
+    const query = {
+      type: 'select',
+      table,
+      where: this.getWhere(filter, options)
+    }
+
+    const result = builder.sql(query)
+    const { rows } = await this.readQuery(`EXPLAIN (FORMAT JSON) ${result.toString()}`, result.values)
+    return rows[0]['QUERY PLAN'][0].Plan['Plan Rows']
   }
 
   /**
@@ -62,42 +475,276 @@ class Repository {
    * @param {Number} pagination.perPage - number of results per page
    * @param {Number} pagination.page - current page of results
    * @param {Array} columns - specify columns
+   * @param {Object} [options]
+   * @param {Boolean} [options.etag] - whether to calculate the ETag and last modified time for each row
+   * @param {Boolean} [options.includeDeleted] - whether to include soft deleted rows
+   * @param {String} [options.count] - 'exact' to calculate the total row count in the same query,
+   *                                   'none' to instead check whether there are more rows after this page
+   * @param {Array} [options.sortAliases] - sort keys which are aliases of output columns rather than table columns
+   * @return {Promise} resolves with db result, with totalRows or hasMore if requested
    */
-  find (filter, sort, pagination, columns) {
+  find (filter, sort, pagination, columns, options = {}) {
     const { table } = this.config
 
     const query = {
       type: 'select',
       table,
       limit: 10,
-      where: filter,
-      order: Repository.mapSort(sort)
+      where: this.getWhere(filter, options),
+      order: (options.sortAliases && !isEmpty(sort))
+        ? Repository.mapAliasSort(sort, table, options.sortAliases)
+        : Repository.mapSort(sort)
     }
+    this.checkColumns(columns)
     if (columns) {
       query.columns = columns
     }
+    if (options.etag) {
+      query.columns = [...(columns || ['*']), ...this.getValidatorColumns()]
+    }
+    if (options.count === 'exact') {
+      query.columns = [...(query.columns || ['*']), `COUNT(*) OVER() AS "${TOTAL_COLUMN}"`]
+    }
     if (pagination) {
       query.limit = pagination.perPage
       query.offset = (pagination.page - 1) * pagination.perPage
     }
+    // Load an extra row to determine whether there are more rows
+    const { limit } = query
+    if (options.count === 'none') {
+      query.limit = limit + 1
+    }
     const result = builder.sql(query)
-    return this.dbQuery(result.toString(), result.values)
+    const promise = this.readQuery(result.toString(), result.values).then(result => {
+      if (options.count === 'exact') {
+        Repository.mapTotalRows(result, query.offset)
+      }
+      if (options.count === 'none') {
+        result.hasMore = result.rows.length > limit
+        result.rows.splice(limit)
+      }
+      return result
+    })
+    return options.etag ? promise.then(Repository.mapValidators) : promise
+  }
+
+  /**
+   * Find records using keyset pagination.  Rows are loaded after (or before)
+   * the row with the supplied keyset values
+   * @param {Object} filter - filter records by key/value pairs
+   * @param {Array} keyset - sort columns and directions [[column, 1|-1], ...]
+   * @param {Object} page
+   * @param {Array} [page.values] - keyset values of the row to page from
+   * @param {Boolean} [page.before] - whether to load rows before rather than after the row
+   * @param {Number} page.limit - maximum number of rows to load
+   * @param {Array} [columns] - specify columns
+   * @param {Object} [options] - see find
+   * @return {Promise} resolves with db result, with the keyset values of each row as text in a keys array
+   */
+  findByKeyset (filter, keyset, page, columns, options = {}) {
+    const { table } = this.config
+    const { values, before, limit } = page
+    this.checkColumns(columns)
+
+    // Paging backwards reverses the sort order
+    const order = keyset.map(([column, direction]) => [column, before ? -direction : direction])
+
+    const query = {
+      type: 'select',
+      table,
+      // Keyset values are selected as text, so they are compared without losing precision, e.g. of timestamps
+      columns: [
+        ...(columns || ['*']),
+        ...keyset.map(([name], i) => ({ expression: `${builder.quoteObject(name, table)}::text`, as: `${KEYSET_COLUMN}${i}` }))
+      ],
+      where: this.getWhere(values ? { $and: [filter, Repository.getKeysetFilter(order, values)] } : filter, options),
+      order: Repository.getKeysetOrder(order, table),
+      limit
+    }
+
+    const result = builder.sql(query)
+    return this.readQuery(result.toString(), result.values).then(result => {
+      result.keys = result.rows.map(row => keyset.map((key, i) => {
+        const value = row[`${KEYSET_COLUMN}${i}`]
+        delete row[`${KEYSET_COLUMN}${i}`]
+        return value
+      }))
+      if (before) {
+        result.rows.reverse()
+        result.keys.reverse()
+      }
+      return result
+    })
+  }
+
+  /**
+   * Find all records where a column matches any of the supplied values, e.g.
+   * to load the related records of a page of results in a single query
+   * @param {String} column - column to match
+   * @param {Array} values - values to match
+   * @param {Array} [columns] - specify columns
+   * @param {Object} [sort] - sort by {field : +1, field : -1}
+   * @param {Object} [options]
+   * @param {Boolean} [options.includeDeleted] - whether to include soft deleted rows
+   * @return {Promise} resolves with db result
+   */
+  findIn (column, values, columns, sort, options = {}) {
+    const { table } = this.config
+
+    const query = {
+      type: 'select',
+      table,
+      where: this.getWhere({ [column]: { $in: values } }, options),
+      order: Repository.mapSort(sort)
+    }
+    this.checkColumns(columns)
+    if (columns) {
+      query.columns = columns
+    }
+
+    const result = builder.sql(query)
+    return this.readQuery(result.toString(), result.values)
+  }
+
+  /**
+   * Aggregate records, optionally grouped by columns
+   * @param {Object} filter - filter records by key/value pairs
+   * @param {Object} query
+   * @param {Array} query.groupBy - [{column, truncate}] - truncate is a date_trunc field, e.g. 'day'
+   * @param {Array} query.aggregates - [{fn, column, alias}] - fn is count/sum/avg/min/max
+   * @param {Object} query.having - {alias : {$op : value}}, $op is one of $eq, $ne, $gt, $gte, $lt, $lte
+   * @param {Object} query.sort - sort by {alias : +1, alias : -1}
+   * @param {Object} [options]
+   * @param {Boolean} [options.includeDeleted] - whether to include soft deleted rows
+   * @return {Promise} resolves with db result
+   */
+  aggregate (filter, { groupBy, aggregates, having, sort }, options = {}) {
+    const { table } = this.config
+    const operators = { $eq: '=', $ne: '<>', $gt: '>', $gte: '>=', $lt: '<', $lte: '<=' }
+
+    // SQL expression for each result column
+    const expressions = {}
+    for (const { column, truncate } of groupBy) {
+      const expression = quoteColumn(column, table)
+      expressions[column] = truncate ? `date_trunc('${truncate}', ${expression})` : expression
+    }
+    for (const { fn, column, alias } of aggregates) {
+      const expression = column === '*' ? '*' : quoteColumn(column, table)
+      expressions[alias] = fn === 'count' ? `COUNT(${expression})::integer` : `${fn.toUpperCase()}(${expression})`
+    }
+
+    const query = {
+      type: 'select',
+      table,
+      columns: Object.entries(expressions).map(([alias, expression]) => ({ expression, alias })),
+      where: this.getWhere(filter, options),
+      having: {
+        $and: Object.entries(having).flatMap(([alias, conditions]) =>
+          Object.entries(conditions).map(([operator, value]) => ({
+            $custom: [`${expressions[alias]} ${operators[operator]} $1`, value]
+          }))
+        )
+      }
+    }
+    if (groupBy.length) {
+      query.groupBy = groupBy.map(({ column }) => ({ expression: expressions[column] }))
+    }
+    if (!isEmpty(sort)) {
+      query.order = Object.entries(sort).map(([alias, direction]) => `${quoteIdentifier(alias)} ${direction === -1 ? 'DESC' : 'ASC'}`)
+    }
+
+    const result = builder.sql(query)
+    return this.readQuery(result.toString(), result.values)
+  }
+
+  /**
+   * Find records in batches using a DB cursor, so the full result set is
+   * never loaded into memory.  The cursor is read in a transaction on a
+   * single pooled client, which is released when iteration finishes or stops
+   * @param {Object} filter - filter records by key/value pairs
+   * @param {Object} sort - sort by {field : +1, field : -1}
+   * @param {Array} [columns] - specify columns
+   * @param {Object} [options]
+   * @param {Number} [options.batchSize] - number of rows in each batch, default 1000
+   * @param {Boolean} [options.includeDeleted] - whether to include soft deleted rows
+   * @return {AsyncGenerator} yields arrays of rows
+   */
+  async * findInBatches (filter, sort, columns, options = {}) {
+    const { table } = this.config
+    const { batchSize = 1000 } = options
+
+    const query = {
+      type: 'select',
+      table,
+      where: this.getWhere(filter, options),
+      order: Repository.mapSort(sort)
+    }
+    this.checkColumns(columns)
+    if (columns) {
+      query.columns = columns
+    }
+    const result = builder.sql(query)
+
+    const repo = this.getReadRepository()
+    const client = await repo.config.connection.connect()
+    let isOpen = false
+    let stopCancelling = async () => undefined
+    try {
+      await client.query('BEGIN')
+      isOpen = true
+      stopCancelling = await repo.setQueryOptions(client)
+      await client.query(`DECLARE ${BATCH_CURSOR} NO SCROLL CURSOR FOR ${result.toString()}`, result.values)
+      while (true) {
+        const { rows } = await client.query(`FETCH ${parseInt(batchSize, 10)} FROM ${BATCH_CURSOR}`)
+        if (!rows.length) {
+          break
+        }
+        yield rows
+      }
+      await client.query('COMMIT')
+      isOpen = false
+    } finally {
+      // Roll back if there was an error or the caller stopped iterating
+      if (isOpen) {
+        await client.query('ROLLBACK')
+      }
+      client.release(await stopCancelling())
+    }
+  }
+
+  /**
+   * Gets the action of an insert ON CONFLICT clause.  If there are no
+   * columns to set, a conflict target column is set to itself so that the
+   * conflicting row is still returned
+   * @param {Object} upsert - {fields, set, mode}
+   * @return {String}
+   */
+  static getConflictAction ({ fields, set, mode }) {
+    if (mode === 'ignore') {
+      return 'DO NOTHING'
+    }
+    const columns = set.length ? set : fields.slice(0, 1)
+    const parts = columns.map(field => `${quoteColumn(field)}=EXCLUDED.${quoteColumn(field)}`)
+    return `DO UPDATE SET ${parts.join(',')}`
   }
 
   /**
    * Create a record
    * @param {Object|Array} data
    * @param {Array} [columns] - columns to return during insert
+   * @param {Object} [options]
+   * @param {Object} [options.upsert] - {fields, set, mode} on conflict with the fields, update the set columns, or ignore the row if mode is 'ignore'.  Overrides the upsert config, and returns whether each row was inserted or updated
    * @return {Promise} resolves with db result
    */
-  create (data, columns = null) {
+  create (data, columns = null, options = {}) {
     // Convert all data to array
     const insertData = isArray(data) ? data : [data]
 
-    const { table, upsert } = this.config
+    const { table } = this.config
+    const upsert = options.upsert || this.config.upsert
     const fields = Object.keys(insertData[0])
 
-    let query = `INSERT INTO ${table} (${fields.join(',')}) VALUES `
+    let query = `INSERT INTO ${quoteTable(table)} (${fields.map(field => quoteColumn(field)).join(',')}) VALUES `
 
     let queryParams = []
     const rows = insertData.map(row => {
@@ -110,42 +757,141 @@ class Repository {
     query += rows.join(',')
 
     if (upsert) {
-      const parts = upsert.set.map(field => `${field}=EXCLUDED.${field}`)
-      query += ` ON CONFLICT (${upsert.fields.join(',')}) DO UPDATE SET ${parts.join(',')}`
+      this.checkColumns([...upsert.fields, ...upsert.set])
+      query += ` ON CONFLICT (${upsert.fields.map(field => quoteColumn(field)).join(',')}) ${Repository.getConflictAction(upsert)}`
     }
 
-    query += ` RETURNING ${columns ? `"${columns.join('","')}"` : '*'}`
+    query += this.getReturning(columns)
+
+    // A row inserted by this statement has no xmax, whereas an updated row does
+    if (options.upsert) {
+      query += `, CASE WHEN xmax = 0 THEN 'inserted' ELSE 'updated' END AS ${quoteIdentifier(ACTION_COLUMN)}`
+    }
 
     return this.dbQuery(query, queryParams)
   }
 
-  update (filter, data, columns) {
-    const { table } = this.config
+  /**
+   * Update records.  If a version column is configured, it is incremented
+   * @param {Object} filter - filter records by key/value pairs
+   * @param {Object} data - values to update
+   * @param {Array} [columns] - columns to return
+   * @param {Object} [options]
+   * @param {Boolean} [options.etag] - whether to return the new ETag and last modified time for each row
+   * @param {Array} [options.ifMatch] - only update rows with one of these ETags
+   * @param {Boolean} [options.includeDeleted] - whether to include soft deleted rows
+   * @return {Promise} resolves with db result
+   */
+  update (filter, data, columns, options = {}) {
+    const { table, versionColumn } = this.config
+
+    const values = { ...data }
+    if (versionColumn) {
+      delete values[versionColumn]
+      values.$inc = { [versionColumn]: 1 }
+    }
 
     const query = {
       type: 'update',
       table,
-      values: data,
-      where: filter
+      values,
+      where: this.getWhere(filter, options)
     }
     const result = builder.sql(query)
 
-    const sql = result.toString() + ` RETURNING ${columns ? `"${columns.join('","')}"` : '*'}`
+    const sql = result.toString() + this.getReturning(columns, options.etag)
 
-    return this.dbQuery(sql, result.values)
+    const promise = this.dbQuery(sql, result.values)
+    return options.etag ? promise.then(Repository.mapValidators) : promise
   }
 
-  delete (filter) {
-    const { table } = this.config
+  /**
+   * Insert a record, or replace the existing record with the same primary
+   * key, in a single statement.  The existing record is only replaced if it
+   * matches the filter, otherwise no row is returned.  If a version column
+   * is configured, it is incremented on replace
+   * @param {Object} filter - filter the existing record must match
+   * @param {Object} insertData - values of a new record, including its key
+   * @param {Object} updateData - values to update an existing record with
+   * @param {Array} [columns] - columns to return
+   * @param {Object} [options]
+   * @param {Boolean} [options.etag] - whether to return the new ETag and last modified time of the row
+   * @return {Promise} resolves with db result, with an actions array of 'inserted' or 'updated' for each row
+   */
+  replace (filter, insertData, updateData, columns, options = {}) {
+    const { table, versionColumn, primaryKey } = this.config
+
+    const values = { ...updateData }
+    if (versionColumn) {
+      delete values[versionColumn]
+      values.$inc = { [versionColumn]: 1 }
+    }
+
+    const query = {
+      type: 'insert',
+      table,
+      values: insertData,
+      conflict: {
+        target: { columns: castArray(primaryKey) },
+        action: { update: values, where: this.getWhere(filter) }
+      }
+    }
+    const result = builder.sql(query)
+
+    // A row inserted by this statement has no xmax, whereas an updated row does
+    const sql = result.toString() + this.getReturning(columns, options.etag) +
+      `, CASE WHEN xmax = 0 THEN 'inserted' ELSE 'updated' END AS ${quoteIdentifier(ACTION_COLUMN)}`
+
+    return this.dbQuery(sql, result.values).then(res => {
+      res.actions = res.rows.map(row => row[ACTION_COLUMN])
+      res.rows.forEach(row => {
+        delete row[ACTION_COLUMN]
+      })
+      return options.etag ? Repository.mapValidators(res) : res
+    })
+  }
+
+  /**
+   * Delete records.  If soft delete is configured, the rows are flagged as
+   * deleted rather than removed
+   * @param {Object} filter - filter records by key/value pairs
+   * @param {Object} [options]
+   * @param {Array} [options.ifMatch] - only delete rows with one of these ETags
+   * @return {Promise} resolves with db result
+   */
+  delete (filter, options = {}) {
+    const { table, softDelete, primaryKey } = this.config
+
+    if (softDelete) {
+      const data = softDelete.type === 'boolean'
+        ? { [softDelete.column]: true }
+        : { $custom: { [softDelete.column]: 'NOW()' } }
+      return this.update(filter, data, castArray(primaryKey), { ifMatch: options.ifMatch })
+    }
 
     const query = {
       type: 'delete',
       table,
-      where: filter
+      where: this.getWhere(filter, options)
     }
     const result = builder.sql(query)
     return this.dbQuery(result.toString(), result.values)
   }
+
+  /**
+   * Restore soft deleted records
+   * @param {Object} filter - filter records by key/value pairs
+   * @param {Object} data - additional values to update
+   * @param {Array} [columns] - columns to return
+   * @param {Object} [options] - see update
+   * @return {Promise} resolves with db result
+   */
+  restore (filter, data, columns, options = {}) {
+    const { column, type } = this.config.softDelete
+    const values = { ...data, [column]: type === 'boolean' ? false : null }
+    const where = { $and: [filter, this.getDeletedFilter()] }
+    return this.update(where, values, columns, { ...options, includeDeleted: true })
+  }
 }
 
 module.exports = Repository
@@ -4,9 +4,157 @@
  * @module rest-api
  */
 const Joi = require('joi')
+const { uniq, flatten } = require('lodash')
 const { ConfigError } = require('./errors')
 const routeFactory = require('./route-factory')
 const manager = require('./manager')
+const { getDBErrors } = require('./db-errors')
+const { getKeyColumns, isCompositeKey } = require('./primary-key')
+const { getConflictTargets } = require('./upsert')
+const { getIdempotencyConfig, purgeExpiredKeys } = require('./idempotency')
+
+// Number of records per page if not specified in the request or config
+const DEFAULT_PER_PAGE = 100
+
+/**
+ * Checks a relation in the API config
+ * @param {String} name - relation name
+ * @param {Object} relation - relation config
+ * @param {Object} config - API config
+ */
+const checkRelation = (name, relation, config) => {
+  if (!['belongsTo', 'hasMany'].includes(relation.type)) {
+    throw new ConfigError(`Relation ${name} type must be belongsTo or hasMany`)
+  }
+  if (!relation.table && !relation.api) {
+    throw new ConfigError(`Relation ${name} requires a table or api`)
+  }
+  if (!relation.foreignKey) {
+    throw new ConfigError(`Relation ${name} requires a foreignKey`)
+  }
+  if (relation.type === 'belongsTo' && !relation.api && !relation.references) {
+    throw new ConfigError(`Relation ${name} requires the referenced column`)
+  }
+  if (relation.type === 'hasMany' && isCompositeKey(config)) {
+    throw new ConfigError(`Relation ${name} requires a single column primary key`)
+  }
+  if (relation.writable && (relation.type !== 'hasMany' || !relation.api)) {
+    throw new ConfigError(`Relation ${name} must be a hasMany relation to an api to be writable`)
+  }
+}
+
+/**
+ * Gets the full-text search config with defaults
+ * @param {Object} [search] - search config
+ * @return {Object|null}
+ */
+const getSearchConfig = (search) => {
+  if (!search) {
+    return null
+  }
+  const config = {
+    columns: [],
+    language: 'english',
+    vectorColumn: null,
+    headlineOptions: null,
+    ...search
+  }
+  if (!config.columns.length && !config.vectorColumn) {
+    throw new ConfigError('Search requires columns or a vectorColumn')
+  }
+  if (!/^[a-z_]+$/i.test(config.language)) {
+    throw new ConfigError('Search language must be the name of a text search configuration')
+  }
+  return config
+}
+
+/**
+ * Checks the page size config options
+ * @param {Object} config - API config
+ */
+const checkPagination = (config) => {
+  const { maxPerPage, perPageOverflow, pagination } = config
+  if (maxPerPage !== null && (!Number.isInteger(maxPerPage) || maxPerPage < 1)) {
+    throw new ConfigError('maxPerPage must be a positive integer or null')
+  }
+  if (!['cap', 'reject'].includes(perPageOverflow)) {
+    throw new ConfigError('perPageOverflow must be cap or reject')
+  }
+  if (maxPerPage && pagination.perPage > maxPerPage) {
+    throw new ConfigError(`Default pagination perPage cannot exceed maxPerPage of ${maxPerPage}`)
+  }
+}
+
+/**
+ * Checks the statement timeout config options
+ * @param {Object} config - API config
+ */
+const checkQueryTimeout = (config) => {
+  for (const key of ['queryTimeout', 'maxQueryTimeout']) {
+    if (config[key] !== null && (!Number.isInteger(config[key]) || config[key] < 1)) {
+      throw new ConfigError(`${key} must be a positive integer number of milliseconds or null`)
+    }
+  }
+  const { queryTimeout, maxQueryTimeout } = config
+  if (queryTimeout && maxQueryTimeout && queryTimeout > maxQueryTimeout) {
+    throw new ConfigError('queryTimeout cannot exceed maxQueryTimeout')
+  }
+}
+
+/**
+ * Gets the version and soft delete columns, which are set by the API rather
+ * than in the validation schema
+ * @param {Object} config - API config
+ * @return {Array} column names
+ */
+const getManagedColumns = (config) => {
+  const { versionColumn, softDelete } = config
+  const columns = [versionColumn, softDelete && (softDelete.column || softDelete)]
+  return columns.filter(column => column)
+}
+
+/**
+ * Gets the columns readable if the readableColumns config option is not
+ * supplied - the keys of the validation schema, plus the primary key,
+ * timestamp and other columns set by the API
+ * @param {Array} columns - keys of the validation schema
+ * @param {Object} config - API config
+ * @return {Array} column names
+ */
+const getDefaultReadableColumns = (columns, config) => {
+  const { onCreateTimestamp, onUpdateTimestamp } = config
+  return uniq([
+    ...columns,
+    ...getKeyColumns(config),
+    onCreateTimestamp,
+    onUpdateTimestamp,
+    ...getManagedColumns(config)
+  ].filter(column => column))
+}
+
+/**
+ * Gets the known columns of the table - all columns referred to in the config
+ * @param {Object} config - API config with defaults
+ * @return {Array} column names
+ */
+const getKnownColumns = (config) => {
+  const { onCreateTimestamp, onUpdateTimestamp, upsert, search, relations } = config
+  const columns = [
+    ...Object.keys(config.validation.describe().keys || {}),
+    ...getKeyColumns(config),
+    onCreateTimestamp,
+    onUpdateTimestamp,
+    ...getManagedColumns(config),
+    ...config.readableColumns,
+    ...config.filterableColumns,
+    ...config.sortableColumns,
+    ...(upsert ? [...upsert.fields, ...upsert.set] : []),
+    ...flatten(config.conflictTargets),
+    ...(search ? [...search.columns, search.vectorColumn] : []),
+    ...Object.values(relations).filter(relation => relation.type === 'belongsTo').map(relation => relation.foreignKey)
+  ]
+  return uniq(columns.filter(column => column))
+}
 
 class HAPIRestAPI {
   constructor (config) {
@@ -16,6 +164,7 @@ class HAPIRestAPI {
     }
 
     const validation = Joi.object(config.validation)
+    const columns = Object.keys(validation.describe().keys || {})
 
     // Create config object with defaults
     this.config = Object.assign({
@@ -27,13 +176,73 @@ class HAPIRestAPI {
       postSelect: data => data,
       upsert: null,
       primaryKeyAuto: false,
-      primaryKeyGuid: true,
-      pagination: {
-        page: 1,
-        perPage: Number.MAX_SAFE_INTEGER
-      }
+      // A composite key can't be a generated GUID
+      primaryKeyGuid: !Array.isArray(config.primaryKey),
+      softDelete: null,
+      allowIncludeDeleted: () => false,
+      maxExportRows: null,
+      relations: {},
+      // Key, timestamp and other columns managed by the API are also readable by default
+      readableColumns: getDefaultReadableColumns(columns, config),
+      filterableColumns: columns,
+      sortableColumns: columns,
+      filterOperators: null,
+      maxFilterDepth: null,
+      maxFilterInSize: null,
+      maxFilterPredicates: null,
+      maxPerPage: 1000,
+      perPageOverflow: 'cap',
+      queryTimeout: null,
+      maxQueryTimeout: null
     }, config, { validation })
 
+    this.config.pagination = {
+      page: 1,
+      // The default page size is reduced if it's above the maximum
+      perPage: Math.min(DEFAULT_PER_PAGE, this.config.maxPerPage || DEFAULT_PER_PAGE),
+      ...config.pagination
+    }
+    checkPagination(this.config)
+    checkQueryTimeout(this.config)
+
+    // Soft delete can be specified as just the name of a timestamp column
+    if (typeof this.config.softDelete === 'string') {
+      this.config.softDelete = { column: this.config.softDelete, type: 'timestamp' }
+    }
+    if (this.config.softDelete && !['timestamp', 'boolean'].includes(this.config.softDelete.type)) {
+      throw new ConfigError('Soft delete type must be timestamp or boolean')
+    }
+
+    if (isCompositeKey(this.config) && (this.config.primaryKeyAuto || this.config.primaryKeyGuid)) {
+      throw new ConfigError('A composite primary key cannot be auto-generated')
+    }
+
+    // Upsert on conflict with the primary key by default
+    if (this.config.upsert && !this.config.upsert.fields) {
+      this.config.upsert = { ...this.config.upsert, fields: getKeyColumns(this.config) }
+    }
+
+    this.config.conflictTargets = getConflictTargets(this.config)
+
+    this.config.search = getSearchConfig(this.config.search)
+
+    this.config.dbErrors = getDBErrors(this.config.dbErrors)
+
+    this.config.idempotency = getIdempotencyConfig(this.config.idempotency)
+
+    // The read connection can be a function choosing the pool for each request
+    const { readConnection } = this.config
+    this.config.chooseReadConnection = typeof readConnection === 'function' ? readConnection : null
+    this.config.readConnection = this.config.chooseReadConnection ? null : readConnection || null
+
+    for (const [name, relation] of Object.entries(this.config.relations)) {
+      checkRelation(name, relation, this.config)
+    }
+
+    if (!this.config.columns) {
+      this.config.columns = getKnownColumns(this.config)
+    }
+
     manager.create(this.config)
 
     this.repo = manager.create(this.config)
@@ -53,6 +262,18 @@ class HAPIRestAPI {
   getRoutes () {
     return Object.values(this.routes)
   }
+
+  /**
+   * Deletes the API's expired idempotency keys.  This can be run on a schedule,
+   * with the idempotency purgeProbability config option set to 0
+   * @return {Promise}
+   */
+  purgeIdempotencyKeys () {
+    if (!this.config.idempotency) {
+      throw new ConfigError('Idempotency keys are not enabled')
+    }
+    return purgeExpiredKeys(this.repo, this.config)
+  }
 }
 
 module.exports = HAPIRestAPI
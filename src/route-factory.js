@@ -1,16 +1,32 @@
 const controller = require('./controller')
 const schemaController = require('./schema-controller')
+const importer = require('./import')
+const { querySchema } = require('./validators')
+const { errorReply } = require('./helpers')
+const { ValidationError } = require('./errors')
+const { getKeyPath, isCompositeKey } = require('./primary-key')
+
+/**
+ * Route validation of the query params.  Invalid params are replied with a
+ * 400 ValidationError naming the param
+ * @type {Object}
+ */
+const validate = {
+  query: querySchema,
+  failAction: (request, h, error) => errorReply(new ValidationError(error.message), h).takeover()
+}
 
 const createRoute = (config, method, handler, isMany = false) => {
   const { endpoint, table } = config
   const description = `${method} ${isMany ? 'many' : 'single'} ${table} ${isMany ? 'records' : 'record'}`
-  const path = (isMany || method === 'POST') ? endpoint : `${endpoint}/{id*}`
+  const path = (isMany || method === 'POST') ? endpoint : `${endpoint}/${getKeyPath(config)}`
   const route = {
     method,
     path,
     handler,
     config: {
       description,
+      validate,
       plugins: {
         hapiPgRestAPI: config
       }
@@ -23,6 +39,13 @@ const createRoute = (config, method, handler, isMany = false) => {
     }
   }
 
+  // Allow NDJSON imports on create route
+  if (method === 'POST') {
+    route.config.ext = {
+      onPreAuth: { method: importer.receiveNDJSONAsText }
+    }
+  }
+
   return route
 }
 
@@ -34,6 +57,7 @@ const createSchemaRoute = (config) => {
     handler: schemaController.getSchema,
     config: {
       description: `Get API schema definition for ${table}`,
+      validate,
       plugins: {
         hapiPgRestAPI: config
       }
@@ -41,10 +65,66 @@ const createSchemaRoute = (config) => {
   }
 }
 
-module.exports = (config) => {
-  const { connection, ...rest } = config
+const createAggregateRoute = (config) => {
+  const { endpoint, table } = config
+  return {
+    method: 'GET',
+    path: `${endpoint}/aggregate`,
+    handler: controller.aggregate,
+    config: {
+      description: `Aggregate ${table} records`,
+      validate,
+      plugins: {
+        hapiPgRestAPI: config
+      }
+    }
+  }
+}
 
+const createRestoreRoute = (config) => {
+  const { endpoint, table } = config
   return {
+    method: 'POST',
+    path: `${endpoint}/${isCompositeKey(config) ? getKeyPath(config) : '{id}'}/restore`,
+    handler: controller.restoreOne,
+    config: {
+      description: `Restore single soft deleted ${table} record`,
+      validate,
+      plugins: {
+        hapiPgRestAPI: config
+      }
+    }
+  }
+}
+
+const createBatchRoute = (config) => {
+  const { endpoint, table } = config
+  const route = {
+    method: 'POST',
+    path: `${endpoint}/batch`,
+    handler: controller.batch,
+    config: {
+      description: `Run batch of ${table} operations in a transaction`,
+      validate,
+      plugins: {
+        hapiPgRestAPI: config
+      }
+    }
+  }
+
+  if (config.maxPayloadBytes) {
+    route.config.payload = {
+      maxBytes: config.maxPayloadBytes
+    }
+  }
+
+  return route
+}
+
+module.exports = (config) => {
+  const { connection, readConnection, ...rest } = config
+
+  const routes = {
     findManyRoute: createRoute(rest, 'GET', controller.findMany, true),
     findOneRoute: createRoute(rest, 'GET', controller.findOne),
     createRoute: createRoute(rest, 'POST', controller.create),
@@ -53,6 +133,14 @@ module.exports = (config) => {
     deleteOneRoute: createRoute(rest, 'DELETE', controller.deleteOne),
     updateManyRoute: createRoute(rest, 'PATCH', controller.updateMany, true),
     schemaDefinitionRoute: createSchemaRoute(rest),
-    deleteManyRoute: createRoute(rest, 'DELETE', controller.deleteMany, true)
+    aggregateRoute: createAggregateRoute(rest),
+    deleteManyRoute: createRoute(rest, 'DELETE', controller.deleteMany, true),
+    batchRoute: createBatchRoute(rest)
   }
+
+  if (rest.softDelete) {
+    routes.restoreOneRoute = createRestoreRoute(rest)
+  }
+
+  return routes
 }
@@ -0,0 +1,120 @@
+/**
+ * Full-text search using Postgres text search.  Records matching the q
+ * query param are found with websearch_to_tsquery, and can be sorted by their
+ * rank and return highlighted snippets of the search columns
+ * @module search
+ */
+const { has } = require('lodash')
+const { ValidationError } = require('./errors')
+const { quoteColumn } = require('./identifiers')
+
+const RANK_COLUMN = '_rank'
+const HEADLINES_COLUMN = '_headlines'
+
+/**
+ * Quotes a string as an SQL string literal
+ * @param {String} str
+ * @return {String}
+ */
+const quoteLiteral = str => `'${str.replace(/'/g, "''")}'`
+
+/**
+ * Gets the SQL expression for the tsvector searched - either the precomputed
+ * vector column, or the search columns concatenated
+ * @param {Object} config - HAPI PG REST API config object
+ * @return {String}
+ */
+const getVectorExpression = (config) => {
+  const { table, search: { columns, language, vectorColumn } } = config
+  if (vectorColumn) {
+    return quoteColumn(vectorColumn, table)
+  }
+  const values = columns.map(column => quoteColumn(column, table))
+  return `to_tsvector(${quoteLiteral(language)}, concat_ws(' ', ${values.join(', ')}))`
+}
+
+/**
+ * Gets the SQL expression for the text search query, with the search text
+ * as parameter $1
+ * @param {Object} config - HAPI PG REST API config object
+ * @return {String}
+ */
+const getQueryExpression = (config) => {
+  return `websearch_to_tsquery(${quoteLiteral(config.search.language)}, $1)`
+}
+
+/**
+ * Gets the output column with the highlighted snippet for each search column,
+ * as an object keyed by column name
+ * @param {String} q - search text
+ * @param {Object} config - HAPI PG REST API config object
+ * @return {Object} column for mongo-sql
+ */
+const getHeadlinesColumn = (q, config) => {
+  const { table, search: { columns, language, headlineOptions } } = config
+  const headlines = columns.map(column => {
+    const args = [
+      quoteLiteral(language),
+      `coalesce(${quoteColumn(column, table)}::text, '')`,
+      getQueryExpression(config),
+      ...(headlineOptions ? ['$2'] : [])
+    ]
+    return `${quoteLiteral(column)}, ts_headline(${args.join(', ')})`
+  })
+  return {
+    expression: {
+      expression: `json_build_object(${headlines.join(', ')})`,
+      values: headlineOptions ? [q, headlineOptions] : [q]
+    },
+    alias: HEADLINES_COLUMN
+  }
+}
+
+/**
+ * Gets the full-text search for a find many request
+ * @param {Object} query - request data
+ * @param {String} [query.q] - search text
+ * @param {Boolean} [query.headline] - whether to return highlighted snippets
+ * @param {Object} query.sort - sort, which may include the rank column
+ * @param {Object} config - HAPI PG REST API config object
+ * @param {Boolean} rankSortable - whether sorting by rank is supported
+ * @return {Object|null} {filter, columns} - the search filter and extra columns to select, or null if no search
+ */
+const getSearch = ({ q, headline, sort }, config, rankSortable) => {
+  if (!q) {
+    if (has(sort, RANK_COLUMN)) {
+      throw new ValidationError(`Sorting by ${RANK_COLUMN} requires a search`)
+    }
+    return null
+  }
+  if (!config.search) {
+    throw new ValidationError('Search is not supported')
+  }
+  if (has(sort, RANK_COLUMN) && !rankSortable) {
+    throw new ValidationError(`Sorting by ${RANK_COLUMN} is only supported with page pagination`)
+  }
+  if (headline && !config.search.columns.length) {
+    throw new ValidationError('Search headlines are not supported')
+  }
+
+  const vector = getVectorExpression(config)
+  const tsQuery = getQueryExpression(config)
+
+  const columns = [{
+    expression: { expression: `ts_rank(${vector}, ${tsQuery})`, values: [q] },
+    alias: RANK_COLUMN
+  }]
+  if (headline) {
+    columns.push(getHeadlinesColumn(q, config))
+  }
+
+  return {
+    filter: { $custom: [`${vector} @@ ${tsQuery}`, q] },
+    columns
+  }
+}
+
+module.exports = {
+  RANK_COLUMN,
+  getSearch
+}
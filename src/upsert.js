@@ -0,0 +1,55 @@
+/**
+ * Per-request upsert.  A create request with the onConflict query param
+ * inserts the records, updating or ignoring those which conflict with
+ * existing records on one of the API's allowed conflict targets
+ * @module upsert
+ */
+const { isEqual, sortBy, difference, uniq, flatMap } = require('lodash')
+const { ValidationError } = require('./errors')
+const { getKeyColumns } = require('./primary-key')
+
+/**
+ * Gets the allowed conflict targets for an API.  Each target is a list of
+ * columns with a unique constraint.  The primary key, and the fields of the
+ * upsert config, are allowed by default
+ * @param {Object} config - HAPI PG REST API config object
+ * @return {Array} list of column lists
+ */
+const getConflictTargets = (config) => {
+  const targets = config.conflictTargets || [
+    getKeyColumns(config),
+    ...(config.upsert ? [config.upsert.fields] : [])
+  ]
+  return targets.map(target => typeof target === 'string' ? target.split(',') : target)
+}
+
+/**
+ * Gets the upsert for a create request
+ * @param {Object} query - HAPI request query
+ * @param {String} [query.onConflict] - comma separated list of conflict target columns
+ * @param {String} [query.mode] - 'update' to update conflicting records (default), or 'ignore' to skip them
+ * @param {Array} rows - rows to insert
+ * @param {Object} config - HAPI PG REST API config object
+ * @return {Object|null} {fields, set, mode} for Repository.create, or null if not an upsert
+ */
+const getUpsert = ({ onConflict, mode = 'update' }, rows, config) => {
+  if (!onConflict) {
+    return null
+  }
+  const fields = onConflict.split(',')
+  const allowed = config.conflictTargets.some(target => isEqual(sortBy(target), sortBy(fields)))
+  if (!allowed) {
+    throw new ValidationError(`Upsert on conflict with ${fields.join(', ')} is not allowed`)
+  }
+
+  // The key and on create timestamp of existing records are preserved
+  const preserved = [...fields, ...getKeyColumns(config), config.onCreateTimestamp]
+  const set = difference(uniq(flatMap(rows, Object.keys)), preserved)
+
+  return { fields, set, mode }
+}
+
+module.exports = {
+  getConflictTargets,
+  getUpsert
+}
@@ -1,6 +1,9 @@
 const Joi = require('joi')
-const { isArray } = require('lodash')
+const { isArray, isEqual, isPlainObject, castArray, omit, has, fromPairs, isEmpty } = require('lodash')
 const { ValidationError } = require('./errors')
+const manager = require('./manager')
+const { getWritableRelations } = require('./relations')
+const { getKeyColumns, getKeyFromParams, getKeyFromId } = require('./primary-key')
 
 /**
  * Checks an array ensuring all objects in the array have the same keys
@@ -20,6 +23,18 @@ const checkIdenticalKeys = (data) => {
   return true
 }
 
+/**
+ * Gets the schema for a single row in a create payload.  The primary key
+ * is forbidden if it is generated
+ * @param {Object} config
+ * @return {Object} Joi schema
+ */
+const getCreateRowSchema = (config) => {
+  return (config.primaryKeyAuto || config.primaryKeyGuid)
+    ? config.validation.keys({ [config.primaryKey]: Joi.forbidden() })
+    : config.validation
+}
+
 /**
  * Validates create payload.  This can contain either a single object or
  * an array of objects.
@@ -33,10 +48,7 @@ const validateCreatePayload = (payload, config) => {
     return { value: undefined, error: new ValidationError('All objects must have same keys in multi-row insert') }
   }
 
-  // Forbid primary key in payload if auto-generated
-  const rowSchema = (config.primaryKeyAuto || config.primaryKeyGuid)
-    ? config.validation.keys({ [config.primaryKey]: Joi.forbidden() })
-    : config.validation
+  const rowSchema = getCreateRowSchema(config)
 
   // Create single/multi-item schema
   const finalSchema = isArray(payload) ? Joi.array().items(rowSchema) : rowSchema
@@ -45,6 +57,77 @@ const validateCreatePayload = (payload, config) => {
   return finalSchema.validate(payload)
 }
 
+/**
+ * Gets the config used to validate the nested records of a writable
+ * relation.  The foreign key is forbidden as it is set to the primary key of
+ * the parent record when it is created
+ * @param {Object} relation
+ * @return {Object} config of the relation's API
+ */
+const getNestedConfig = (relation) => {
+  const { config } = manager.get(relation.api)
+  return {
+    ...config,
+    validation: config.validation.keys({ [relation.foreignKey]: Joi.forbidden() })
+  }
+}
+
+/**
+ * Validates a create payload containing nested records for the writable
+ * relations of the API.  Each record is validated against the validation
+ * schema of its own API, and errors in nested records are prefixed with
+ * their location in the payload, e.g. [0].documents
+ * @param {Object|Array} payload
+ * @param {Object} config
+ * @param {String} [path] - location of the payload within the parent payload
+ * @return {Object} {error, value} - value is a tree of records [{value, children : {relation : [...]}}]
+ */
+const validateNestedCreatePayload = (payload, config, path = '') => {
+  if (isArray(payload) && !payload.length) {
+    return { value: [], error: undefined }
+  }
+
+  const names = getWritableRelations(config)
+  const rows = castArray(payload)
+  const values = rows.map(row => isPlainObject(row) ? omit(row, names) : row)
+
+  const result = validateCreatePayload(isArray(payload) ? values : values[0], config)
+  if (result.error) {
+    return path ? { value: undefined, error: new ValidationError(`${path}: ${result.error.message}`) } : result
+  }
+
+  const tree = []
+  for (const [i, value] of castArray(result.value).entries()) {
+    const rowPath = isArray(payload) ? `${path}[${i}]` : path
+    const children = {}
+    for (const name of names.filter(name => has(rows[i], name))) {
+      const childPath = rowPath ? `${rowPath}.${name}` : name
+      if (!isArray(rows[i][name])) {
+        return { value: undefined, error: new ValidationError(`${childPath} must be an array`) }
+      }
+      const { error, value: childTree } = validateNestedCreatePayload(rows[i][name], getNestedConfig(config.relations[name]), childPath)
+      if (error) {
+        return { value: undefined, error }
+      }
+      children[name] = childTree
+    }
+    tree.push({ value, children })
+  }
+
+  return { value: tree, error: undefined }
+}
+
+/**
+ * Validates a single row of an imported CSV/NDJSON payload.  All errors
+ * in the row are reported rather than just the first
+ * @param {Object} row
+ * @param {Object} config
+ * @return {Object} Joi validation result
+ */
+const validateImportRow = (row, config) => {
+  return getCreateRowSchema(config).validate(row, { abortEarly: false })
+}
+
 /**
  * Validates update payload.  This can only contain a single object
  * an array of objects.
@@ -54,13 +137,84 @@ const validateCreatePayload = (payload, config) => {
  */
 const validateUpdatePayload = (payload, config) => {
   // Disallow primary key in payload
-  const schema = config.validation.keys({
-    [config.primaryKey]: Joi.forbidden()
-  })
+  const schema = config.validation.keys(
+    fromPairs(getKeyColumns(config).map(column => [column, Joi.forbidden()]))
+  )
 
   return schema.validate(payload)
 }
 
+/**
+ * Validates the payload of a bulk update with different values per record.
+ * This is a list of {id, ...changes} objects, where id is the primary key
+ * value, or an object of the key columns for a composite key
+ * @param {Array} payload
+ * @param {Object} config
+ * @return {Object} {value, error, index} - value is a list of {id, key, data}, index is the index of the invalid record
+ */
+const validateUpdateEachPayload = (payload, config) => {
+  if (!payload.length) {
+    return { value: undefined, error: new ValidationError('Payload must contain at least one record') }
+  }
+  const value = []
+  for (const [index, item] of payload.entries()) {
+    if (!isPlainObject(item)) {
+      return { value: undefined, error: new ValidationError(`[${index}] must be an object`), index }
+    }
+    const key = getKeyFromId(item.id, config)
+    const { error: keyError } = validateKey(key, config)
+    const { error, value: data } = keyError ? {} : validateUpdatePayload(omit(item, 'id'), config)
+    if (keyError || error) {
+      return { value: undefined, error: new ValidationError(`[${index}]: ${(keyError || error).message}`), index }
+    }
+    if (isEmpty(data)) {
+      return { value: undefined, error: new ValidationError(`[${index}]: no changes`), index }
+    }
+    value.push({ id: item.id, key, data })
+  }
+  return { value, error: undefined }
+}
+
+/**
+ * Validates replace payload.  This is validated against the full schema,
+ * so required fields are enforced.  The primary key may be omitted, but if
+ * supplied it must match the primary key value from the URL
+ * @param {Object} payload
+ * @param {Object} config
+ * @param {Object} key - the validated primary key values from the URL, keyed by column
+ * @return {Object}
+ */
+const validateReplacePayload = (payload, config, key) => {
+  const result = config.validation.validate(payload)
+  if (result.error) {
+    return result
+  }
+
+  const mismatch = getKeyColumns(config).some(column => {
+    const value = result.value[column]
+    return value !== undefined && !isEqual(value, key[column])
+  })
+  if (mismatch) {
+    return { value: undefined, error: new ValidationError('Primary key in payload does not match URL') }
+  }
+
+  return result
+}
+
+/**
+ * Validates a primary key.  Every column of a composite key is required
+ * @param {Object} key - primary key values keyed by column
+ * @param {Object} config
+ * @return {Object} Joi validation result
+ */
+const validateKey = (key, config) => {
+  const missing = getKeyColumns(config).find(column => (key || {})[column] === undefined)
+  if (missing) {
+    return { value: undefined, error: new ValidationError(`Primary key column ${missing} is required`) }
+  }
+  return config.validation.validate(key)
+}
+
 /**
  * Validates URL params
  * This validates the primary key value - for routes that operate on a single entity
@@ -68,14 +222,103 @@ const validateUpdatePayload = (payload, config) => {
  * @return {Object} Joi validation result
  */
 const validateParams = (params, config) => {
-  const data = {
-    [config.primaryKey]: params.id
-  }
-  return config.validation.validate(data)
+  return validateKey(getKeyFromParams(params, config) || {}, config)
+}
+
+/**
+ * Validates batch payload.  This is an ordered list of create, update and
+ * delete operations.  Updates and deletes operate on a single record by
+ * id, or on many records by filter
+ * @param {Array} payload
+ * @return {Object} Joi validation result
+ */
+const validateBatchPayload = (payload) => {
+  const operation = Joi.object({
+    action: Joi.string().valid('create', 'update', 'delete').required(),
+    id: Joi.any(),
+    filter: Joi.object(),
+    data: Joi.when('action', {
+      switch: [
+        { is: 'create', then: Joi.alternatives().try(Joi.object(), Joi.array()).required() },
+        { is: 'update', then: Joi.object().required() }
+      ],
+      otherwise: Joi.forbidden()
+    })
+  }).when(Joi.object({ action: 'create' }).unknown(), {
+    then: Joi.object({ id: Joi.forbidden(), filter: Joi.forbidden() }),
+    otherwise: Joi.object().xor('id', 'filter')
+  })
+
+  return Joi.array().items(operation).min(1).required().validate(payload)
+}
+
+/**
+ * Gets the schema for a JSON encoded query param.  The param is validated
+ * but left encoded, to be decoded when the request data is extracted
+ * @param {String} name - param name
+ * @param {Object} schema - Joi schema for the decoded value
+ * @return {Object} Joi schema
+ */
+const jsonParam = (name, schema) => {
+  // The decoded value is validated within an object so that errors are labelled with its full path, e.g. pagination.page
+  const decodedSchema = Joi.object({
+    [name]: schema.messages({ 'object.base': '{#label} must be a JSON object' })
+  })
+  return Joi.string().allow('').custom(value => {
+    let decoded
+    try {
+      decoded = JSON.parse(value)
+    } catch (error) {
+      throw new Error(`"${name}" must be valid JSON`)
+    }
+    const { error } = decodedSchema.validate({ [name]: decoded })
+    if (error) {
+      throw error
+    }
+    return value
+  }).messages({ 'any.custom': '{#error.message}' })
 }
 
+const booleanParam = Joi.string().valid('true', 'false')
+
+/**
+ * Schema for the query params of the API routes.  Other params are allowed
+ * so they can be used by the preQuery hook
+ * @type {Object}
+ */
+const querySchema = Joi.object({
+  filter: jsonParam('filter', Joi.object()),
+  sort: jsonParam('sort', Joi.object().pattern(/./, Joi.valid(1, -1))),
+  pagination: jsonParam('pagination', Joi.object({
+    page: Joi.number().integer().min(1),
+    perPage: Joi.number().integer().min(1),
+    cursor: Joi.string().allow(null),
+    count: Joi.string()
+  })),
+  columns: Joi.string().allow(''),
+  include: Joi.string().allow(''),
+  includeDeleted: booleanParam,
+  q: Joi.string().allow(''),
+  headline: booleanParam,
+  format: Joi.string(),
+  groupBy: Joi.string().allow(''),
+  aggregates: jsonParam('aggregates', Joi.object()),
+  having: jsonParam('having', Joi.object()),
+  skipInvalid: booleanParam,
+  onConflict: Joi.string(),
+  mode: Joi.string().valid('update', 'ignore'),
+  consistency: Joi.string().valid('strong', 'eventual')
+}).with('mode', 'onConflict').unknown()
+
 module.exports = {
+  querySchema,
   validateCreatePayload,
+  validateNestedCreatePayload,
+  validateImportRow,
   validateUpdatePayload,
-  validateParams
+  validateUpdateEachPayload,
+  validateReplacePayload,
+  validateKey,
+  validateParams,
+  validateBatchPayload
 }
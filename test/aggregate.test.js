@@ -0,0 +1,137 @@
+const Lab = require('@hapi/lab')
+
+const lab = Lab.script()
+
+const Code = require('@hapi/code')
+const { inject } = require('./lib/server.js')
+
+const tag = `agg-${Date.now()}`
+
+/**
+ * Gets aggregate results from the sessions API for sessions created by this test
+ * @param {Object} params - query params
+ * @return {Promise} resolves with {statusCode, payload}
+ */
+const getAggregate = (params) => {
+  const qs = new URLSearchParams({
+    filter: JSON.stringify({ ip: { $like: `${tag}%` } }),
+    ...params
+  })
+  return inject({
+    method: 'GET',
+    url: `/api/1.0/sessions/aggregate?${qs}`
+  })
+}
+
+lab.experiment('Test aggregate', () => {
+  lab.before(async () => {
+    for (const ip of [`${tag}-1`, `${tag}-1`, `${tag}-2`]) {
+      const { statusCode } = await inject({
+        method: 'POST',
+        url: '/api/1.0/sessions',
+        payload: { ip, session_data: JSON.stringify({ username: 'aggregate' }) }
+      })
+      Code.expect(statusCode).to.equal(201)
+    }
+  })
+
+  lab.test('The API should count records grouped by column and day', async () => {
+    const { statusCode, payload } = await getAggregate({
+      groupBy: 'ip,date_created:day',
+      aggregates: JSON.stringify({ count: '*', max: 'date_created' }),
+      sort: JSON.stringify({ count: -1 })
+    })
+
+    Code.expect(statusCode).to.equal(200)
+    Code.expect(payload.error).to.equal(null)
+    Code.expect(payload.data.length).to.equal(2)
+    Code.expect(Object.keys(payload.data[0])).to.equal(['ip', 'date_created', 'count', 'max_date_created'])
+    Code.expect(payload.data.map(row => [row.ip, row.count])).to.equal([[`${tag}-1`, 2], [`${tag}-2`, 1]])
+
+    const day = new Date(payload.data[0].date_created)
+    const maxDate = new Date(payload.data[0].max_date_created)
+    Code.expect(day).to.be.below(maxDate)
+    Code.expect(maxDate - day).to.be.below(24 * 60 * 60 * 1000)
+  })
+
+  lab.test('The API should filter aggregate results with having', async () => {
+    const { payload } = await getAggregate({
+      groupBy: 'ip',
+      aggregates: JSON.stringify({ count: '*' }),
+      having: JSON.stringify({ count: { $gt: 1 } })
+    })
+
+    Code.expect(payload.data).to.equal([{ ip: `${tag}-1`, count: 2 }])
+  })
+
+  lab.test('The API should aggregate all matching records if no group by is specified', async () => {
+    const { payload } = await getAggregate({
+      aggregates: JSON.stringify({ count: ['*', 'date_updated'], min: 'ip', max: 'ip' })
+    })
+
+    Code.expect(payload.data).to.equal([{
+      count: 3,
+      count_date_updated: 0,
+      min_ip: `${tag}-1`,
+      max_ip: `${tag}-2`
+    }])
+  })
+
+  lab.test('The API should reject an unknown column', async () => {
+    const { statusCode, payload } = await getAggregate({
+      groupBy: 'ip;drop table',
+      aggregates: JSON.stringify({ count: '*' })
+    })
+    Code.expect(statusCode).to.equal(400)
+    Code.expect(payload.error.name).to.equal('ValidationError')
+  })
+
+  lab.test('The API should reject an invalid aggregate function', async () => {
+    const { statusCode } = await getAggregate({
+      aggregates: JSON.stringify({ median: 'ip' })
+    })
+    Code.expect(statusCode).to.equal(400)
+  })
+
+  lab.test('The API should reject an invalid date truncation', async () => {
+    const { statusCode } = await getAggregate({
+      groupBy: 'date_created:fortnight',
+      aggregates: JSON.stringify({ count: '*' })
+    })
+    Code.expect(statusCode).to.equal(400)
+  })
+
+  lab.test('The API should reject having and sort on columns not in the result', async () => {
+    const { statusCode } = await getAggregate({
+      groupBy: 'ip',
+      aggregates: JSON.stringify({ count: '*' }),
+      having: JSON.stringify({ email: 'x' })
+    })
+    Code.expect(statusCode).to.equal(400)
+
+    const { statusCode: statusCode2 } = await getAggregate({
+      groupBy: 'ip',
+      aggregates: JSON.stringify({ count: '*' }),
+      sort: JSON.stringify({ email: 1 })
+    })
+    Code.expect(statusCode2).to.equal(400)
+  })
+
+  lab.test('The API should reject an invalid having operator', async () => {
+    const { statusCode } = await getAggregate({
+      aggregates: JSON.stringify({ count: '*' }),
+      having: JSON.stringify({ count: { $in: [1, 2] } })
+    })
+    Code.expect(statusCode).to.equal(400)
+  })
+
+  lab.test('The API should reject missing or malformed aggregates', async () => {
+    const { statusCode } = await getAggregate({})
+    Code.expect(statusCode).to.equal(400)
+
+    const { statusCode: statusCode2 } = await getAggregate({ aggregates: '{count' })
+    Code.expect(statusCode2).to.equal(400)
+  })
+})
+
+exports.lab = lab
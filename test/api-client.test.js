@@ -8,6 +8,8 @@ const rp = require('request-promise-native').defaults({
 
 const { experiment, test, before, after } = exports.lab = require('@hapi/lab').script()
 require('../server.js')
+const Joi = require('joi')
+const { createServer } = require('./lib/server.js')
 
 // server.start();
 const APIClient = require('../src/api-client.js')
@@ -192,6 +194,227 @@ experiment('Test APIClient', () => {
   })
 })
 
+experiment('Test APIClient caching', () => {
+  const statusCodes = []
+
+  // Records the status code of each request made
+  const trackedRp = async (options) => {
+    try {
+      const response = await rp(options)
+      statusCodes.push(response.statusCode)
+      return response
+    } catch (error) {
+      statusCodes.push(error.statusCode)
+      throw error
+    }
+  }
+
+  const cachingClient = new APIClient(trackedRp, {
+    endpoint: 'http://localhost:8000/api/1.0/sessions',
+    cache: true,
+    cacheSize: 1
+  })
+
+  test('The client should return the cached body if the record is not modified', async () => {
+    const { data: { session_id: id } } = await client.create({
+      ip: '255.255.255.255',
+      session_data: JSON.stringify({ api: 'test' })
+    })
+
+    const first = await cachingClient.findOne(id)
+    const second = await cachingClient.findOne(id)
+
+    expect(second).to.equal(first)
+    expect(statusCodes.slice(-2)).to.equal([200, 304])
+  })
+
+  test('The client should return the cached body if the list is not modified', async () => {
+    const first = await cachingClient.findMany({ ip: '255.255.255.255' })
+    const second = await cachingClient.findMany({ ip: '255.255.255.255' })
+
+    expect(second).to.equal(first)
+    expect(statusCodes.slice(-2)).to.equal([200, 304])
+  })
+
+  test('The client should evict the oldest response when the cache is full', async () => {
+    await cachingClient.findMany({ ip: '0.0.0.0' })
+    expect(cachingClient.cache.size).to.equal(1)
+
+    await cachingClient.findMany({ ip: '255.255.255.255' })
+    expect(statusCodes.slice(-1)).to.equal([200])
+  })
+
+  test('The client should return API errors when caching', async () => {
+    const { error } = await cachingClient.findOne('invalid-guid')
+    expect(error.name).to.equal('ValidationError')
+  })
+})
+
+experiment('Test APIClient restore', () => {
+  const softDeleteClient = new APIClient(rp, {
+    endpoint: 'http://localhost:8000/api/1.0/softdelete'
+  })
+
+  test('The client should restore a soft deleted record', async () => {
+    const { data: { id } } = await softDeleteClient.create({ name: 'Client test' })
+    await softDeleteClient.delete(id)
+
+    const { data, error } = await softDeleteClient.restore(id, ['id', 'date_deleted'])
+    expect(error).to.equal(null)
+    expect(data).to.equal({ id, date_deleted: null })
+  })
+})
+
+experiment('Test APIClient batch', () => {
+  test('The client should run a batch of operations', async () => {
+    const { data: { session_id: id } } = await client.create({
+      ip: '255.255.255.255',
+      session_data: JSON.stringify({ api: 'test' })
+    })
+
+    const { data, error } = await client.batch([
+      { action: 'update', id, data: { ip: '0.0.0.0' } },
+      { action: 'delete', id }
+    ], ['ip'])
+
+    expect(error).to.equal(null)
+    expect(data).to.equal([
+      { data: { ip: '0.0.0.0' }, rowCount: 1 },
+      { data: null, rowCount: 1 }
+    ])
+  })
+
+  test('The client should return the index of a failed operation', async () => {
+    const { data, error } = await client.batch([
+      { action: 'delete', id: '00000000-0000-0000-0000-000000000000' }
+    ])
+
+    expect(data).to.equal(null)
+    expect(error.name).to.equal('NotFoundError')
+    expect(error.index).to.equal(0)
+  })
+})
+
+experiment('Test APIClient aggregate', () => {
+  const ip = '10.3.0.1'
+
+  before(async () => {
+    await client.create([{ ip, session_data: '{}' }, { ip, session_data: '{}' }])
+  })
+
+  after(async () => {
+    await client.delete({ ip })
+  })
+
+  test('The client should aggregate records', async () => {
+    const { data, error } = await client.aggregate({ ip }, ['ip'], { count: '*' }, {
+      having: { count: { $gt: 0 } },
+      sort: { count: -1 }
+    })
+
+    expect(error).to.equal(null)
+    expect(data.length).to.equal(1)
+    expect(data[0].ip).to.equal(ip)
+    expect(data[0].count).to.equal(2)
+  })
+
+  test('The client should return API errors', async () => {
+    const { error } = await client.aggregate({}, ['unknown'], { count: '*' })
+    expect(error.name).to.equal('ValidationError')
+  })
+})
+
+experiment('Test APIClient with a composite primary key', () => {
+  const compositeClient = new APIClient(rp, {
+    endpoint: 'http://localhost:8000/api/1.0/licence-documents',
+    primaryKey: ['licence_id', 'document_id']
+  })
+  const key = { document_id: 100, licence_id: Date.now() }
+
+  before(async () => {
+    await compositeClient.create({ ...key, role: 'primary' })
+  })
+
+  test('The client should find a record by a key object', async () => {
+    const { data, error } = await compositeClient.findOne(key)
+
+    expect(error).to.equal(null)
+    expect(data.role).to.equal('primary')
+  })
+
+  test('The client should update a record by a key object', async () => {
+    const { data, error } = await compositeClient.updateOne(key, { role: 'lead' })
+
+    expect(error).to.equal(null)
+    expect(data.role).to.equal('lead')
+  })
+
+  test('The client should update each record with its own values', async () => {
+    const { data, notFound, error } = await compositeClient.updateEach([
+      { id: key, role: 'each' },
+      { id: { ...key, document_id: 101 }, role: 'missing' }
+    ], ['role'])
+
+    expect(error).to.equal(null)
+    expect(data).to.equal([{ role: 'each' }])
+    expect(notFound).to.equal([{ ...key, document_id: 101 }])
+  })
+
+  test('The client should upsert a record', async () => {
+    const { data, error } = await compositeClient.upsert({ ...key, role: 'upserted' }, ['licence_id', 'document_id'], { columns: ['role'] })
+
+    expect(error).to.equal(null)
+    expect(data).to.equal({ role: 'upserted', _action: 'updated' })
+  })
+
+  test('The client should delete a record by a key object', async () => {
+    const { error, rowCount } = await compositeClient.delete(key)
+
+    expect(error).to.equal(null)
+    expect(rowCount).to.equal(1)
+    expect((await compositeClient.findOne(key)).error.name).to.equal('NotFoundError')
+  })
+})
+
+experiment('Test APIClient retries', () => {
+  const idempotencyKeys = []
+
+  // Loses the response of the first request, as if the connection dropped
+  const unreliableRp = async (options) => {
+    idempotencyKeys.push(options.headers['Idempotency-Key'])
+    const response = await rp(options)
+    if (idempotencyKeys.length === 1) {
+      const error = new Error('Bad gateway')
+      error.statusCode = 502
+      throw error
+    }
+    return response
+  }
+
+  const retryingClient = new APIClient(unreliableRp, {
+    endpoint: 'http://localhost:8000/api/1.0/sessions',
+    retries: 2,
+    retryDelay: 0,
+    logger: {
+      error: sinon.spy()
+    }
+  })
+
+  test('The client should retry a create with the same generated idempotency key', async () => {
+    const ip = '10.2.0.1'
+    const { data, error } = await retryingClient.create({ ip, session_data: '{}' })
+
+    expect(error).to.equal(null)
+    expect(idempotencyKeys.length).to.equal(2)
+    expect(idempotencyKeys[0]).to.be.a.string()
+    expect(idempotencyKeys[1]).to.equal(idempotencyKeys[0])
+
+    const { data: sessions } = await client.findMany({ ip })
+    expect(sessions.map(row => row.session_id)).to.equal([data.session_id])
+    await client.delete({ ip })
+  })
+})
+
 experiment('Test findAll internal logic', () => {
   let stub
 
@@ -238,6 +461,106 @@ experiment('Test findAll internal logic', () => {
   })
 })
 
+experiment('Test findAll cursor pagination internal logic', () => {
+  let stub
+
+  before(async () => {
+    stub = sinon.stub(client, 'findMany')
+    stub.onCall(0).resolves({
+      error: null,
+      pagination: { page: 1, perPage: 2, pageCount: 2, totalRows: 3, cursorPagination: true },
+      data: [{ id: 'a' }, { id: 'b' }]
+    })
+    stub.onCall(1).resolves({
+      error: null,
+      pagination: { perPage: 2, cursor: null, nextCursor: 'next', prevCursor: null },
+      data: [{ id: 'a' }, { id: 'b' }]
+    })
+    stub.onCall(2).resolves({
+      error: null,
+      pagination: { perPage: 2, cursor: 'next', nextCursor: null, prevCursor: 'prev' },
+      data: [{ id: 'c' }]
+    })
+  })
+
+  after(async () => {
+    stub.restore()
+  })
+
+  test('It should load all pages of a result set using the cursor', async () => {
+    const data = await client.findAll({})
+    expect(data.map(row => row.id)).to.equal(['a', 'b', 'c'])
+    expect(stub.getCall(1).args[2]).to.equal({ cursor: null, perPage: 2 })
+    expect(stub.getCall(2).args[2]).to.equal({ cursor: 'next', perPage: 2 })
+  })
+})
+
+experiment('Test findAll with the server maximum page size', () => {
+  let stub
+
+  before(async () => {
+    stub = sinon.stub(client, 'findMany')
+    stub.onCall(0).resolves({
+      error: null,
+      pagination: { page: 1, perPage: 100, pageCount: 3, totalRows: 250, maxPerPage: 1000 },
+      data: []
+    })
+    stub.onCall(1).resolves({
+      error: null,
+      pagination: { page: 1, perPage: 1000, pageCount: 1, totalRows: 250, maxPerPage: 1000 },
+      data: [{ id: 'a' }]
+    })
+  })
+
+  after(async () => {
+    stub.restore()
+  })
+
+  test('It should load the pages with the maximum page size', async () => {
+    const data = await client.findAll({})
+    expect(data.map(row => row.id)).to.equal(['a'])
+    expect(stub.callCount).to.equal(2)
+    expect(stub.getCall(0).args[2]).to.equal({ count: 'exact' })
+    expect(stub.getCall(1).args[2]).to.equal({ page: 1, perPage: 1000 })
+  })
+})
+
+experiment('Test findAll with the count mode none', () => {
+  const tag = `api-client-count-${Date.now()}`
+  const { server } = createServer({
+    table: 'numericpk_test',
+    name: tag,
+    primaryKey: 'id',
+    primaryKeyGuid: false,
+    endpoint: '/api/1.0/count-none',
+    maxPerPage: 5,
+    pagination: { count: 'none' },
+    validation: {
+      id: Joi.number(),
+      name: Joi.string()
+    }
+  }, { port: 0 })
+  let countClient
+
+  before(async () => {
+    await server.start()
+    countClient = new APIClient(rp, { endpoint: `${server.info.uri}/api/1.0/count-none` })
+    const base = Date.now()
+    const { error } = await countClient.create(Array.from({ length: 23 }, (value, i) => ({ id: base + i, name: tag })))
+    expect(error).to.equal(null)
+  })
+
+  after(async () => {
+    await server.stop()
+  })
+
+  test('It should load all pages of a result set', async () => {
+    // The name sort isn't safe for cursor pagination, so offset pagination is used
+    const data = await countClient.findAll({ name: tag }, { name: 1 })
+    expect(data.length).to.equal(23)
+  })
+})
+
 experiment('Test findAll on API data', () => {
   test('It should load all pages of a result set', async () => {
     const data = await client.findAll()
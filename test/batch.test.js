@@ -0,0 +1,150 @@
+const Lab = require('@hapi/lab')
+
+const lab = Lab.script()
+
+const Code = require('@hapi/code')
+const { inject } = require('./lib/server.js')
+
+const tag = `batch-${Date.now()}`
+
+/**
+ * Posts a batch of operations to the auto PK API
+ * @param {Array} payload - list of operations
+ * @param {String} [qs] - query string
+ * @return {Promise} resolves with {statusCode, payload}
+ */
+const postBatch = (payload, qs = '') => inject({
+  method: 'POST',
+  url: `/api/1.0/autopk/batch${qs}`,
+  payload
+})
+
+/**
+ * Finds auto PK records with the supplied name
+ * @param {String} name
+ * @return {Promise} resolves with array of records
+ */
+const findByName = async (name) => {
+  const { payload } = await inject({
+    method: 'GET',
+    url: `/api/1.0/autopk?filter=${JSON.stringify({ name })}`
+  })
+  return payload.data
+}
+
+lab.experiment('Test batch operations', () => {
+  let ids
+
+  lab.before(async () => {
+    const { statusCode, payload } = await inject({
+      method: 'POST',
+      url: '/api/1.0/autopk',
+      payload: [{ name: `${tag}-a` }, { name: `${tag}-b` }, { name: `${tag}-c` }]
+    })
+    Code.expect(statusCode).to.equal(201)
+    ids = payload.data.map(row => row.id)
+  })
+
+  lab.test('The API should run a batch of mixed operations and return the result of each', async () => {
+    const { statusCode, payload } = await postBatch([
+      { action: 'create', data: { name: `${tag}-parent` } },
+      { action: 'update', id: ids[0], data: { name: `${tag}-a-updated` } },
+      { action: 'update', filter: { name: `${tag}-b` }, data: { name: `${tag}-b-updated` } },
+      { action: 'delete', id: ids[2] }
+    ], '?columns=id,name')
+
+    Code.expect(statusCode).to.equal(200)
+    Code.expect(payload.error).to.equal(null)
+    Code.expect(payload.data.length).to.equal(4)
+    Code.expect(payload.data[0].data.name).to.equal(`${tag}-parent`)
+    Code.expect(payload.data[0].rowCount).to.equal(1)
+    Code.expect(payload.data[1]).to.equal({ data: { id: ids[0], name: `${tag}-a-updated` }, rowCount: 1 })
+    Code.expect(payload.data[2]).to.equal({ data: [{ id: ids[1], name: `${tag}-b-updated` }], rowCount: 1 })
+    Code.expect(payload.data[3]).to.equal({ data: null, rowCount: 1 })
+
+    Code.expect(await findByName(`${tag}-parent`)).to.have.length(1)
+    Code.expect(await findByName(`${tag}-c`)).to.have.length(0)
+  })
+
+  lab.test('The API should roll back all operations if one is not found', async () => {
+    const { statusCode, payload } = await postBatch([
+      { action: 'create', data: { name: `${tag}-rolled-back` } },
+      { action: 'update', id: ids[0], data: { name: `${tag}-rolled-back` } },
+      { action: 'delete', id: ids[2] }
+    ])
+
+    Code.expect(statusCode).to.equal(404)
+    Code.expect(payload.error.name).to.equal('NotFoundError')
+    Code.expect(payload.error.index).to.equal(2)
+    Code.expect(await findByName(`${tag}-rolled-back`)).to.have.length(0)
+  })
+
+  lab.test('The API should roll back all operations if one fails validation', async () => {
+    const { statusCode, payload } = await postBatch([
+      { action: 'create', data: { name: `${tag}-invalid` } },
+      { action: 'update', id: ids[0], data: { id: 5 } }
+    ])
+
+    Code.expect(statusCode).to.equal(400)
+    Code.expect(payload.error.name).to.equal('ValidationError')
+    Code.expect(payload.error.index).to.equal(1)
+    Code.expect(await findByName(`${tag}-invalid`)).to.have.length(0)
+  })
+
+  lab.test('The API should roll back all operations if there is a DB error', async () => {
+    const { statusCode, payload } = await postBatch([
+      { action: 'create', data: { name: `${tag}-db-error` } },
+      { action: 'update', filter: { id: 'not-a-number' }, data: { name: `${tag}-db-error` } }
+    ])
+
+    Code.expect(statusCode).to.equal(400)
+    Code.expect(payload.error.name).to.equal('DBError')
+    Code.expect(payload.error.type).to.equal('invalid_text_representation')
+    Code.expect(payload.error.index).to.equal(1)
+    Code.expect(await findByName(`${tag}-db-error`)).to.have.length(0)
+  })
+
+  lab.test('The API should reject an invalid batch payload', async () => {
+    const { statusCode, payload } = await postBatch([
+      { action: 'update', data: { name: 'x' } }
+    ])
+
+    Code.expect(statusCode).to.equal(400)
+    Code.expect(payload.error.name).to.equal('ValidationError')
+    Code.expect(payload.error.index).to.equal(undefined)
+  })
+
+  lab.test('The API should apply the preQuery hook to each operation', async () => {
+    const res = await inject({
+      method: 'POST',
+      url: '/api/1.0/10.0.0.1/sessions/batch',
+      payload: [
+        { action: 'create', data: { session_data: JSON.stringify({ username: 'batch' }) } }
+      ]
+    })
+    Code.expect(res.statusCode).to.equal(200)
+    const { data: [{ data: { session_id: sessionId, ip } }] } = res.payload
+    Code.expect(ip).to.equal('10.0.0.1')
+
+    // Update in another context should not find record
+    const res2 = await inject({
+      method: 'POST',
+      url: '/api/1.0/10.0.0.2/sessions/batch',
+      payload: [
+        { action: 'delete', id: sessionId }
+      ]
+    })
+    Code.expect(res2.statusCode).to.equal(404)
+
+    const res3 = await inject({
+      method: 'POST',
+      url: '/api/1.0/10.0.0.1/sessions/batch',
+      payload: [
+        { action: 'delete', id: sessionId }
+      ]
+    })
+    Code.expect(res3.statusCode).to.equal(200)
+  })
+})
+
+exports.lab = lab
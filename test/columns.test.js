@@ -0,0 +1,112 @@
+const Lab = require('@hapi/lab')
+
+const lab = Lab.script()
+
+const Code = require('@hapi/code')
+const Joi = require('joi')
+const { getFilterColumns } = require('../src/columns.js')
+const { inject, createServer, expectValidationError } = require('./lib/server.js')
+
+const tag = `columns-${Date.now()}`
+
+lab.experiment('Test column allow-lists', () => {
+  let document
+
+  lab.before(async () => {
+    const { payload } = await inject({ method: 'POST', url: '/api/1.0/documents', payload: { name: `${tag}-a` } })
+    document = payload.data
+  })
+
+  lab.test('The API should not return columns which are not readable from create', async () => {
+    Code.expect(Object.keys(document)).to.equal(['document_id', 'licence_id', 'name'])
+  })
+
+  lab.test('The API should not return columns which are not readable from find', async () => {
+    const { payload: one } = await inject(`/api/1.0/documents/${document.document_id}`)
+    Code.expect(one.data).to.equal(document)
+
+    const filter = JSON.stringify({ name: `${tag}-a` })
+    const { payload: many } = await inject(`/api/1.0/documents?filter=${filter}`)
+    Code.expect(many.data).to.equal([document])
+  })
+
+  lab.test('The API should not return columns which are not readable from update', async () => {
+    const { statusCode, payload } = await inject({ method: 'PATCH', url: `/api/1.0/documents/${document.document_id}`, payload: { name: `${tag}-b` } })
+
+    Code.expect(statusCode).to.equal(200)
+    Code.expect(Object.keys(payload.data)).to.equal(['document_id', 'licence_id', 'name'])
+  })
+
+  lab.test('The API should reply with a 400 error when requesting a column which is not readable', async () => {
+    const res = await inject(`/api/1.0/documents/${document.document_id}?columns=name,date_deleted`)
+    expectValidationError(res, 'Cannot read column date_deleted')
+  })
+
+  lab.test('The API should reply with a 400 error when filtering on a column which is not filterable', async () => {
+    const filter = JSON.stringify({ $or: [{ name: tag }, { date_deleted: null }] })
+    const res = await inject(`/api/1.0/documents?filter=${filter}`)
+    expectValidationError(res, 'Cannot filter on column date_deleted')
+  })
+
+  lab.test('The API should reply with a 400 error when sorting on a column which is not sortable', async () => {
+    const res = await inject(`/api/1.0/documents?sort=${JSON.stringify({ licence_id: 1 })}`)
+    expectValidationError(res, 'Cannot sort on column licence_id')
+  })
+
+  lab.test('The API should reply with a 400 error when filtering on an unknown column', async () => {
+    const res = await inject({ method: 'DELETE', url: `/api/1.0/sessions?filter=${JSON.stringify({ unknown: 1 })}` })
+    expectValidationError(res, 'Cannot filter on column unknown')
+  })
+
+  lab.test('The API should reply with a 400 error when a batch operation filters on a column which is not filterable', async () => {
+    const res = await inject({
+      method: 'POST',
+      url: '/api/1.0/documents/batch',
+      payload: [
+        { action: 'delete', filter: { date_deleted: null } }
+      ]
+    })
+    expectValidationError(res, 'Cannot filter on column date_deleted')
+    Code.expect(res.payload.error.index).to.equal(0)
+  })
+
+  lab.test('The columns in a filter should be found within operators and JSON paths', async () => {
+    const filter = {
+      $or: [{ a: 1 }, { $and: [{ b: { $gt: 1 } }, { 'c->>d': 'e' }] }],
+      $not: { f: null },
+      $custom: ['1 = $1', 1]
+    }
+    Code.expect(getFilterColumns(filter)).to.equal(['a', 'b', 'c', 'f'])
+  })
+
+  lab.experiment('With the default readable columns', () => {
+    // The key and timestamp columns aren't in the validation schema
+    const { server: defaultServer } = createServer({
+      table: 'sessions',
+      name: `${tag}-default`,
+      primaryKey: 'session_id',
+      endpoint: '/api/1.0/default-columns',
+      onCreateTimestamp: 'date_created',
+      onUpdateTimestamp: 'date_updated',
+      validation: {
+        ip: Joi.string(),
+        session_data: Joi.string()
+      }
+    })
+
+    lab.test('The API should return the primary key and timestamps from create and find', async () => {
+      const { statusCode, payload: { data } } = await inject({
+        method: 'POST',
+        url: '/api/1.0/default-columns',
+        payload: { ip: tag, session_data: JSON.stringify({ tag }) }
+      }, defaultServer)
+      Code.expect(statusCode).to.equal(201)
+      Code.expect(Object.keys(data).sort()).to.equal(['date_created', 'date_updated', 'ip', 'session_data', 'session_id'])
+
+      const { payload: found } = await inject(`/api/1.0/default-columns?filter=${JSON.stringify({ ip: tag })}`, defaultServer)
+      Code.expect(found.data).to.equal([data])
+    })
+  })
+})
+
+exports.lab = lab
@@ -0,0 +1,132 @@
+const Lab = require('@hapi/lab')
+
+const lab = Lab.script()
+
+const Code = require('@hapi/code')
+const Joi = require('joi')
+const HAPIRestAPI = require('../src/rest-api')
+const pool = require('../db.js')
+const { inject } = require('./lib/server.js')
+
+// Unique licence ID for this test run
+const licenceId = Date.now()
+
+lab.experiment('Test composite primary keys', () => {
+  lab.before(async () => {
+    const { statusCode } = await inject({
+      method: 'POST',
+      url: '/api/1.0/licence-documents',
+      payload: [
+        { licence_id: licenceId, document_id: 1, role: 'primary' },
+        { licence_id: licenceId, document_id: 2, role: 'secondary' }
+      ]
+    })
+    Code.expect(statusCode).to.equal(201)
+  })
+
+  lab.test('The API should find a record by each column of the key', async () => {
+    const { statusCode, payload } = await inject(`/api/1.0/licence-documents/${licenceId}/2`)
+
+    Code.expect(statusCode).to.equal(200)
+    Code.expect(payload.data).to.equal({ licence_id: `${licenceId}`, document_id: '2', role: 'secondary' })
+  })
+
+  lab.test('The API should reply with a 404 if no record has the key', async () => {
+    const { statusCode } = await inject(`/api/1.0/licence-documents/${licenceId}/3`)
+    Code.expect(statusCode).to.equal(404)
+  })
+
+  lab.test('The API should reply with a 400 error if a key column is invalid', async () => {
+    const { statusCode, payload } = await inject(`/api/1.0/licence-documents/${licenceId}/x`)
+
+    Code.expect(statusCode).to.equal(400)
+    Code.expect(payload.error.name).to.equal('ValidationError')
+  })
+
+  lab.test('The API should update a record by its key, and forbid changes to the key', async () => {
+    const { statusCode, payload } = await inject({ method: 'PATCH', url: `/api/1.0/licence-documents/${licenceId}/1`, payload: { role: 'lead' } })
+    Code.expect(statusCode).to.equal(200)
+    Code.expect(payload.data.role).to.equal('lead')
+
+    const { statusCode: keyStatusCode } = await inject({ method: 'PATCH', url: `/api/1.0/licence-documents/${licenceId}/1`, payload: { document_id: 5 } })
+    Code.expect(keyStatusCode).to.equal(400)
+  })
+
+  lab.test('The API should create a record with the key from the URL when replacing', async () => {
+    const url = `/api/1.0/licence-documents/${licenceId}/4`
+    const { statusCode, payload } = await inject({ method: 'PUT', url, payload: { role: 'replaced' } })
+    Code.expect(statusCode).to.equal(201)
+    Code.expect(payload.data).to.equal({ licence_id: `${licenceId}`, document_id: '4', role: 'replaced' })
+
+    const { statusCode: mismatchStatusCode } = await inject({ method: 'PUT', url, payload: { licence_id: licenceId, document_id: 5, role: 'x' } })
+    Code.expect(mismatchStatusCode).to.equal(400)
+  })
+
+  lab.test('The API should upsert on conflict with the primary key by default', async () => {
+    const { statusCode, payload } = await inject({ method: 'POST', url: '/api/1.0/licence-documents', payload: { licence_id: licenceId, document_id: 2, role: 'upserted' } })
+
+    Code.expect(statusCode).to.equal(201)
+    Code.expect(payload.data.role).to.equal('upserted')
+  })
+
+  lab.test('The API should run batch operations with a key object', async () => {
+    const { statusCode, payload } = await inject({
+      method: 'POST',
+      url: '/api/1.0/licence-documents/batch',
+      payload: [
+        { action: 'update', id: { licence_id: licenceId, document_id: 2 }, data: { role: 'batch' } },
+        { action: 'delete', id: { licence_id: licenceId, document_id: 1 } }
+      ]
+    })
+    Code.expect(statusCode).to.equal(200)
+    Code.expect(payload.data.map(result => result.rowCount)).to.equal([1, 1])
+
+    const { statusCode: invalidStatusCode, payload: invalidPayload } = await inject({
+      method: 'POST',
+      url: '/api/1.0/licence-documents/batch',
+      payload: [
+        { action: 'delete', id: { licence_id: licenceId } }
+      ]
+    })
+    Code.expect(invalidStatusCode).to.equal(400)
+    Code.expect(invalidPayload.error.message).to.contain('Primary key column document_id is required')
+  })
+
+  lab.test('The API should sort cursor pages by each column of the key', async () => {
+    const filter = JSON.stringify({ licence_id: licenceId })
+    const { payload } = await inject(`/api/1.0/licence-documents?filter=${filter}&pagination=${JSON.stringify({ cursor: null, perPage: 10 })}`)
+
+    Code.expect(payload.data.map(row => row.document_id)).to.equal(['2', '4'])
+  })
+
+  lab.test('The API should delete a record by its key', async () => {
+    const { statusCode } = await inject({ method: 'DELETE', url: `/api/1.0/licence-documents/${licenceId}/4` })
+    Code.expect(statusCode).to.equal(200)
+  })
+
+  lab.test('The schema should include the primary key columns', async () => {
+    const { payload } = await inject('/api/1.0/licence-documents/schema')
+
+    Code.expect(payload.data.config).to.equal({
+      primaryKey: ['licence_id', 'document_id'],
+      primaryKeyAuto: false,
+      primaryKeyGuid: false
+    })
+  })
+
+  lab.test('The API should throw a config error if a composite key is generated', async () => {
+    const createApi = config => () => new HAPIRestAPI({
+      table: 'licence_documents_test',
+      connection: pool,
+      primaryKey: ['licence_id', 'document_id'],
+      endpoint: '/api/1.0/invalid',
+      validation: { licence_id: Joi.number(), document_id: Joi.number() },
+      ...config
+    })
+    Code.expect(createApi({ primaryKeyAuto: true })).to.throw('A composite primary key cannot be auto-generated')
+    Code.expect(createApi({ relations: { documents: { type: 'hasMany', table: 'documents_test', foreignKey: 'licence_id' } } }))
+      .to.throw('Relation documents requires a single column primary key')
+  })
+})
+
+exports.lab = lab
@@ -0,0 +1,207 @@
+const Lab = require('@hapi/lab')
+
+const lab = Lab.script()
+
+const Code = require('@hapi/code')
+const uuidV4 = require('uuid/v4')
+const pool = require('../db.js')
+const { getKeyset, encodeCursor, decodeCursor } = require('../src/cursor-pagination.js')
+const { inject } = require('./lib/server.js')
+
+const tag = `cursor-${Date.now()}`
+const ids = []
+
+/**
+ * Gets a page of numeric PK records created by this test
+ * @param {Object} pagination
+ * @param {Object} sort
+ * @param {Object} [filter]
+ * @return {Promise} resolves with {statusCode, payload}
+ */
+const getPage = (pagination, sort = { id: -1 }, filter = { name: { $like: `${tag}%` } }) => inject({
+  method: 'GET',
+  url: `/api/1.0/numericpk?filter=${JSON.stringify(filter)}&sort=${JSON.stringify(sort)}&pagination=${JSON.stringify(pagination)}`
+})
+
+lab.experiment('Test cursor pagination', () => {
+  lab.before(async () => {
+    const base = Date.now()
+    for (let i = 0; i < 5; i++) {
+      ids.push(base + i)
+    }
+    const { statusCode } = await inject({
+      method: 'POST',
+      url: '/api/1.0/numericpk',
+      payload: ids.map((id, i) => ({ id, name: `${tag}-${i % 2}` }))
+    })
+    Code.expect(statusCode).to.equal(201)
+  })
+
+  lab.test('The API should return the first page with a next cursor', async () => {
+    const { statusCode, payload } = await getPage({ cursor: null, perPage: 2 })
+    Code.expect(statusCode).to.equal(200)
+    Code.expect(payload.data.map(row => parseInt(row.id))).to.equal([ids[4], ids[3]])
+    Code.expect(payload.pagination.perPage).to.equal(2)
+    Code.expect(payload.pagination.nextCursor).to.be.a.string()
+    Code.expect(payload.pagination.prevCursor).to.equal(null)
+    Code.expect(payload.pagination.totalRows).to.equal(undefined)
+  })
+
+  lab.test('The API should page forwards and backwards through results', async () => {
+    const page1 = await getPage({ cursor: null, perPage: 2 })
+    const page2 = await getPage({ cursor: page1.payload.pagination.nextCursor, perPage: 2 })
+    Code.expect(page2.payload.data.map(row => parseInt(row.id))).to.equal([ids[2], ids[1]])
+    Code.expect(page2.payload.pagination.prevCursor).to.be.a.string()
+
+    const page3 = await getPage({ cursor: page2.payload.pagination.nextCursor, perPage: 2 })
+    Code.expect(page3.payload.data.map(row => parseInt(row.id))).to.equal([ids[0]])
+    Code.expect(page3.payload.pagination.nextCursor).to.equal(null)
+
+    const back = await getPage({ cursor: page3.payload.pagination.prevCursor, perPage: 2 })
+    Code.expect(back.payload.data.map(row => parseInt(row.id))).to.equal([ids[2], ids[1]])
+    Code.expect(back.payload.pagination.nextCursor).to.be.a.string()
+
+    const start = await getPage({ cursor: back.payload.pagination.prevCursor, perPage: 2 })
+    Code.expect(start.payload.data.map(row => parseInt(row.id))).to.equal([ids[4], ids[3]])
+    Code.expect(start.payload.pagination.prevCursor).to.equal(null)
+  })
+
+  lab.test('The API should page using mixed sort directions with the primary key as tie-breaker', async () => {
+    const sort = { name: 1, id: -1 }
+    const rows = []
+    let cursor = null
+    do {
+      const { payload } = await getPage({ cursor, perPage: 2 }, sort)
+      rows.push(...payload.data.map(row => parseInt(row.id)))
+      cursor = payload.pagination.nextCursor
+    } while (cursor)
+
+    Code.expect(rows).to.equal([ids[4], ids[2], ids[0], ids[3], ids[1]])
+  })
+
+  lab.test('The API should reject an invalid cursor', async () => {
+    const { statusCode, payload } = await getPage({ cursor: 'invalid', perPage: 2 })
+    Code.expect(statusCode).to.equal(400)
+    Code.expect(payload.error.name).to.equal('ValidationError')
+  })
+
+  lab.test('The API should reject a cursor created for a different sort', async () => {
+    const { payload: page1 } = await getPage({ cursor: null, perPage: 2 })
+    const { statusCode } = await getPage({ cursor: page1.pagination.nextCursor, perPage: 2 }, { id: 1 })
+    Code.expect(statusCode).to.equal(400)
+  })
+
+  lab.test('The API should reject an invalid perPage', async () => {
+    const { statusCode } = await getPage({ cursor: null, perPage: -1 })
+    Code.expect(statusCode).to.equal(400)
+  })
+
+  lab.test('The API should advertise cursor pagination support in offset pagination', async () => {
+    const { payload } = await getPage({ page: 1, perPage: 2 })
+    Code.expect(payload.pagination.cursorPagination).to.equal(true)
+  })
+
+  lab.test('The API should only advertise cursor pagination if the sort is on the primary key', async () => {
+    const { payload } = await getPage({ page: 1, perPage: 2 }, { name: 1 })
+    Code.expect(payload.pagination.cursorPagination).to.equal(false)
+  })
+})
+
+lab.experiment('Test cursor pagination with NULLs and timestamps', () => {
+  const nullIds = [-Date.now(), -Date.now() - 1, -Date.now() - 2]
+  const ip = `cursor-${Date.now()}`
+
+  /**
+   * Gets the IDs of all pages of the records with the IDs, paging forwards to
+   * the last page and then back to the first
+   * @param {Array} ids
+   * @param {Object} sort
+   * @return {Promise} resolves with {forwards, backwards} arrays of IDs
+   */
+  const getAllPages = async (ids, sort) => {
+    const filter = { id: { $in: ids } }
+    const getIds = page => page.data.map(row => parseInt(row.id))
+
+    const forwards = []
+    let page
+    let cursor = null
+    do {
+      ({ payload: page } = await getPage({ cursor, perPage: 2 }, sort, filter))
+      forwards.push(...getIds(page))
+      cursor = page.pagination.nextCursor
+    } while (cursor)
+
+    const backwards = getIds(page)
+    cursor = page.pagination.prevCursor
+    while (cursor) {
+      ({ payload: page } = await getPage({ cursor, perPage: 2 }, sort, filter))
+      backwards.unshift(...getIds(page))
+      cursor = page.pagination.prevCursor
+    }
+    return { forwards, backwards }
+  }
+
+  lab.before(async () => {
+    const { statusCode } = await inject({
+      method: 'POST',
+      url: '/api/1.0/numericpk',
+      payload: nullIds.map(id => ({ id }))
+    })
+    Code.expect(statusCode).to.equal(201)
+  })
+
+  lab.test('The API should page through rows with NULLs in the sort column', async () => {
+    const allIds = [...ids, ...nullIds]
+    for (const sort of [{ name: 1 }, { name: -1 }, { name: 1, id: -1 }]) {
+      // The cursor sort has the primary key appended as a tie-breaker
+      const { payload } = await getPage({ page: 1, perPage: 100 }, { ...sort, id: sort.id || 1 }, { id: { $in: allIds } })
+      const expected = payload.data.map(row => parseInt(row.id))
+      Code.expect(expected.length).to.equal(8)
+
+      const { forwards, backwards } = await getAllPages(allIds, sort)
+      Code.expect(forwards).to.equal(expected)
+      Code.expect(backwards).to.equal(expected)
+    }
+  })
+
+  lab.test('The API should page through timestamps differing by a microsecond', async () => {
+    await pool.query(`INSERT INTO sessions (session_id, ip, date_created) VALUES
+      ($1, $3, '2000-01-01 00:00:00.000001+00'), ($2, $3, '2000-01-01 00:00:00.000002+00')`, [uuidV4(), uuidV4(), ip])
+
+    const getSessions = async cursor => {
+      const { payload } = await inject({
+        method: 'GET',
+        url: `/api/1.0/sessions?filter=${JSON.stringify({ ip })}&sort=${JSON.stringify({ date_created: 1 })}&pagination=${JSON.stringify({ cursor, perPage: 1 })}`
+      })
+      return payload
+    }
+    const page1 = await getSessions(null)
+    const page2 = await getSessions(page1.pagination.nextCursor)
+    Code.expect(page1.data.length).to.equal(1)
+    Code.expect(page2.data.length).to.equal(1)
+    Code.expect(page2.data[0].session_id).to.not.equal(page1.data[0].session_id)
+    Code.expect(page2.pagination.nextCursor).to.equal(null)
+  })
+
+  lab.after(async () => {
+    await pool.query('DELETE FROM sessions WHERE ip = $1', [ip])
+    await pool.query('DELETE FROM numericpk_test WHERE id = ANY($1)', [nullIds])
+  })
+})
+
+lab.experiment('Test cursor helpers', () => {
+  lab.test('getKeyset should append the primary key as a tie-breaker', async () => {
+    Code.expect(getKeyset({ name: -1 }, 'id')).to.equal([['name', -1], ['id', 1]])
+    Code.expect(getKeyset({ id: -1 }, 'id')).to.equal([['id', -1]])
+    Code.expect(getKeyset(undefined, 'id')).to.equal([['id', 1]])
+    Code.expect(getKeyset({ b: -1 }, ['a', 'b'])).to.equal([['b', -1], ['a', 1]])
+  })
+
+  lab.test('decodeCursor should decode a cursor created by encodeCursor', async () => {
+    const keyset = [['id', 1]]
+    const cursor = encodeCursor(keyset, [5], true)
+    Code.expect(decodeCursor(cursor, keyset)).to.equal({ keyset, values: [5], before: true })
+  })
+})
+
+exports.lab = lab
@@ -0,0 +1,96 @@
+const Lab = require('@hapi/lab')
+
+const lab = Lab.script()
+
+const Code = require('@hapi/code')
+const sinon = require('sinon')
+const Db = require('../db.js')
+const { getDBErrors, getDBErrorResponse } = require('../src/db-errors.js')
+const { inject } = require('./lib/server.js')
+
+const tag = `db-errors-${Date.now()}`
+
+lab.experiment('Test DB error mapping', () => {
+  let sandbox
+
+  lab.afterEach(async () => {
+    if (sandbox) {
+      sandbox.restore()
+      sandbox = null
+    }
+  })
+
+  lab.test('The API should reply with 409 and the constraint if a record is still referenced', async () => {
+    const { payload: { data: licence } } = await inject({
+      method: 'POST',
+      url: '/api/1.0/licences',
+      payload: { licence_ref: tag, documents: [{ name: `${tag}-a` }] }
+    })
+
+    const { statusCode, payload } = await inject({
+      method: 'DELETE',
+      url: `/api/1.0/licences/${licence.licence_id}`
+    })
+
+    Code.expect(statusCode).to.equal(409)
+    Code.expect(payload.error).to.include({
+      name: 'DBError',
+      code: '23503',
+      type: 'foreign_key_violation',
+      constraint: 'documents_test_licence_id_fkey',
+      table: 'documents_test'
+    })
+    Code.expect(payload.error.detail).to.contain(`Key (licence_id)=(${licence.licence_id}) is still referenced`)
+  })
+
+  lab.test('The API should use the status code mapped in its config', async () => {
+    const { statusCode, payload } = await inject({
+      method: 'POST',
+      url: '/api/1.0/documents',
+      payload: { name: `${tag}-b`, licence_id: 0 }
+    })
+
+    Code.expect(statusCode).to.equal(422)
+    Code.expect(payload.error.type).to.equal('foreign_key_violation')
+    Code.expect(payload.error.constraint).to.equal('documents_test_licence_id_fkey')
+  })
+
+  lab.test('The API should reply with 503 and Retry-After for a transient error', async () => {
+    sandbox = sinon.createSandbox()
+    sandbox.stub(Db, 'query').rejects({ code: '40001', message: 'could not serialize access' })
+
+    const { statusCode, headers, payload } = await inject({
+      method: 'GET',
+      url: '/api/1.0/sessions'
+    })
+
+    Code.expect(statusCode).to.equal(503)
+    Code.expect(headers['retry-after']).to.equal('1')
+    Code.expect(payload.error).to.equal({ name: 'DBError', code: '40001', type: 'serialization_failure' })
+  })
+
+  lab.test('Overrides should be merged with the default mapping', async () => {
+    const dbErrors = getDBErrors({
+      23503: { statusCode: 422 },
+      '23P01': { type: 'exclusion_violation', statusCode: 409 },
+      '22P02': null
+    })
+
+    Code.expect(dbErrors['23503']).to.equal({ type: 'foreign_key_violation', statusCode: 422 })
+    Code.expect(dbErrors['23P01']).to.equal({ type: 'exclusion_violation', statusCode: 409 })
+    Code.expect(getDBErrorResponse({ code: '22P02' }, dbErrors).statusCode).to.equal(500)
+    Code.expect(() => getDBErrors({ 23514: { statusCode: 200 } })).to.throw('DB error 23514 must be mapped to a 4xx or 5xx status code')
+  })
+
+  lab.test('Unmapped errors should not expose details of the error', async () => {
+    const response = getDBErrorResponse({ code: 'XX000', detail: 'internal', table: 'secret' })
+
+    Code.expect(response).to.equal({
+      statusCode: 500,
+      retryAfter: null,
+      body: { name: 'DBError', code: 'XX000' }
+    })
+  })
+})
+
+exports.lab = lab
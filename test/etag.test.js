@@ -0,0 +1,220 @@
+const Lab = require('@hapi/lab')
+
+const lab = Lab.script()
+
+const Code = require('@hapi/code')
+const server = require('../server.js')
+
+/**
+ * Creates a record in the auto primary key table, returning its ID
+ * @return {Promise} resolves with ID
+ */
+const createRecord = async () => {
+  const res = await server.inject({
+    method: 'POST',
+    url: '/api/1.0/autopk',
+    payload: {
+      name: 'ETag test'
+    }
+  })
+  return JSON.parse(res.payload).data.id
+}
+
+/**
+ * Gets the current ETag for a record
+ * @param {String} url
+ * @return {Promise} resolves with ETag header value
+ */
+const getETag = async (url) => {
+  const res = await server.inject({ method: 'GET', url })
+  Code.expect(res.statusCode).to.equal(200)
+  return res.headers.etag
+}
+
+lab.experiment('Test ETag / If-Match optimistic concurrency', () => {
+  let url
+
+  lab.beforeEach(async () => {
+    url = `/api/1.0/autopk/${await createRecord()}`
+  })
+
+  lab.test('The API should return an ETag when getting a single record', async () => {
+    const etag = await getETag(url)
+    Code.expect(etag).to.match(/^"[0-9a-f]{32}"$/)
+  })
+
+  lab.test('The API should return a new ETag for each update within the same second', async () => {
+    const res = await server.inject({
+      method: 'POST',
+      url: '/api/1.0/sessions',
+      payload: {
+        ip: '127.0.0.1',
+        session_data: JSON.stringify({ username: 'bob' })
+      }
+    })
+    const { session_id: sessionId } = JSON.parse(res.payload).data
+    const sessionUrl = `/api/1.0/sessions/${sessionId}`
+
+    const etag = await getETag(sessionUrl)
+    Code.expect(etag).to.match(/^"[0-9a-f]{32}"$/)
+
+    // The on update timestamp is the same, as it only has a resolution of one second
+    await server.inject({ method: 'PATCH', url: sessionUrl, payload: { session_data: JSON.stringify({ username: 'bobby' }) } })
+    await server.inject({ method: 'PATCH', url: sessionUrl, payload: { session_data: JSON.stringify({ username: 'rob' }) } })
+    Code.expect(await getETag(sessionUrl)).to.not.equal(etag)
+
+    const stale = await server.inject({
+      method: 'PATCH',
+      url: sessionUrl,
+      headers: { 'if-match': etag },
+      payload: { session_data: JSON.stringify({ username: 'robert' }) }
+    })
+    Code.expect(stale.statusCode).to.equal(412)
+  })
+
+  lab.test('The API should not return a list ETag if the API has no timestamps', async () => {
+    const res = await server.inject({ method: 'GET', url: '/api/1.0/numericpk' })
+    Code.expect(res.statusCode).to.equal(200)
+    Code.expect(res.headers.etag).to.equal(undefined)
+  })
+
+  lab.test('The API should update a record when If-Match matches', async () => {
+    const etag = await getETag(url)
+
+    const res = await server.inject({
+      method: 'PATCH',
+      url,
+      headers: { 'if-match': etag },
+      payload: { name: 'Updated' }
+    })
+    Code.expect(res.statusCode).to.equal(200)
+    Code.expect(res.headers.etag).to.not.equal(etag)
+
+    const payload = JSON.parse(res.payload)
+    Code.expect(payload.data.name).to.equal('Updated')
+    Code.expect(payload.data.version).to.equal(2)
+    Code.expect(await getETag(url)).to.equal(res.headers.etag)
+  })
+
+  lab.test('The API should update a record when If-Match has the ETag of a compressed response', async () => {
+    // Responses are only compressed above 1KB
+    const name = 'Compressed '.repeat(100)
+    await server.inject({ method: 'PATCH', url, payload: { name } })
+
+    const compressed = await server.inject({ method: 'GET', url, headers: { 'accept-encoding': 'gzip' } })
+    Code.expect(compressed.headers['content-encoding']).to.equal('gzip')
+    Code.expect(compressed.headers.etag).to.endWith('-gzip"')
+
+    const res = await server.inject({
+      method: 'PATCH',
+      url,
+      headers: { 'if-match': compressed.headers.etag },
+      payload: { name: 'Updated' }
+    })
+    Code.expect(res.statusCode).to.equal(200)
+  })
+
+  lab.test('The API should return 412 when updating with a stale ETag', async () => {
+    const etag = await getETag(url)
+
+    await server.inject({
+      method: 'PATCH',
+      url,
+      payload: { name: 'Concurrent edit' }
+    })
+
+    const res = await server.inject({
+      method: 'PATCH',
+      url,
+      headers: { 'if-match': etag },
+      payload: { name: 'Updated' }
+    })
+    Code.expect(res.statusCode).to.equal(412)
+
+    const payload = JSON.parse(res.payload)
+    Code.expect(payload.error.name).to.equal('PreconditionFailedError')
+  })
+
+  lab.test('The API should accept a list of ETags and * in If-Match', async () => {
+    const etag = await getETag(url)
+
+    const res = await server.inject({
+      method: 'PATCH',
+      url,
+      headers: { 'if-match': `"abc", ${etag}` },
+      payload: { name: 'Updated' }
+    })
+    Code.expect(res.statusCode).to.equal(200)
+
+    const res2 = await server.inject({
+      method: 'PATCH',
+      url,
+      headers: { 'if-match': '*' },
+      payload: { name: 'Updated again' }
+    })
+    Code.expect(res2.statusCode).to.equal(200)
+  })
+
+  lab.test('The API should never match a weak ETag in If-Match', async () => {
+    const etag = await getETag(url)
+
+    const res = await server.inject({
+      method: 'PATCH',
+      url,
+      headers: { 'if-match': `W/${etag}` },
+      payload: { name: 'Updated' }
+    })
+    Code.expect(res.statusCode).to.equal(412)
+  })
+
+  lab.test('The API should return 404 for If-Match on a record not found', async () => {
+    const res = await server.inject({
+      method: 'PATCH',
+      url: '/api/1.0/autopk/0',
+      headers: { 'if-match': '"abc"' },
+      payload: { name: 'Updated' }
+    })
+    Code.expect(res.statusCode).to.equal(404)
+  })
+
+  lab.test('The API should return 412 when deleting with a stale ETag', async () => {
+    const res = await server.inject({
+      method: 'DELETE',
+      url,
+      headers: { 'if-match': '"abc"' }
+    })
+    Code.expect(res.statusCode).to.equal(412)
+
+    const res2 = await server.inject({
+      method: 'DELETE',
+      url,
+      headers: { 'if-match': await getETag(url) }
+    })
+    Code.expect(res2.statusCode).to.equal(200)
+  })
+
+  lab.test('The API should return 412 when replacing with a stale row hash ETag', async () => {
+    const numericUrl = `/api/1.0/numericpk/${Date.now()}`
+    await server.inject({ method: 'PUT', url: numericUrl, payload: { name: 'Original' } })
+    const etag = await getETag(numericUrl)
+
+    const res = await server.inject({
+      method: 'PUT',
+      url: numericUrl,
+      headers: { 'if-match': etag },
+      payload: { name: 'Replaced' }
+    })
+    Code.expect(res.statusCode).to.equal(200)
+    Code.expect(res.headers.etag).to.not.equal(etag)
+
+    const res2 = await server.inject({
+      method: 'PUT',
+      url: numericUrl,
+      headers: { 'if-match': etag },
+      payload: { name: 'Replaced again' }
+    })
+    Code.expect(res2.statusCode).to.equal(412)
+  })
+})
+
+exports.lab = lab
@@ -0,0 +1,130 @@
+const Lab = require('@hapi/lab')
+
+const lab = Lab.script()
+
+const Code = require('@hapi/code')
+const server = require('../server.js')
+const sandbox = require('sinon').createSandbox()
+const Repository = require('../src/repository')
+const { formatCSVValue } = require('../src/export')
+const { inject } = require('./lib/server.js')
+
+const tag = `export-${Date.now()}`
+const ids = []
+
+/**
+ * Exports numeric PK records created by this test
+ * @param {String} [qs] - additional query string
+ * @param {Object} [headers] - request headers
+ * @return {Promise} resolves with HAPI response
+ */
+const exportRecords = (qs = '', headers = {}) => server.inject({
+  method: 'GET',
+  url: `/api/1.0/numericpk?filter=${JSON.stringify({ name: { $like: `${tag}%` } })}&sort=${JSON.stringify({ id: 1 })}${qs}`,
+  headers
+})
+
+lab.experiment('Test CSV and NDJSON export', () => {
+  lab.before(async () => {
+    const base = Date.now()
+    for (let i = 0; i < 3; i++) {
+      ids.push(base + i)
+    }
+    const { statusCode } = await inject({
+      method: 'POST',
+      url: '/api/1.0/numericpk',
+      payload: [
+        { id: ids[0], name: `${tag}-plain` },
+        { id: ids[1], name: `${tag}-"quoted", with comma` },
+        { id: ids[2], name: `${tag}-multi\nline` }
+      ]
+    })
+    Code.expect(statusCode).to.equal(201)
+  })
+
+  lab.afterEach(async () => {
+    sandbox.restore()
+  })
+
+  lab.test('The API should export CSV using the format param', async () => {
+    const res = await exportRecords('&format=csv&columns=id,name')
+
+    Code.expect(res.statusCode).to.equal(200)
+    Code.expect(res.headers['content-type']).to.equal('text/csv; charset=utf-8')
+    Code.expect(res.headers['content-disposition']).to.equal('attachment; filename="numericpk.csv"')
+    Code.expect(res.payload).to.equal([
+      'id,name',
+      `${ids[0]},${tag}-plain`,
+      `${ids[1]},"${tag}-""quoted"", with comma"`,
+      `${ids[2]},"${tag}-multi\nline"`,
+      ''
+    ].join('\n'))
+  })
+
+  lab.test('The API should export CSV using the Accept header', async () => {
+    const res = await exportRecords('', { accept: 'text/csv' })
+
+    Code.expect(res.statusCode).to.equal(200)
+    Code.expect(res.payload.split('\n')[0]).to.equal('id,name')
+  })
+
+  lab.test('The API should export NDJSON using the Accept header', async () => {
+    const res = await exportRecords('&columns=id', { accept: 'application/x-ndjson' })
+
+    Code.expect(res.statusCode).to.equal(200)
+    Code.expect(res.headers['content-type']).to.equal('application/x-ndjson; charset=utf-8')
+    const rows = res.payload.trim().split('\n').map(line => JSON.parse(line))
+    Code.expect(rows).to.equal(ids.map(id => ({ id: id.toString() })))
+  })
+
+  lab.test('The API should export only the CSV header if there are no rows', async () => {
+    const res = await server.inject({
+      method: 'GET',
+      url: `/api/1.0/numericpk?filter=${JSON.stringify({ name: `${tag}-none` })}&format=csv&columns=id,name`
+    })
+
+    Code.expect(res.statusCode).to.equal(200)
+    Code.expect(res.payload).to.equal('id,name\n')
+  })
+
+  lab.test('The API should run the postSelect hook on exported rows', async () => {
+    const res = await server.inject({
+      method: 'GET',
+      url: '/api/1.0/sessions?format=ndjson&columns=session_id'
+    })
+
+    Code.expect(res.statusCode).to.equal(200)
+    const row = JSON.parse(res.payload.split('\n')[0])
+    Code.expect(row.added_field).to.equal('ROW-0')
+  })
+
+  lab.test('The API should reject an export exceeding the maximum size', async () => {
+    sandbox.stub(Repository.prototype, 'findRowCount').resolves({ rows: [{ totalrowcount: '10001' }] })
+    const res = await exportRecords('&format=csv')
+
+    Code.expect(res.statusCode).to.equal(400)
+    Code.expect(JSON.parse(res.payload).error.name).to.equal('ValidationError')
+  })
+
+  lab.test('The API should reject an invalid format', async () => {
+    const res = await exportRecords('&format=xml')
+    Code.expect(res.statusCode).to.equal(400)
+  })
+
+  lab.test('The API should return JSON if requested with the format param', async () => {
+    const res = await exportRecords('&format=json', { accept: 'text/csv' })
+    Code.expect(res.statusCode).to.equal(200)
+    Code.expect(JSON.parse(res.payload).data.length).to.equal(3)
+  })
+})
+
+lab.experiment('Test formatCSVValue', () => {
+  lab.test('It should format values for CSV', async () => {
+    Code.expect(formatCSVValue(null)).to.equal('')
+    Code.expect(formatCSVValue(5)).to.equal('5')
+    Code.expect(formatCSVValue(new Date('2020-01-01T00:00:00Z'))).to.equal('2020-01-01T00:00:00.000Z')
+    Code.expect(formatCSVValue({ a: 'b' })).to.equal('"{""a"":""b""}"')
+  })
+})
+
+exports.lab = lab
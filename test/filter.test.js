@@ -0,0 +1,123 @@
+const Lab = require('@hapi/lab')
+
+const lab = Lab.script()
+
+const Code = require('@hapi/code')
+const { getPredicates, checkFilter } = require('../src/filter.js')
+const { inject, expectValidationError } = require('./lib/server.js')
+
+const tag = `filter-${Date.now()}`
+
+/**
+ * Finds documents with the supplied filter
+ * @param {Object} filter
+ * @return {Promise} resolves with {statusCode, payload}
+ */
+const findDocuments = (filter) => inject(`/api/1.0/documents?filter=${encodeURIComponent(JSON.stringify(filter))}`)
+
+lab.experiment('Test filter limits', () => {
+  lab.before(async () => {
+    const { statusCode } = await inject({
+      method: 'POST',
+      url: '/api/1.0/documents',
+      payload: { name: `${tag}-a` }
+    })
+    Code.expect(statusCode).to.equal(201)
+  })
+
+  lab.test('The API should allow a filter within the limits', async () => {
+    const { statusCode, payload } = await findDocuments({
+      $or: [{ name: { $like: `${tag}%` } }, { name: [`${tag}-a`, `${tag}-b`] }],
+      document_id: { $gt: 0 }
+    })
+
+    Code.expect(statusCode).to.equal(200)
+    Code.expect(payload.data.map(row => row.name)).to.equal([`${tag}-a`])
+  })
+
+  lab.test('The API should reply with a 400 error for an operator not allowed on a column', async () => {
+    const res = await findDocuments({ name: { $ilike: '%a%' } })
+    expectValidationError(res, 'Filter operator $ilike is not allowed on column name')
+  })
+
+  lab.test('The API should reply with a 400 error for an operator not within a column', async () => {
+    const res = await findDocuments({ $custom: ['1 = $1', 1] })
+    expectValidationError(res, 'Filter operator $custom is not allowed')
+  })
+
+  lab.test('The API should reply with a 400 error for operators which run SQL, even without filter limits', async () => {
+    const find = filter => inject(`/api/1.0/sessions?filter=${encodeURIComponent(JSON.stringify(filter))}`)
+
+    expectValidationError(await find({ $custom: ['pg_sleep(1) IS NOT NULL'] }), 'Filter operator $custom is not allowed')
+    expectValidationError(await find({ $or: [{ ip: '127.0.0.1' }, { $custom: ['1 = 1'] }] }), 'Filter operator $custom is not allowed')
+    expectValidationError(await find({ ip: { $not: { $custom: ['1 = 1'] } } }), 'Filter operator $custom is not allowed')
+    // The subquery of $exists is checked like the rest of the filter, so can't read other tables
+    expectValidationError(await find({ $exists: { type: 'select', table: 'pg_user' } }), 'Cannot filter on column type')
+  })
+
+  lab.test('The API should allow the other mongo-sql operators', async () => {
+    const filter = {
+      $exists: { type: 'select', table: 'sessions', where: { ip: '127.0.0.1' } },
+      date_created: { $days_ago: 1 },
+      $or: [{ date_updated: { $hours_ago: 1 } }, { date_updated: { $null: true } }]
+    }
+    Code.expect(checkFilter(filter, { filterOperators: null, maxFilterDepth: null, maxFilterInSize: null, maxFilterPredicates: null })).to.equal(filter)
+  })
+
+  lab.test('The API should treat a plain value and $equals as the same operator', async () => {
+    const { statusCode, payload } = await findDocuments({ name: { $equals: `${tag}-a` } })
+
+    Code.expect(statusCode).to.equal(200)
+    Code.expect(payload.data.map(row => row.name)).to.equal([`${tag}-a`])
+  })
+
+  lab.test('The API should reply with a 400 error if the filter is nested too deeply', async () => {
+    const res = await findDocuments({ $or: [{ $and: [{ $or: [{ name: tag }] }] }] })
+    expectValidationError(res, 'Filter nesting depth exceeds the maximum of 2')
+  })
+
+  lab.test('The API should reply with a 400 error if an $in list is too large', async () => {
+    const res = await findDocuments({ document_id: { $in: [1, 2, 3, 4, 5, 6] } })
+    expectValidationError(res, 'Filter $in list for column document_id has 6 values, exceeding the maximum of 5')
+  })
+
+  lab.test('The API should treat an array value as an $in list', async () => {
+    const res = await findDocuments({ name: ['a', 'b', 'c', 'd', 'e', 'f'] })
+    expectValidationError(res, 'Filter $in list for column name has 6 values')
+  })
+
+  lab.test('The API should reply with a 400 error if the filter has too many predicates', async () => {
+    const res = await findDocuments({
+      $or: [{ name: 'a' }, { name: 'b' }, { name: 'c' }],
+      document_id: { $gt: 1, $lt: 10 }
+    })
+    expectValidationError(res, 'Filter has 5 predicates, exceeding the maximum of 4')
+  })
+
+  lab.test('The API should check the filter on update many routes', async () => {
+    const res = await inject({
+      method: 'PATCH',
+      url: `/api/1.0/documents?filter=${JSON.stringify({ name: { $ilike: tag } })}`,
+      payload: { name: 'x' }
+    })
+    expectValidationError(res, 'Filter operator $ilike is not allowed')
+  })
+
+  lab.test('The predicates in a filter should include each condition on a column', async () => {
+    const predicates = getPredicates({
+      a: 1,
+      b: { $gt: 1, $lt: 5 },
+      $or: [{ 'c->>d': [1, 2] }, { $custom: ['1 = 1'] }]
+    }, null)
+
+    Code.expect(predicates).to.equal([
+      { column: 'a', operator: '$equals', value: 1 },
+      { column: 'b', operator: '$gt', value: 1 },
+      { column: 'b', operator: '$lt', value: 5 },
+      { column: 'c', operator: '$in', value: [1, 2] },
+      { column: null, operator: '$custom', value: ['1 = 1'] }
+    ])
+  })
+})
+
+exports.lab = lab
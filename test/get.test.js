@@ -82,6 +82,94 @@ lab.experiment('Test GET entity/entities', () => {
     Code.expect(payload.error.name).to.equal('NotFoundError')
   })
 
+  lab.test('The API should return 304 for a single record if ETag matches If-None-Match', async () => {
+    const url = `/api/1.0/sessions/${sessionId}`
+    const res = await server.inject({ method: 'GET', url })
+    Code.expect(res.headers.etag).to.be.a.string()
+
+    const res2 = await server.inject({
+      method: 'GET',
+      url,
+      headers: { 'if-none-match': res.headers.etag }
+    })
+    Code.expect(res2.statusCode).to.equal(304)
+    Code.expect(res2.payload).to.equal('')
+  })
+
+  lab.test('The API should return 304 for a single record not modified since If-Modified-Since', async () => {
+    const url = `/api/1.0/sessions/${sessionId}`
+    const res = await server.inject({ method: 'GET', url })
+    Code.expect(res.headers['last-modified']).to.be.a.string()
+
+    const res2 = await server.inject({
+      method: 'GET',
+      url,
+      headers: { 'if-modified-since': res.headers['last-modified'] }
+    })
+    Code.expect(res2.statusCode).to.equal(304)
+
+    const res3 = await server.inject({
+      method: 'GET',
+      url,
+      headers: { 'if-modified-since': new Date('2000-01-01').toUTCString() }
+    })
+    Code.expect(res3.statusCode).to.equal(200)
+  })
+
+  lab.test('The API should return 304 for a list of records if unchanged', async () => {
+    const url = `/api/1.0/sessions?filter=${JSON.stringify({ ip: '127.0.0.1' })}`
+    const res = await server.inject({ method: 'GET', url })
+    Code.expect(res.statusCode).to.equal(200)
+    Code.expect(res.headers.etag).to.startWith('W/"')
+    Code.expect(res.headers['last-modified']).to.equal(undefined)
+
+    const res2 = await server.inject({
+      method: 'GET',
+      url,
+      headers: { 'if-none-match': res.headers.etag }
+    })
+    Code.expect(res2.statusCode).to.equal(304)
+
+    // Adding a row to the list changes the ETag
+    await server.inject({
+      method: 'POST',
+      url: '/api/1.0/sessions',
+      payload: {
+        ip: '127.0.0.1',
+        session_data: JSON.stringify({ username: 'bob' })
+      }
+    })
+
+    const res3 = await server.inject({
+      method: 'GET',
+      url,
+      headers: { 'if-none-match': res.headers.etag }
+    })
+    Code.expect(res3.statusCode).to.equal(200)
+    Code.expect(res3.headers.etag).to.not.equal(res.headers.etag)
+  })
+
+  lab.test('The API should not return 304 for a list of records after a row is deleted', async () => {
+    const ip = `10.3.${Date.now() % 256}.1`
+    const created = await Promise.all(['bob', 'rob'].map(username => server.inject({
+      method: 'POST',
+      url: '/api/1.0/sessions',
+      payload: { ip, session_data: JSON.stringify({ username }) }
+    })))
+    const url = `/api/1.0/sessions?filter=${JSON.stringify({ ip })}`
+    const res = await server.inject({ method: 'GET', url })
+
+    await server.inject({ method: 'DELETE', url: `/api/1.0/sessions/${JSON.parse(created[0].payload).data.session_id}` })
+
+    const res2 = await server.inject({
+      method: 'GET',
+      url,
+      headers: { 'if-none-match': res.headers.etag, 'if-modified-since': new Date().toUTCString() }
+    })
+    Code.expect(res2.statusCode).to.equal(200)
+    Code.expect(JSON.parse(res2.payload).data.length).to.equal(1)
+  })
+
   lab.test('The API should return an error response if DB errors', async () => {
     const query = sandbox.stub(Db, 'query')
     query.throws({
@@ -94,7 +182,7 @@ lab.experiment('Test GET entity/entities', () => {
     }
 
     const res = await server.inject(request)
-    Code.expect(res.statusCode).to.equal(400)
+    Code.expect(res.statusCode).to.equal(409)
 
     // Check payload
     const payload = JSON.parse(res.payload)
@@ -120,7 +208,7 @@ lab.experiment('Test GET entity/entities', () => {
     Code.expect(payload.error).to.equal(null)
     Code.expect(payload.data).to.be.an.array()
     Code.expect(payload.pagination.page).to.equal(1)
-    Code.expect(payload.pagination.perPage).to.equal(Number.MAX_SAFE_INTEGER)
+    Code.expect(payload.pagination.perPage).to.equal(100)
 
     // Check calculated field
     Code.expect(payload.data[0].added_field).to.equal('ROW-0')
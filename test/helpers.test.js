@@ -2,7 +2,7 @@ const Lab = require('@hapi/lab')
 const lab = Lab.script()
 const { expect } = require('@hapi/code')
 
-const { throwIfError, isBadRequest } = require('../src/helpers')
+const { throwIfError, getIfMatch } = require('../src/helpers')
 
 lab.experiment('Test throwIfError', () => {
   lab.test('It should return if error is null', async () => {
@@ -21,33 +21,31 @@ lab.experiment('Test throwIfError', () => {
   })
 })
 
-lab.experiment('isBadRequest', () => {
-  lab.test('It should return true for unique_violation (numeric code)', async () => {
-    expect(isBadRequest(23505)).to.equal(true)
-  })
-
-  lab.test('It should return true for unique_violation (string code)', async () => {
-    expect(isBadRequest('23505')).to.equal(true)
-  })
+lab.experiment('getIfMatch', () => {
+  const config = { etag: true }
 
-  lab.test('It should return true for not_null_violation violation (numeric code)', async () => {
-    expect(isBadRequest(23502)).to.equal(true)
+  lab.test('It should return a list of unquoted ETags', async () => {
+    const request = { headers: { 'if-match': '"abc", "def"' } }
+    expect(getIfMatch(request, config)).to.equal(['abc', 'def'])
   })
 
-  lab.test('It should return true for not_null_violation violation (string code)', async () => {
-    expect(isBadRequest('23502')).to.equal(true)
+  lab.test('It should discard weak ETags', async () => {
+    const request = { headers: { 'if-match': 'W/"abc", "def"' } }
+    expect(getIfMatch(request, config)).to.equal(['def'])
   })
 
-  lab.test('It should return false for other numeric code', async () => {
-    expect(isBadRequest(123)).to.equal(false)
+  lab.test('It should return null for *', async () => {
+    const request = { headers: { 'if-match': '*' } }
+    expect(getIfMatch(request, config)).to.equal(null)
   })
 
-  lab.test('It should return false for other string code', async () => {
-    expect(isBadRequest('2200G')).to.equal(false)
+  lab.test('It should return null if the header is absent', async () => {
+    expect(getIfMatch({ headers: {} }, config)).to.equal(null)
   })
 
-  lab.test('It should return false if no argument given', async () => {
-    expect(isBadRequest()).to.equal(false)
+  lab.test('It should return null if ETags are not enabled', async () => {
+    const request = { headers: { 'if-match': '"abc"' } }
+    expect(getIfMatch(request, {})).to.equal(null)
   })
 })
 
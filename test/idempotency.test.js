@@ -0,0 +1,203 @@
+const Lab = require('@hapi/lab')
+
+const lab = Lab.script()
+
+const Code = require('@hapi/code')
+const Joi = require('joi')
+const sinon = require('sinon')
+const uuidV4 = require('uuid/v4')
+const SessionsApi = require('../sessions-api.js')
+const HAPIRestAPI = require('../src/rest-api')
+const Repository = require('../src/repository')
+const pool = require('../db.js')
+const { inject } = require('./lib/server.js')
+
+const tag = `idempotency-${Date.now()}`
+
+/**
+ * Posts a session with an idempotency key
+ * @param {String} key - idempotency key
+ * @param {Object|Array} payload
+ * @param {String} [url]
+ * @return {Promise} resolves with {statusCode, headers, payload}
+ */
+const post = (key, payload, url = '/api/1.0/sessions') => inject({
+  method: 'POST',
+  url,
+  headers: { 'idempotency-key': key },
+  payload
+})
+
+/**
+ * Counts the sessions with the supplied IP
+ * @param {String} ip
+ * @return {Promise} resolves with count
+ */
+const countSessions = async (ip) => {
+  const { rows } = await pool.query('SELECT COUNT(*) FROM sessions WHERE ip = $1', [ip])
+  return parseInt(rows[0].count)
+}
+
+/**
+ * Finds a stored idempotency key
+ * @param {String} key
+ * @return {Promise} resolves with rows
+ */
+const findKey = async (key) => {
+  const { rows } = await pool.query('SELECT status_code FROM idempotency_keys WHERE idempotency_key = $1', [key])
+  return rows
+}
+
+lab.experiment('Test idempotency keys', () => {
+  let sandbox
+
+  lab.beforeEach(async () => {
+    sandbox = sinon.createSandbox()
+  })
+
+  lab.afterEach(async () => {
+    sandbox.restore()
+  })
+
+  lab.test('The API should replay the original response when a request is repeated', async () => {
+    const key = uuidV4()
+    const payload = { ip: '10.1.0.1', session_data: JSON.stringify({ tag }) }
+
+    const first = await post(key, payload)
+    Code.expect(first.statusCode).to.equal(201)
+    Code.expect(first.headers['idempotent-replayed']).to.equal(undefined)
+
+    const repeat = await post(key, payload)
+    Code.expect(repeat.statusCode).to.equal(201)
+    Code.expect(repeat.headers['idempotent-replayed']).to.equal('true')
+    Code.expect(repeat.payload).to.equal(first.payload)
+    Code.expect(await countSessions('10.1.0.1')).to.equal(1)
+  })
+
+  lab.test('The API should reply with a 409 error if a key is reused for a different request', async () => {
+    const key = uuidV4()
+    await post(key, { ip: '10.1.0.2', session_data: JSON.stringify({ tag }) })
+
+    const { statusCode, payload } = await post(key, { ip: '10.1.0.3', session_data: JSON.stringify({ tag }) })
+    Code.expect(statusCode).to.equal(409)
+    Code.expect(payload.error.name).to.equal('ConflictError')
+    Code.expect(payload.error.message).to.equal('ConflictError: Idempotency key has already been used for a different request')
+    Code.expect(await countSessions('10.1.0.3')).to.equal(0)
+  })
+
+  lab.test('The API should process the request again once the key has expired', async () => {
+    const key = uuidV4()
+    const payload = { ip: '10.1.0.4', session_data: JSON.stringify({ tag }) }
+    await post(key, payload)
+    await pool.query('UPDATE idempotency_keys SET date_created = NOW() - INTERVAL \'2 days\' WHERE idempotency_key = $1', [key])
+
+    const { statusCode, headers } = await post(key, payload)
+    Code.expect(statusCode).to.equal(201)
+    Code.expect(headers['idempotent-replayed']).to.equal(undefined)
+    Code.expect(await countSessions('10.1.0.4')).to.equal(2)
+  })
+
+  lab.test('The API should purge expired keys on a proportion of requests', async () => {
+    const expiredKey = uuidV4()
+    const otherApiKey = uuidV4()
+    const insertExpired = () => pool.query(`INSERT INTO idempotency_keys (api, idempotency_key, fingerprint, date_created)
+      VALUES ('CustomName', $1, 'x', NOW() - INTERVAL '2 days'), ('OtherName', $2, 'x', NOW() - INTERVAL '2 days')`, [expiredKey, otherApiKey])
+    await insertExpired()
+    const random = sandbox.stub(Math, 'random').returns(0.5)
+
+    await post(uuidV4(), { ip: '10.1.0.8', session_data: JSON.stringify({ tag }) })
+    Code.expect(await findKey(expiredKey)).to.have.length(1)
+
+    random.returns(0)
+    const { statusCode } = await post(uuidV4(), { ip: '10.1.0.8', session_data: JSON.stringify({ tag }) })
+    Code.expect(statusCode).to.equal(201)
+    Code.expect(await findKey(expiredKey)).to.equal([])
+    Code.expect(await findKey(otherApiKey)).to.have.length(1)
+    await pool.query('DELETE FROM idempotency_keys WHERE idempotency_key = $1', [otherApiKey])
+  })
+
+  lab.test('The API should purge expired keys when called', async () => {
+    const expiredKey = uuidV4()
+    await pool.query(`INSERT INTO idempotency_keys (api, idempotency_key, fingerprint, date_created)
+      VALUES ('CustomName', $1, 'x', NOW() - INTERVAL '2 days')`, [expiredKey])
+
+    await SessionsApi.purgeIdempotencyKeys()
+    Code.expect(await findKey(expiredKey)).to.equal([])
+  })
+
+  lab.test('The API should release the key if the request fails, so it can be retried', async () => {
+    const key = uuidV4()
+    const { statusCode } = await post(key, { ip: 123 })
+    Code.expect(statusCode).to.equal(400)
+
+    const { statusCode: retryStatusCode } = await post(key, { ip: '10.1.0.5', session_data: JSON.stringify({ tag }) })
+    Code.expect(retryStatusCode).to.equal(201)
+  })
+
+  lab.test('The API should release the key if the response can\'t be stored', async () => {
+    const key = uuidV4()
+    const dbQuery = sandbox.stub(Repository.prototype, 'dbQuery').callsFake(function (query, params) {
+      if (query.includes('SET status_code')) {
+        return Promise.reject(new Error('Connection terminated'))
+      }
+      return dbQuery.wrappedMethod.call(this, query, params)
+    })
+
+    const { statusCode } = await post(key, { ip: '10.1.0.9', session_data: JSON.stringify({ tag }) })
+    Code.expect(statusCode).to.equal(500)
+    Code.expect(await findKey(key)).to.equal([])
+  })
+
+  lab.test('The API should process the request again if a request with the key did not finish', async () => {
+    const key = uuidV4()
+    await pool.query('INSERT INTO idempotency_keys (api, idempotency_key, fingerprint, date_created) VALUES (\'CustomName\', $1, \'x\', NOW() - INTERVAL \'2 minutes\')', [key])
+
+    const { statusCode } = await post(key, { ip: '10.1.0.10', session_data: JSON.stringify({ tag }) })
+    Code.expect(statusCode).to.equal(201)
+    Code.expect(await findKey(key)).to.equal([{ status_code: 201 }])
+  })
+
+  lab.test('The API should reply with a 409 error while a request with the key is in progress', async () => {
+    const key = uuidV4()
+    await pool.query('INSERT INTO idempotency_keys (api, idempotency_key, fingerprint) VALUES (\'CustomName\', $1, \'x\')', [key])
+
+    const { statusCode, payload } = await post(key, { ip: '10.1.0.6' })
+    Code.expect(statusCode).to.equal(409)
+    Code.expect(payload.error.name).to.equal('ConflictError')
+  })
+
+  lab.test('The API should ignore keys if idempotency keys are not enabled', async () => {
+    const key = uuidV4()
+    const id = -Date.now()
+    const { statusCode } = await post(key, { id, name: 'first' }, '/api/1.0/numericpk')
+    Code.expect(statusCode).to.equal(201)
+
+    const { statusCode: repeatStatusCode } = await post(key, { id, name: 'first' }, '/api/1.0/numericpk')
+    Code.expect(repeatStatusCode).to.equal(409)
+  })
+
+  lab.test('The API should reply with a 400 error for a key which is too long', async () => {
+    const { statusCode } = await post('x'.repeat(256), { ip: '10.1.0.7' })
+    Code.expect(statusCode).to.equal(400)
+  })
+
+  lab.test('The API should throw a config error for invalid idempotency config', async () => {
+    const createApi = idempotency => () => new HAPIRestAPI({
+      table: 'sessions',
+      connection: pool,
+      primaryKey: 'session_id',
+      endpoint: '/api/1.0/invalid',
+      validation: { session_id: Joi.string() },
+      idempotency
+    })
+    Code.expect(createApi({ ttl: 0 })).to.throw('Idempotency ttl must be a positive whole number of seconds')
+    Code.expect(createApi({ lockTtl: 1.5 })).to.throw('Idempotency lockTtl must be a positive whole number of seconds')
+    Code.expect(createApi({ purgeProbability: 2 })).to.throw('Idempotency purgeProbability must be a number from 0 to 1')
+  })
+
+  lab.after(async () => {
+    await pool.query('DELETE FROM sessions WHERE ip LIKE \'10.1.0.%\' AND session_data = $1', [JSON.stringify({ tag })])
+  })
+})
+
+exports.lab = lab
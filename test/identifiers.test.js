@@ -0,0 +1,111 @@
+const Lab = require('@hapi/lab')
+
+const lab = Lab.script()
+
+const Code = require('@hapi/code')
+const Joi = require('joi')
+const pool = require('../db.js')
+const Repository = require('../src/repository.js')
+const { quoteIdentifier, quoteTable, quoteColumn } = require('../src/identifiers.js')
+const { inject, createServer } = require('./lib/server.js')
+
+const tag = `identifiers-${Date.now()}`
+
+const hostileKey = 'Name") VALUES (\'x\'); DROP TABLE sessions; --'
+
+lab.experiment('Test identifier quoting', () => {
+  lab.test('Identifiers should be quoted with embedded quotes escaped', async () => {
+    Code.expect(quoteIdentifier('Name')).to.equal('"Name"')
+    Code.expect(quoteIdentifier('a"b')).to.equal('"a""b"')
+    Code.expect(quoteTable('water.Licences')).to.equal('"water"."Licences"')
+    Code.expect(quoteColumn('Id', 'water.Licences')).to.equal('"water"."Licences"."Id"')
+    Code.expect(() => quoteIdentifier('')).to.throw('Invalid identifier ""')
+    Code.expect(() => quoteIdentifier('a\0b')).to.throw()
+  })
+
+  lab.experiment('With a schema qualified mixed case table', () => {
+    const repo = new Repository({
+      connection: pool,
+      table: 'hapi_pg_rest_test.MixedCase',
+      primaryKey: 'Id',
+      columns: ['Id', 'Name'],
+      upsert: { fields: ['Id'], set: ['Name'] }
+    })
+
+    lab.test('The repository should create, find, update and delete records', async () => {
+      const { rows: [created] } = await repo.create({ Name: `${tag}-a` }, ['Id', 'Name'])
+      Code.expect(created.Name).to.equal(`${tag}-a`)
+
+      const { rows: found, etags } = await repo.find({ Id: created.Id }, { Name: 1 }, null, ['Name'], { etag: true })
+      Code.expect(found).to.equal([{ Name: `${tag}-a` }])
+      Code.expect(etags[0]).to.match(/^[0-9a-f]{32}$/)
+
+      const { rows: [updated] } = await repo.update({ Id: created.Id }, { Name: `${tag}-b` }, ['Name'])
+      Code.expect(updated).to.equal({ Name: `${tag}-b` })
+
+      const { rows: [upserted] } = await repo.create({ Id: created.Id, Name: `${tag}-c` })
+      Code.expect(upserted).to.equal({ Id: created.Id, Name: `${tag}-c` })
+
+      const { rowCount } = await repo.delete({ Id: created.Id })
+      Code.expect(rowCount).to.equal(1)
+    })
+
+    lab.test('The repository should reject unknown columns', async () => {
+      Code.expect(() => repo.create({ Name: 'x' }, [hostileKey])).to.throw('Unknown column ' + hostileKey)
+      Code.expect(() => repo.update({ Id: 1 }, { Name: 'x' }, [hostileKey])).to.throw('Unknown column ' + hostileKey)
+      Code.expect(() => repo.find({}, null, null, [hostileKey])).to.throw('Unknown column ' + hostileKey)
+    })
+
+    lab.test('The repository should quote rather than check the columns of data written', async () => {
+      const error = await Code.expect(repo.create({ [hostileKey]: 'x' })).to.reject()
+      Code.expect(error.code).to.equal('42703')
+
+      const updateError = await Code.expect(repo.update({ Id: 1 }, { [hostileKey]: 'x' })).to.reject()
+      Code.expect(updateError.code).to.equal('42703')
+    })
+  })
+
+  lab.test('The repository should quote hostile keys if the columns are not configured', async () => {
+    const repo = new Repository({ connection: pool, table: 'hapi_pg_rest_test.MixedCase' })
+
+    const error = await Code.expect(repo.create({ [hostileKey]: 'x' })).to.reject()
+    Code.expect(error.code).to.equal('42703')
+
+    const { rows } = await pool.query('SELECT to_regclass($1) AS name', ['sessions'])
+    Code.expect(rows[0].name).to.equal('sessions')
+  })
+
+  lab.experiment('With a column added by the preInsert hook', () => {
+    const { server } = createServer({
+      table: 'sessions',
+      name: `${tag}-hook`,
+      primaryKey: 'session_id',
+      endpoint: '/api/1.0/hook-sessions',
+      onCreateTimestamp: 'date_created',
+      // The ip column isn't in the validation schema, so isn't a known column
+      preInsert: data => ({ ...data, ip: '10.4.0.1' }),
+      validation: {
+        session_id: Joi.string().guid(),
+        session_data: Joi.string()
+      }
+    })
+
+    lab.test('The API should create the record with the column', async () => {
+      const { statusCode } = await inject({
+        method: 'POST',
+        url: '/api/1.0/hook-sessions',
+        payload: { session_data: JSON.stringify({ tag }) }
+      }, server)
+      Code.expect(statusCode).to.equal(201)
+
+      const { rows } = await pool.query('SELECT ip FROM sessions WHERE session_data = $1', [JSON.stringify({ tag })])
+      Code.expect(rows).to.equal([{ ip: '10.4.0.1' }])
+    })
+
+    lab.after(async () => {
+      await pool.query('DELETE FROM sessions WHERE session_data = $1', [JSON.stringify({ tag })])
+    })
+  })
+})
+
+exports.lab = lab
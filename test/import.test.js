@@ -0,0 +1,142 @@
+const Lab = require('@hapi/lab')
+
+const lab = Lab.script()
+
+const Code = require('@hapi/code')
+const { parseCSV } = require('../src/import')
+const { inject } = require('./lib/server.js')
+
+const tag = `import-${Date.now()}`
+
+/**
+ * Posts an import payload to the numeric PK API
+ * @param {String} payload
+ * @param {String} contentType
+ * @param {String} [qs] - query string
+ * @return {Promise} resolves with {statusCode, payload}
+ */
+const postImport = (payload, contentType, qs = '') => inject({
+  method: 'POST',
+  url: `/api/1.0/numericpk${qs}`,
+  headers: { 'content-type': contentType },
+  payload
+})
+
+/**
+ * Finds numeric PK records with the supplied name
+ * @param {String} name
+ * @return {Promise} resolves with array of records
+ */
+const findByName = async (name) => {
+  const { payload } = await inject({
+    method: 'GET',
+    url: `/api/1.0/numericpk?filter=${JSON.stringify({ name })}&sort=${JSON.stringify({ id: 1 })}`
+  })
+  return payload.data
+}
+
+lab.experiment('Test CSV and NDJSON import', () => {
+  const base = Date.now()
+
+  lab.test('The API should import a CSV payload, coercing values using the validation schema', async () => {
+    const csv = `id,name\n${base},${tag}-csv\r\n${base + 1},"${tag}-csv"\n`
+    const { statusCode, payload } = await postImport(csv, 'text/csv', '?columns=id,name')
+
+    Code.expect(statusCode).to.equal(201)
+    Code.expect(payload.rowCount).to.equal(2)
+    Code.expect(payload.data).to.equal([
+      { id: `${base}`, name: `${tag}-csv` },
+      { id: `${base + 1}`, name: `${tag}-csv` }
+    ])
+  })
+
+  lab.test('The API should import an NDJSON payload', async () => {
+    const ndjson = [
+      JSON.stringify({ id: base + 2, name: `${tag}-ndjson` }),
+      '',
+      JSON.stringify({ id: base + 3, name: `${tag}-ndjson` })
+    ].join('\n')
+    const { statusCode, payload } = await postImport(ndjson, 'application/x-ndjson')
+
+    Code.expect(statusCode).to.equal(201)
+    Code.expect(payload.rowCount).to.equal(2)
+    Code.expect(await findByName(`${tag}-ndjson`)).to.have.length(2)
+  })
+
+  lab.test('The API should reject the whole import and report errors by line', async () => {
+    const csv = `id,name\n${base + 4},${tag}-rejected\nabc,${tag}-rejected\n${base + 5}\n`
+    const { statusCode, payload } = await postImport(csv, 'text/csv')
+
+    Code.expect(statusCode).to.equal(400)
+    Code.expect(payload.error.name).to.equal('ValidationError')
+    Code.expect(payload.error.lines).to.equal([
+      { line: 3, details: [{ message: '"id" must be a number', path: ['id'], type: 'number.base' }] },
+      { line: 4, details: [{ message: 'Expected 2 values but found 1', type: 'import' }] }
+    ])
+    Code.expect(await findByName(`${tag}-rejected`)).to.have.length(0)
+  })
+
+  lab.test('The API should skip invalid lines if requested', async () => {
+    const ndjson = [
+      JSON.stringify({ id: base + 6, name: `${tag}-skip` }),
+      '{"id":',
+      JSON.stringify({ id: base + 7 }),
+      JSON.stringify({ id: base + 8, name: `${tag}-skip` })
+    ].join('\n')
+    const { statusCode, payload } = await postImport(ndjson, 'application/x-ndjson', '?skipInvalid=true')
+
+    Code.expect(statusCode).to.equal(201)
+    Code.expect(payload.rowCount).to.equal(2)
+    Code.expect(payload.skipped.map(error => error.line)).to.equal([2, 3])
+    Code.expect(await findByName(`${tag}-skip`)).to.have.length(2)
+  })
+
+  lab.test('The API should reply 200 if all lines are skipped', async () => {
+    const { statusCode, payload } = await postImport('id,name\nabc,def\n', 'text/csv', '?skipInvalid=true')
+
+    Code.expect(statusCode).to.equal(200)
+    Code.expect(payload.data).to.equal([])
+    Code.expect(payload.skipped.length).to.equal(1)
+  })
+
+  lab.test('The API should reject a CSV header containing unknown columns', async () => {
+    const { statusCode, payload } = await postImport('id,name,unknown\n1,a,b\n', 'text/csv')
+
+    Code.expect(statusCode).to.equal(400)
+    Code.expect(payload.error.message).to.equal('ValidationError: Unknown CSV columns: unknown')
+  })
+
+  lab.test('The API should forbid generated primary keys in imported rows', async () => {
+    const { statusCode, payload } = await inject({
+      method: 'POST',
+      url: '/api/1.0/autopk',
+      headers: { 'content-type': 'text/csv' },
+      payload: 'id,name\n1,test\n'
+    })
+
+    Code.expect(statusCode).to.equal(400)
+    Code.expect(payload.error.lines[0].details[0].type).to.equal('any.unknown')
+  })
+
+  lab.test('The API should still create records from a JSON payload', async () => {
+    const { statusCode } = await postImport(JSON.stringify({ id: base + 9, name: `${tag}-json` }), 'application/json')
+    Code.expect(statusCode).to.equal(201)
+  })
+})
+
+lab.experiment('Test parseCSV', () => {
+  lab.test('It should parse quoted values containing commas, quotes and line breaks', async () => {
+    const csv = '\uFEFFa,b\n"1,2","say ""hi"""\n\n"multi\nline",x'
+    Code.expect(parseCSV(csv)).to.equal([
+      { line: 1, values: ['a', 'b'] },
+      { line: 2, values: ['1,2', 'say "hi"'] },
+      { line: 4, values: ['multi\nline', 'x'] }
+    ])
+  })
+
+  lab.test('It should throw an error for an unterminated quoted value', async () => {
+    Code.expect(() => parseCSV('a\n"b')).to.throw('Unterminated quoted value starting on line 2')
+  })
+})
+
+exports.lab = lab
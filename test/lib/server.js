@@ -0,0 +1,57 @@
+/**
+ * Shared helpers for tests which make requests to the test server, or to
+ * a server with an API configured by the test
+ * @module test/lib/server
+ */
+const Code = require('@hapi/code')
+const Hapi = require('@hapi/hapi')
+const server = require('../../server.js')
+const pool = require('../../db.js')
+const HAPIRestAPI = require('../../src/rest-api.js')
+
+/**
+ * Injects a request into a server and parses the JSON payload of the reply
+ * @param {Object|String} options - HAPI inject options or URL
+ * @param {Object} [testServer] - server to inject into, defaults to the test server
+ * @return {Promise} resolves with {statusCode, headers, payload}
+ */
+const inject = async (options, testServer = server) => {
+  const res = await testServer.inject(options)
+  return {
+    statusCode: res.statusCode,
+    headers: res.headers,
+    payload: JSON.parse(res.payload)
+  }
+}
+
+/**
+ * Creates a server with the routes of a single API, for tests which need an
+ * API configured differently to those of the test server.  The API uses the
+ * test DB connection unless another is configured
+ * @param {Object} config - HAPI PG REST API config object
+ * @param {Object} [options] - HAPI server options
+ * @return {Object} {server, api}
+ */
+const createServer = (config, options) => {
+  const testServer = new Hapi.Server(options)
+  const api = new HAPIRestAPI({ connection: pool, ...config })
+  testServer.route(api.getRoutes())
+  return { server: testServer, api }
+}
+
+/**
+ * Checks the response is a 400 validation error with the supplied message
+ * @param {Object} res - {statusCode, payload}
+ * @param {String} message
+ */
+const expectValidationError = ({ statusCode, payload }, message) => {
+  Code.expect(statusCode).to.equal(400)
+  Code.expect(payload.error.name).to.equal('ValidationError')
+  Code.expect(payload.error.message).to.contain(message)
+}
+
+module.exports = {
+  inject,
+  createServer,
+  expectValidationError
+}
@@ -0,0 +1,147 @@
+const Lab = require('@hapi/lab')
+
+const lab = Lab.script()
+
+const Code = require('@hapi/code')
+const sinon = require('sinon')
+const Repository = require('../src/repository.js')
+const { inject } = require('./lib/server.js')
+
+const tag = `nested-${Date.now()}`
+
+/**
+ * Creates licences with a POST request
+ * @param {Object|Array} payload
+ * @param {String} [qs] - query string
+ * @return {Promise} resolves with {statusCode, payload}
+ */
+const createLicences = (payload, qs = '') => inject({
+  method: 'POST',
+  url: `/api/1.0/licences${qs}`,
+  payload
+})
+
+/**
+ * Finds licences with the supplied ref, including their documents
+ * @param {String} ref
+ * @return {Promise} resolves with licences found
+ */
+const findLicences = async (ref) => {
+  const filter = JSON.stringify({ licence_ref: ref })
+  const { payload } = await inject({
+    method: 'GET',
+    url: `/api/1.0/licences?filter=${filter}&include=documents`
+  })
+  return payload.data
+}
+
+lab.experiment('Test nested create', () => {
+  let sandbox
+
+  lab.beforeEach(async () => {
+    sandbox = sinon.createSandbox()
+  })
+
+  lab.afterEach(async () => {
+    sandbox.restore()
+  })
+
+  lab.test('The API should create a record with its nested records', async () => {
+    const { statusCode, payload } = await createLicences({
+      licence_ref: `${tag}-1`,
+      documents: [{ name: 'Document A' }, { name: 'Document B' }]
+    })
+
+    Code.expect(statusCode).to.equal(201)
+    Code.expect(payload.error).to.equal(null)
+
+    const { licence_id: licenceId, licence_ref: licenceRef, documents } = payload.data
+    Code.expect(licenceRef).to.equal(`${tag}-1`)
+    Code.expect(documents.map(doc => [doc.licence_id, doc.name])).to.equal([
+      [licenceId, 'Document A'],
+      [licenceId, 'Document B']
+    ])
+
+    const [licence] = await findLicences(`${tag}-1`)
+    Code.expect(licence.documents.map(doc => doc.name)).to.equal(['Document A', 'Document B'])
+  })
+
+  lab.test('The API should create multiple records with their nested records', async () => {
+    const { statusCode, payload } = await createLicences([
+      { licence_ref: `${tag}-2`, documents: [{ name: 'Document C' }] },
+      { licence_ref: `${tag}-2`, documents: [] }
+    ])
+
+    Code.expect(statusCode).to.equal(201)
+    Code.expect(payload.data.length).to.equal(2)
+    Code.expect(payload.data[0].documents.map(doc => doc.name)).to.equal(['Document C'])
+    Code.expect(payload.data[1].documents).to.equal([])
+  })
+
+  lab.test('The API should only return the requested columns of the parent record', async () => {
+    const { payload } = await createLicences({
+      licence_ref: `${tag}-3`,
+      documents: [{ name: 'Document D' }]
+    }, '?columns=licence_ref')
+
+    Code.expect(Object.keys(payload.data)).to.equal(['licence_ref', 'documents'])
+    Code.expect(payload.data.documents[0].name).to.equal('Document D')
+  })
+
+  lab.test('The API should reply with a 400 error locating an invalid nested record', async () => {
+    const { statusCode, payload } = await createLicences({
+      licence_ref: `${tag}-4`,
+      documents: [{ name: 'Document E' }, { name: 123 }]
+    })
+
+    Code.expect(statusCode).to.equal(400)
+    Code.expect(payload.error.name).to.equal('ValidationError')
+    Code.expect(payload.error.message).to.contain('documents: "[1].name" must be a string')
+    Code.expect(await findLicences(`${tag}-4`)).to.equal([])
+  })
+
+  lab.test('The API should not allow the foreign key to be set in nested records', async () => {
+    const { statusCode, payload } = await createLicences({
+      licence_ref: `${tag}-4`,
+      documents: [{ name: 'Document F', licence_id: 1 }]
+    })
+
+    Code.expect(statusCode).to.equal(400)
+    Code.expect(payload.error.message).to.contain('documents: "[0].licence_id" is not allowed')
+  })
+
+  lab.test('The API should reply with a 400 error if nested records are not an array', async () => {
+    const { statusCode, payload } = await createLicences([
+      { licence_ref: `${tag}-4`, documents: { name: 'Document G' } }
+    ])
+
+    Code.expect(statusCode).to.equal(400)
+    Code.expect(payload.error.message).to.contain('[0].documents must be an array')
+  })
+
+  lab.test('The API should validate the parent record', async () => {
+    const { statusCode } = await createLicences({
+      licence_ref: 123,
+      documents: [{ name: 'Document H' }]
+    })
+
+    Code.expect(statusCode).to.equal(400)
+  })
+
+  lab.test('The API should not create the parent record if creating a nested record fails', async () => {
+    const create = sandbox.stub(Repository.prototype, 'create').callThrough()
+    create.onSecondCall().rejects({ code: '23505' })
+
+    const { statusCode, payload } = await createLicences({
+      licence_ref: `${tag}-5`,
+      documents: [{ name: 'Document I' }]
+    })
+
+    Code.expect(statusCode).to.equal(409)
+    Code.expect(payload.error.name).to.equal('DBError')
+    Code.expect(create.callCount).to.equal(2)
+    Code.expect(await findLicences(`${tag}-5`)).to.equal([])
+  })
+})
+
+exports.lab = lab
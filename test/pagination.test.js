@@ -0,0 +1,184 @@
+const Lab = require('@hapi/lab')
+
+const lab = Lab.script()
+
+const Code = require('@hapi/code')
+const sandbox = require('sinon').createSandbox()
+const Db = require('../db')
+const Joi = require('joi')
+const HAPIRestAPI = require('../src/rest-api')
+const { inject } = require('./lib/server.js')
+
+const tag = `pagination-${Date.now()}`
+
+/**
+ * Gets a page of numeric PK records created by this test
+ * @param {Object} pagination
+ * @return {Promise} resolves with {statusCode, payload}
+ */
+const getPage = (pagination) => inject({
+  method: 'GET',
+  url: `/api/1.0/numericpk?filter=${JSON.stringify({ name: tag })}&sort=${JSON.stringify({ id: 1 })}&pagination=${JSON.stringify(pagination)}`
+})
+
+lab.experiment('Test pagination count modes', () => {
+  lab.before(async () => {
+    const base = Date.now()
+    const { statusCode } = await inject({
+      method: 'POST',
+      url: '/api/1.0/numericpk',
+      payload: [0, 1, 2, 3, 4].map(i => ({ id: base + i, name: tag }))
+    })
+    Code.expect(statusCode).to.equal(201)
+  })
+
+  lab.afterEach(async () => {
+    sandbox.restore()
+  })
+
+  lab.test('The API should return the exact total row count in a single query', async () => {
+    const spy = sandbox.spy(Db, 'query')
+    const { statusCode, payload } = await getPage({ page: 2, perPage: 2 })
+
+    Code.expect(statusCode).to.equal(200)
+    Code.expect(payload.data.length).to.equal(2)
+    Code.expect(payload.data[0]._total_).to.equal(undefined)
+    Code.expect(payload.pagination).to.equal({
+      page: 2,
+      perPage: 2,
+      count: 'exact',
+      totalRows: 5,
+      pageCount: 3,
+      cursorPagination: true,
+      maxPerPage: 1000
+    })
+    Code.expect(spy.callCount).to.equal(1)
+  })
+
+  lab.test('The API should return the exact total row count for a page past the end of the results', async () => {
+    const { payload } = await getPage({ page: 4, perPage: 2 })
+
+    Code.expect(payload.data).to.equal([])
+    Code.expect(payload.pagination.totalRows).to.equal(5)
+    Code.expect(payload.pagination.pageCount).to.equal(3)
+  })
+
+  lab.test('The API should return an estimated total row count', async () => {
+    const { statusCode, payload } = await getPage({ page: 1, perPage: 2, count: 'estimated' })
+
+    Code.expect(statusCode).to.equal(200)
+    Code.expect(payload.data.length).to.equal(2)
+    Code.expect(payload.pagination.count).to.equal('estimated')
+    Code.expect(payload.pagination.totalRows).to.be.a.number()
+    Code.expect(payload.pagination.pageCount).to.equal(Math.ceil(payload.pagination.totalRows / 2))
+  })
+
+  lab.test('The API should return whether there are more rows if no count is requested', async () => {
+    const { payload } = await getPage({ page: 2, perPage: 2, count: 'none' })
+
+    Code.expect(payload.data.length).to.equal(2)
+    Code.expect(payload.pagination).to.equal({
+      page: 2,
+      perPage: 2,
+      count: 'none',
+      hasMore: true,
+      cursorPagination: true,
+      maxPerPage: 1000
+    })
+
+    const { payload: lastPage } = await getPage({ page: 3, perPage: 2, count: 'none' })
+    Code.expect(lastPage.data.length).to.equal(1)
+    Code.expect(lastPage.pagination.hasMore).to.equal(false)
+  })
+
+  lab.test('The API should reject an invalid count mode', async () => {
+    const { statusCode, payload } = await getPage({ page: 1, perPage: 2, count: 'invalid' })
+
+    Code.expect(statusCode).to.equal(400)
+    Code.expect(payload.error.name).to.equal('ValidationError')
+  })
+})
+
+lab.experiment('Test page size limits', () => {
+  lab.before(async () => {
+    const base = Date.now() + 10
+    await inject({
+      method: 'POST',
+      url: '/api/1.0/numericpk',
+      payload: [0, 1, 2].map(i => ({ id: base + i, name: `${tag}-limits` }))
+    })
+  })
+
+  /**
+   * Gets the numeric PK records created for the page size tests
+   * @param {String} [qs] - additional query string
+   * @return {Promise} resolves with {statusCode, headers, payload}
+   */
+  const getLimitsPage = (qs = '') => inject({
+    method: 'GET',
+    url: `/api/1.0/numericpk?filter=${JSON.stringify({ name: `${tag}-limits` })}${qs}`
+  })
+
+  lab.test('The API should use the default page size if none is requested', async () => {
+    const { payload } = await getLimitsPage()
+    Code.expect(payload.pagination.page).to.equal(1)
+    Code.expect(payload.pagination.perPage).to.equal(100)
+
+    const { payload: pageOnly } = await getLimitsPage(`&pagination=${JSON.stringify({ page: 2 })}`)
+    Code.expect(pageOnly.pagination.perPage).to.equal(100)
+  })
+
+  lab.test('The API should cap the page size at the maximum', async () => {
+    const { statusCode, payload } = await getLimitsPage(`&pagination=${JSON.stringify({ page: 1, perPage: 5000 })}`)
+
+    Code.expect(statusCode).to.equal(200)
+    Code.expect(payload.pagination.perPage).to.equal(1000)
+    Code.expect(payload.pagination.maxPerPage).to.equal(1000)
+  })
+
+  lab.test('The API should reject an oversized page if configured to', async () => {
+    const { statusCode, payload } = await inject({
+      method: 'GET',
+      url: `/api/1.0/licence-documents?pagination=${JSON.stringify({ page: 1, perPage: 51 })}`
+    })
+
+    Code.expect(statusCode).to.equal(400)
+    Code.expect(payload.error.message).to.equal('ValidationError: Pagination perPage must be at most 50')
+  })
+
+  lab.test('The API should link to the next page if the results are truncated', async () => {
+    const { headers } = await getLimitsPage(`&pagination=${JSON.stringify({ page: 1, perPage: 2 })}`)
+    const query = new URLSearchParams({
+      filter: JSON.stringify({ name: `${tag}-limits` }),
+      pagination: JSON.stringify({ page: 2, perPage: 2, count: 'exact' })
+    })
+    Code.expect(headers.link).to.equal(`</api/1.0/numericpk?${query}>; rel="next"`)
+
+    const { headers: lastPage } = await getLimitsPage(`&pagination=${JSON.stringify({ page: 2, perPage: 2 })}`)
+    Code.expect(lastPage.link).to.equal(undefined)
+  })
+
+  lab.test('The API should link to the next page of cursor pagination', async () => {
+    const { payload, headers } = await getLimitsPage(`&pagination=${JSON.stringify({ cursor: null, perPage: 2 })}`)
+    const next = new URLSearchParams(headers.link.match(/\?(.*)>/)[1])
+
+    Code.expect(JSON.parse(next.get('pagination'))).to.equal({ cursor: payload.pagination.nextCursor, perPage: 2 })
+  })
+
+  lab.test('The API should throw a config error for invalid page size options', async () => {
+    const createApi = config => () => new HAPIRestAPI({
+      table: 'numericpk_test',
+      connection: Db,
+      primaryKey: 'id',
+      endpoint: '/api/1.0/invalid',
+      validation: { id: Joi.number() },
+      ...config
+    })
+    Code.expect(createApi({ maxPerPage: 0 })).to.throw('maxPerPage must be a positive integer or null')
+    Code.expect(createApi({ perPageOverflow: 'truncate' })).to.throw('perPageOverflow must be cap or reject')
+    Code.expect(createApi({ pagination: { perPage: 2000 } })).to.throw('Default pagination perPage cannot exceed maxPerPage of 1000')
+    Code.expect(createApi({ pagination: { perPage: 2000 }, maxPerPage: null })).to.not.throw()
+  })
+})
+
+exports.lab = lab
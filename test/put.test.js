@@ -1,5 +1,3 @@
-// Test PUT - not yet implemented
-
 const Lab = require('@hapi/lab')
 
 const lab = Lab.script()
@@ -7,6 +5,8 @@ const lab = Lab.script()
 const Code = require('@hapi/code')
 const server = require('../server.js')
 
+const uuidV4 = require('uuid/v4')
+
 let sessionId
 
 lab.experiment('Test PUT entity replacement', () => {
@@ -16,7 +16,8 @@ lab.experiment('Test PUT entity replacement', () => {
       url: '/api/1.0/sessions',
       payload: {
         ip: '127.0.0.1',
-        session_data: JSON.stringify({ username: 'bob' })
+        session_data: JSON.stringify({ username: 'bob' }),
+        email: 'mail@example.com'
       }
     }
 
@@ -28,23 +29,178 @@ lab.experiment('Test PUT entity replacement', () => {
     sessionId = payload.data.session_id
   })
 
-  lab.test('The API is not implemented for PUT', async () => {
+  lab.test('The API should replace a single record by ID', async () => {
     const request = {
       method: 'PUT',
       url: `/api/1.0/sessions/${sessionId}`,
       payload: {
-        ip: '127.0.0.1',
-        session_data: JSON.stringify({ username: 'bob' })
+        ip: '10.0.1.1',
+        session_data: JSON.stringify({ username: 'jim' })
+      }
+    }
+
+    const res = await server.inject(request)
+    Code.expect(res.statusCode).to.equal(200)
+
+    // Check payload
+    const payload = JSON.parse(res.payload)
+    Code.expect(payload.error).to.equal(null)
+    Code.expect(payload.rowCount).to.equal(1)
+    Code.expect(payload.data.ip).to.equal('10.0.1.1')
+    Code.expect(payload.data.session_data).to.equal({ username: 'jim' })
+    Code.expect(payload.data.date_created).to.be.a.string()
+    Code.expect(payload.data.date_updated).to.be.a.string()
+  })
+
+  lab.test('The API should reset columns omitted from the payload', async () => {
+    const request = {
+      method: 'PUT',
+      url: `/api/1.0/sessions/${sessionId}`,
+      payload: {
+        ip: '10.0.1.2',
+        session_data: JSON.stringify({ username: 'jim' })
+      }
+    }
+
+    const res = await server.inject(request)
+    Code.expect(res.statusCode).to.equal(200)
+
+    // Check payload
+    const payload = JSON.parse(res.payload)
+    Code.expect(payload.data.ip).to.equal('10.0.1.2')
+    Code.expect(payload.data.email).to.equal(null)
+  })
+
+  lab.test('The API should accept a primary key in the payload matching the URL', async () => {
+    const request = {
+      method: 'PUT',
+      url: `/api/1.0/sessions/${sessionId}`,
+      payload: {
+        session_id: sessionId,
+        ip: '10.0.1.3',
+        session_data: JSON.stringify({ username: 'jim' })
+      }
+    }
+
+    const res = await server.inject(request)
+    Code.expect(res.statusCode).to.equal(200)
+
+    // Check payload
+    const payload = JSON.parse(res.payload)
+    Code.expect(payload.data.session_id).to.equal(sessionId)
+  })
+
+  lab.test('The API should reject a primary key in the payload which does not match the URL', async () => {
+    const request = {
+      method: 'PUT',
+      url: `/api/1.0/sessions/${sessionId}`,
+      payload: {
+        session_id: uuidV4(),
+        ip: '10.0.1.3'
+      }
+    }
+
+    const res = await server.inject(request)
+    Code.expect(res.statusCode).to.equal(400)
+
+    // Check payload
+    const payload = JSON.parse(res.payload)
+    Code.expect(payload.error.name).to.equal('ValidationError')
+  })
+
+  lab.test('The API should reject invalid data', async () => {
+    const request = {
+      method: 'PUT',
+      url: `/api/1.0/sessions/${sessionId}`,
+      payload: {
+        ip: 123
       }
     }
 
     const res = await server.inject(request)
-    Code.expect(res.statusCode).to.equal(501)
+    Code.expect(res.statusCode).to.equal(400)
 
     // Check payload
     const payload = JSON.parse(res.payload)
+    Code.expect(payload.error.name).to.equal('ValidationError')
+  })
+
+  lab.test('The API should reject an invalid ID', async () => {
+    const request = {
+      method: 'PUT',
+      url: '/api/1.0/sessions/invalid-guid',
+      payload: {
+        ip: '10.0.1.1'
+      }
+    }
+
+    const res = await server.inject(request)
+    Code.expect(res.statusCode).to.equal(400)
+
+    // Check payload
+    const payload = JSON.parse(res.payload)
+    Code.expect(payload.error.name).to.equal('ValidationError')
+  })
+
+  lab.test('The API should return 404 for a record not found', async () => {
+    const request = {
+      method: 'PUT',
+      url: `/api/1.0/sessions/${uuidV4()}`,
+      payload: {
+        ip: '10.0.1.1'
+      }
+    }
 
-    Code.expect(payload.error.name).to.equal('NotImplementedError')
+    const res = await server.inject(request)
+    Code.expect(res.statusCode).to.equal(404)
+
+    // Check payload
+    const payload = JSON.parse(res.payload)
+    Code.expect(payload.error.name).to.equal('NotFoundError')
+  })
+
+  lab.test('The API should create the record if not found when createOnReplace is set', async () => {
+    const id = Date.now()
+    const request = {
+      method: 'PUT',
+      url: `/api/1.0/numericpk/${id}`,
+      payload: {
+        name: 'Created'
+      }
+    }
+
+    const res = await server.inject(request)
+    Code.expect(res.statusCode).to.equal(201)
+
+    const payload = JSON.parse(res.payload)
+    Code.expect(payload.error).to.equal(null)
+    Code.expect(payload.data.id).to.equal(id.toString())
+    Code.expect(payload.data.name).to.equal('Created')
+
+    // Replace the created record
+    const res2 = await server.inject({ ...request, payload: { name: 'Replaced' } })
+    Code.expect(res2.statusCode).to.equal(200)
+
+    const payload2 = JSON.parse(res2.payload)
+    Code.expect(payload2.data.name).to.equal('Replaced')
+  })
+
+  lab.test('The API should create or replace the record when concurrent requests replace a new ID', async () => {
+    const id = Date.now() + 1
+    const requests = Array.from({ length: 10 }, (value, i) => server.inject({
+      method: 'PUT',
+      url: `/api/1.0/numericpk/${id}`,
+      payload: { name: `Name ${i}` }
+    }))
+
+    const responses = await Promise.all(requests)
+    const statusCodes = responses.map(res => res.statusCode)
+    Code.expect(statusCodes.filter(code => code === 201).length).to.equal(1)
+    Code.expect(statusCodes.filter(code => code === 200).length).to.equal(9)
+
+    const res = await server.inject(`/api/1.0/numericpk?filter=${JSON.stringify({ id })}`)
+    const payload = JSON.parse(res.payload)
+    Code.expect(payload.data.length).to.equal(1)
   })
 })
 
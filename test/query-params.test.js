@@ -0,0 +1,79 @@
+const Lab = require('@hapi/lab')
+
+const lab = Lab.script()
+
+const Code = require('@hapi/code')
+const { inject } = require('./lib/server.js')
+
+/**
+ * Checks the response is a 400 validation error with the supplied message
+ * @param {Object} res - {statusCode, payload}
+ * @param {String} message
+ */
+const expectValidationError = ({ statusCode, payload }, message) => {
+  Code.expect(statusCode).to.equal(400)
+  Code.expect(payload.data).to.equal(null)
+  Code.expect(payload.error.name).to.equal('ValidationError')
+  Code.expect(payload.error.message).to.equal(`ValidationError: ${message}`)
+}
+
+const encode = value => encodeURIComponent(JSON.stringify(value))
+
+lab.experiment('Test query param validation', () => {
+  lab.test('The API should reply with a 400 error for malformed JSON in the filter', async () => {
+    const res = await inject(`/api/1.0/sessions?filter=${encodeURIComponent('{"ip":')}`)
+    expectValidationError(res, '"filter" must be valid JSON')
+  })
+
+  lab.test('The API should reply with a 400 error if the filter is not an object', async () => {
+    const res = await inject(`/api/1.0/sessions?filter=${encode(['ip'])}`)
+    expectValidationError(res, '"filter" must be a JSON object')
+  })
+
+  lab.test('The API should reply with a 400 error for an invalid sort direction', async () => {
+    const res = await inject(`/api/1.0/sessions?sort=${encode({ ip: 'asc' })}`)
+    expectValidationError(res, '"sort.ip" must be one of [1, -1]')
+  })
+
+  lab.test('The API should reply with a 400 error for a page less than 1', async () => {
+    const res = await inject(`/api/1.0/sessions?pagination=${encode({ page: 0, perPage: 10 })}`)
+    expectValidationError(res, '"pagination.page" must be greater than or equal to 1')
+  })
+
+  lab.test('The API should reply with a 400 error if perPage is not a positive integer', async () => {
+    const res = await inject(`/api/1.0/sessions?pagination=${encode({ page: 1, perPage: 2.5 })}`)
+    expectValidationError(res, '"pagination.perPage" must be an integer')
+  })
+
+  lab.test('The API should reply with a 400 error for unknown pagination keys', async () => {
+    const res = await inject(`/api/1.0/sessions?pagination=${encode({ page: 1, pageSize: 10 })}`)
+    expectValidationError(res, '"pagination.pageSize" is not allowed')
+  })
+
+  lab.test('The API should reply with a 400 error if a param is repeated', async () => {
+    const res = await inject('/api/1.0/sessions?columns=ip&columns=session_id')
+    expectValidationError(res, '"columns" must be a string')
+  })
+
+  lab.test('The API should reply with a 400 error for an invalid boolean param', async () => {
+    const res = await inject('/api/1.0/sessions?includeDeleted=yes')
+    expectValidationError(res, '"includeDeleted" must be one of [true, false]')
+  })
+
+  lab.test('The API should validate the query params of update many routes', async () => {
+    const res = await inject({ method: 'PATCH', url: '/api/1.0/sessions?filter=ip', payload: { ip: '127.0.0.1' } })
+    expectValidationError(res, '"filter" must be valid JSON')
+  })
+
+  lab.test('The API should validate the query params of aggregate routes', async () => {
+    const res = await inject(`/api/1.0/sessions/aggregate?aggregates=${encode({ count: '*' })}&having=count`)
+    expectValidationError(res, '"having" must be valid JSON')
+  })
+
+  lab.test('The API should allow other query params for use in the preQuery hook', async () => {
+    const { statusCode } = await inject(`/api/1.0/sessions?sort=${encode({ ip: -1 })}&pagination=${encode({ page: 1, perPage: 5 })}&custom=1`)
+    Code.expect(statusCode).to.equal(200)
+  })
+})
+
+exports.lab = lab
@@ -0,0 +1,150 @@
+const Lab = require('@hapi/lab')
+
+const lab = Lab.script()
+
+const Code = require('@hapi/code')
+const sinon = require('sinon')
+const EventEmitter = require('events')
+const Joi = require('joi')
+const { Pool } = require('pg')
+const server = require('../server.js')
+const config = require('../config.js')
+const pool = require('../db.js')
+const HAPIRestAPI = require('../src/rest-api')
+const Repository = require('../src/repository')
+const { getQueryTimeout, getAbortSignal } = require('../src/query-timeout')
+
+/**
+ * Gets a HAPI request stub with the supplied headers
+ * @param {Object} headers
+ * @return {Object}
+ */
+const getRequest = (headers = {}) => ({ headers, events: new EventEmitter() })
+
+lab.experiment('Test statement timeouts', () => {
+  const repo = new Repository({ connection: pool, table: 'sessions' })
+  let sandbox
+
+  lab.beforeEach(async () => {
+    sandbox = sinon.createSandbox()
+  })
+
+  lab.afterEach(async () => {
+    sandbox.restore()
+  })
+
+  lab.test('The timeout should be set by the config, and capped if set by the header', async () => {
+    const config = { queryTimeout: 5000, maxQueryTimeout: 10000 }
+
+    Code.expect(getQueryTimeout(getRequest(), config)).to.equal(5000)
+    Code.expect(getQueryTimeout(getRequest({ 'query-timeout': '8000' }), config)).to.equal(8000)
+    Code.expect(getQueryTimeout(getRequest({ 'query-timeout': '20000' }), config)).to.equal(10000)
+    Code.expect(getQueryTimeout(getRequest({ 'query-timeout': '8000' }), { queryTimeout: 5000, maxQueryTimeout: null })).to.equal(5000)
+    Code.expect(() => getQueryTimeout(getRequest({ 'query-timeout': 'x' }), config))
+      .to.throw('Query-Timeout header must be a positive integer number of milliseconds')
+  })
+
+  lab.test('The abort signal should be aborted when the client disconnects', async () => {
+    const request = getRequest()
+    const signal = getAbortSignal(request)
+    Code.expect(signal.aborted).to.equal(false)
+
+    request.events.emit('disconnect')
+    Code.expect(signal.aborted).to.equal(true)
+  })
+
+  lab.test('The repository should cancel a query which exceeds the timeout', async () => {
+    const error = await Code.expect(repo.withQueryOptions({ queryTimeout: 50 }).dbQuery('SELECT pg_sleep(2)')).to.reject()
+
+    Code.expect(error.code).to.equal('57014')
+    Code.expect(error.message).to.equal('canceling statement due to statement timeout')
+  })
+
+  lab.test('The repository should cancel a running query when the signal is aborted, when the pool has no idle clients', async () => {
+    // The query uses the only client in the pool, so the cancel can't be sent from the pool
+    const exhaustedPool = new Pool({ ...config.pg, max: 1 })
+    const controller = new AbortController()
+    const promise = new Repository({ connection: exhaustedPool, table: 'sessions' })
+      .withQueryOptions({ queryTimeout: 5000, abortSignal: controller.signal })
+      .dbQuery('SELECT pg_sleep(2)')
+    setTimeout(() => controller.abort(), 100)
+
+    const error = await Code.expect(promise).to.reject()
+    Code.expect(error.code).to.equal('57014')
+    Code.expect(error.message).to.equal('canceling statement due to user request')
+    await exhaustedPool.end()
+  })
+
+  lab.test('The repository should not run a query if the signal is already aborted', async () => {
+    const controller = new AbortController()
+    controller.abort()
+    const query = sandbox.spy(pool.Client.prototype, 'query')
+
+    const error = await Code.expect(repo.withQueryOptions({ queryTimeout: 5000, abortSignal: controller.signal }).dbQuery('SELECT 1')).to.reject()
+    Code.expect(error.name).to.equal('AbortError')
+    Code.expect(query.callCount).to.equal(0)
+  })
+
+  lab.test('The repository should run queries within the timeout', async () => {
+    const { rows } = await repo.withQueryOptions({ queryTimeout: 5000 }).dbQuery('SELECT 1 AS value')
+    Code.expect(rows).to.equal([{ value: 1 }])
+  })
+
+  lab.test('The repository should set the timeout without a transaction, and reset it for the next query', async () => {
+    const transaction = sandbox.spy(Repository.prototype, 'transaction')
+    const { rows } = await repo.withQueryOptions({ queryTimeout: 1234 }).dbQuery('SHOW statement_timeout')
+    Code.expect(rows).to.equal([{ statement_timeout: '1234ms' }])
+    Code.expect(transaction.callCount).to.equal(0)
+
+    // The pool reuses the most recently released client
+    const { rows: [next] } = await pool.query('SHOW statement_timeout')
+    Code.expect(next.statement_timeout).to.equal('0')
+  })
+
+  lab.test('The API should run queries with the timeout from the request header', async () => {
+    const spy = sandbox.spy(Repository.prototype, 'withQueryOptions')
+    const res = await server.inject({
+      method: 'GET',
+      url: '/api/1.0/licence-documents',
+      headers: { 'query-timeout': '20000' }
+    })
+
+    Code.expect(res.statusCode).to.equal(200)
+    Code.expect(spy.firstCall.args[0].queryTimeout).to.equal(10000)
+  })
+
+  lab.test('The API should run queries on the pool without a timeout', async () => {
+    const clientQuery = sandbox.spy(Repository.prototype, 'clientQuery')
+    const res = await server.inject({ method: 'GET', url: '/api/1.0/sessions' })
+
+    Code.expect(res.statusCode).to.equal(200)
+    Code.expect(clientQuery.callCount).to.equal(0)
+  })
+
+  lab.test('The API should reply with a 504 error if a query is cancelled', async () => {
+    const error = new Error('canceling statement due to statement timeout')
+    error.code = '57014'
+    sandbox.stub(Repository.prototype, 'dbQuery').rejects(error)
+
+    const res = await server.inject({ method: 'GET', url: '/api/1.0/licence-documents' })
+    const payload = JSON.parse(res.payload)
+
+    Code.expect(res.statusCode).to.equal(504)
+    Code.expect(payload.error).to.equal({ name: 'DBError', code: '57014', type: 'query_canceled' })
+  })
+
+  lab.test('The API should throw a config error for invalid timeouts', async () => {
+    const createApi = config => () => new HAPIRestAPI({
+      table: 'sessions',
+      connection: pool,
+      primaryKey: 'session_id',
+      endpoint: '/api/1.0/invalid',
+      validation: { session_id: Joi.string() },
+      ...config
+    })
+    Code.expect(createApi({ queryTimeout: 1.5 })).to.throw('queryTimeout must be a positive integer number of milliseconds or null')
+    Code.expect(createApi({ queryTimeout: 5000, maxQueryTimeout: 1000 })).to.throw('queryTimeout cannot exceed maxQueryTimeout')
+  })
+})
+
+exports.lab = lab
@@ -0,0 +1,113 @@
+const Lab = require('@hapi/lab')
+
+const lab = Lab.script()
+
+const Code = require('@hapi/code')
+const sinon = require('sinon')
+const pool = require('../db.js')
+const readPool = require('../db-read.js')
+const Repository = require('../src/repository')
+const { getReadConnection } = require('../src/read-connection')
+const { getRelatedRepository } = require('../src/relations')
+const licencesApi = require('../licences-api.js')
+const documentsApi = require('../documents-api.js')
+const { inject } = require('./lib/server.js')
+
+const name = `read-connection-${Date.now()}`
+
+lab.experiment('Test read connection routing', () => {
+  let sandbox
+  let id
+
+  lab.before(async () => {
+    const { payload } = await inject({ method: 'POST', url: '/api/1.0/softdelete', payload: { name } })
+    id = payload.data.id
+  })
+
+  lab.beforeEach(async () => {
+    sandbox = sinon.createSandbox()
+  })
+
+  lab.afterEach(async () => {
+    sandbox.restore()
+  })
+
+  lab.test('The API should find records using the read connection', async () => {
+    const primary = sandbox.spy(pool, 'query')
+    const replica = sandbox.spy(readPool, 'query')
+
+    const { statusCode, payload } = await inject({ method: 'GET', url: `/api/1.0/softdelete?filter=${JSON.stringify({ name })}` })
+    Code.expect(statusCode).to.equal(200)
+    Code.expect(payload.data.map(row => row.id)).to.equal([id])
+    Code.expect(replica.callCount).to.equal(1)
+    Code.expect(primary.callCount).to.equal(0)
+
+    await inject({ method: 'GET', url: `/api/1.0/softdelete/${id}` })
+    Code.expect(replica.callCount).to.equal(2)
+    Code.expect(primary.callCount).to.equal(0)
+  })
+
+  lab.test('The API should write records using the primary connection', async () => {
+    const primary = sandbox.spy(pool, 'query')
+    const replica = sandbox.spy(readPool, 'query')
+
+    const { statusCode } = await inject({ method: 'PATCH', url: `/api/1.0/softdelete/${id}`, payload: { name } })
+    Code.expect(statusCode).to.equal(200)
+    Code.expect(primary.callCount).to.equal(1)
+    Code.expect(replica.callCount).to.equal(0)
+  })
+
+  lab.test('The API should read from the primary connection if strong consistency is requested', async () => {
+    const primary = sandbox.spy(pool, 'query')
+    const replica = sandbox.spy(readPool, 'query')
+
+    await inject({ method: 'GET', url: `/api/1.0/softdelete/${id}?consistency=strong` })
+    await inject({ method: 'GET', url: `/api/1.0/softdelete/${id}`, headers: { consistency: 'strong' } })
+    Code.expect(primary.callCount).to.equal(2)
+    Code.expect(replica.callCount).to.equal(0)
+
+    const { statusCode } = await inject({ method: 'GET', url: `/api/1.0/softdelete/${id}`, headers: { consistency: 'immediate' } })
+    Code.expect(statusCode).to.equal(400)
+  })
+
+  lab.test('The read connection can be chosen for each request', async () => {
+    const chooseReadConnection = request => request.headers['x-region'] === 'eu' ? readPool : null
+    const request = { method: 'get', query: {}, headers: { 'x-region': 'eu' } }
+
+    Code.expect(getReadConnection(request, { chooseReadConnection })).to.equal(readPool)
+    Code.expect(getReadConnection({ ...request, headers: {} }, { chooseReadConnection })).to.equal(null)
+    Code.expect(getReadConnection({ ...request, method: 'post' }, { chooseReadConnection })).to.equal(null)
+  })
+
+  lab.test('Related records should be loaded with the query options of the request', async () => {
+    const abortSignal = new AbortController().signal
+    const repo = new Repository(licencesApi.config).withQueryOptions({ readConnection: readPool, queryTimeout: 1000, abortSignal })
+
+    const { config } = getRelatedRepository(repo, licencesApi.config.relations.documents)
+    Code.expect(config.table).to.equal('documents_test')
+    Code.expect(config.readConnection).to.equal(readPool)
+    Code.expect(config.queryTimeout).to.equal(1000)
+    Code.expect(config.abortSignal).to.equal(abortSignal)
+
+    const { config: tableConfig } = getRelatedRepository(repo.withQueryOptions({ readConnection: null }), documentsApi.config.relations.licence)
+    Code.expect(tableConfig.table).to.equal('licences_test')
+    Code.expect(tableConfig.readConnection).to.equal(null)
+    Code.expect(tableConfig.queryTimeout).to.equal(1000)
+  })
+
+  lab.test('The repository should use the primary connection in a transaction', async () => {
+    const repo = new Repository({ connection: pool, readConnection: readPool, table: 'softdelete_test', primaryKey: 'id' })
+    const replica = sandbox.spy(readPool, 'query')
+
+    await repo.transaction(async transactionRepo => {
+      const { rows } = await transactionRepo.find({ id }, {}, null, ['id'])
+      Code.expect(rows).to.equal([{ id }])
+    })
+    Code.expect(replica.callCount).to.equal(0)
+
+    await repo.findRowCount({ id })
+    Code.expect(replica.callCount).to.equal(1)
+  })
+})
+
+exports.lab = lab
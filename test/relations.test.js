@@ -0,0 +1,111 @@
+const Lab = require('@hapi/lab')
+
+const lab = Lab.script()
+
+const Code = require('@hapi/code')
+const { inject } = require('./lib/server.js')
+
+const tag = `rel-${Date.now()}`
+
+/**
+ * Creates a record with a POST request
+ * @param {String} url
+ * @param {Object} payload
+ * @return {Promise} resolves with created record
+ */
+const createRecord = async (url, payload) => {
+  const { statusCode, payload: body } = await inject({ method: 'POST', url, payload })
+  Code.expect(statusCode).to.equal(201)
+  return body.data
+}
+
+lab.experiment('Test relations', () => {
+  let licence, otherLicence, documents, orphan
+
+  lab.before(async () => {
+    licence = await createRecord('/api/1.0/licences', { licence_ref: `${tag}-1` })
+    otherLicence = await createRecord('/api/1.0/licences', { licence_ref: `${tag}-2` })
+    documents = [
+      await createRecord('/api/1.0/documents', { licence_id: licence.licence_id, name: `${tag}-a` }),
+      await createRecord('/api/1.0/documents', { licence_id: licence.licence_id, name: `${tag}-b` }),
+      await createRecord('/api/1.0/documents', { licence_id: licence.licence_id, name: `${tag}-deleted` })
+    ]
+    orphan = await createRecord('/api/1.0/documents', { name: `${tag}-orphan` })
+
+    const { statusCode } = await inject({
+      method: 'DELETE',
+      url: `/api/1.0/documents/${documents[2].document_id}`
+    })
+    Code.expect(statusCode).to.equal(200)
+  })
+
+  lab.test('The API should embed hasMany related records, excluding soft deleted records', async () => {
+    const { statusCode, payload } = await inject(`/api/1.0/licences/${licence.licence_id}?include=documents`)
+
+    Code.expect(statusCode).to.equal(200)
+    Code.expect(payload.data.licence_ref).to.equal(`${tag}-1`)
+    Code.expect(payload.data.documents).to.equal([
+      { document_id: documents[0].document_id, name: `${tag}-a` },
+      { document_id: documents[1].document_id, name: `${tag}-b` }
+    ])
+  })
+
+  lab.test('The API should embed an empty array if there are no hasMany related records', async () => {
+    const { payload } = await inject(`/api/1.0/licences/${otherLicence.licence_id}?include=documents`)
+
+    Code.expect(payload.data.documents).to.equal([])
+  })
+
+  lab.test('The API should embed a belongsTo related record', async () => {
+    const { statusCode, payload } = await inject(`/api/1.0/documents/${documents[0].document_id}?include=licence`)
+
+    Code.expect(statusCode).to.equal(200)
+    Code.expect(payload.data.licence).to.equal({
+      licence_id: licence.licence_id,
+      licence_ref: `${tag}-1`
+    })
+  })
+
+  lab.test('The API should embed null if there is no belongsTo related record', async () => {
+    const { payload } = await inject(`/api/1.0/documents/${orphan.document_id}?include=licence`)
+
+    Code.expect(payload.data.licence).to.equal(null)
+  })
+
+  lab.test('The API should not return the keys used to join relations unless requested', async () => {
+    const { payload } = await inject(`/api/1.0/documents/${documents[0].document_id}?include=licence&columns=name`)
+
+    Code.expect(payload.data).to.equal({
+      name: `${tag}-a`,
+      licence: { licence_id: licence.licence_id, licence_ref: `${tag}-1` }
+    })
+  })
+
+  lab.test('The API should embed related records in each record found', async () => {
+    const filter = JSON.stringify({ licence_ref: { $like: `${tag}%` } })
+    const sort = JSON.stringify({ licence_ref: 1 })
+    const { statusCode, payload } = await inject(`/api/1.0/licences?filter=${filter}&sort=${sort}&include=documents&columns=licence_ref`)
+
+    Code.expect(statusCode).to.equal(200)
+    Code.expect(payload.data).to.equal([{
+      licence_ref: `${tag}-1`,
+      documents: [
+        { document_id: documents[0].document_id, name: `${tag}-a` },
+        { document_id: documents[1].document_id, name: `${tag}-b` }
+      ]
+    }, {
+      licence_ref: `${tag}-2`,
+      documents: []
+    }])
+  })
+
+  lab.test('The API should reply with a 400 error for an unknown relation', async () => {
+    const { statusCode, payload } = await inject(`/api/1.0/licences/${licence.licence_id}?include=documents,owner`)
+
+    Code.expect(statusCode).to.equal(400)
+    Code.expect(payload.error.name).to.equal('ValidationError')
+    Code.expect(payload.error.message).to.contain('owner')
+  })
+})
+
+exports.lab = lab
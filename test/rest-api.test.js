@@ -20,7 +20,42 @@ lab.experiment('Test REST API', () => {
     }
   })
 
-  lab.test('The API should return 400 if DB unique constraint error', async () => {
+  lab.test('Throw error if soft delete type is invalid', async () => {
+    const func = () => new RestApi({
+      table: 'sessions',
+      endpoint: '/api/1.0/invalid',
+      validation: {},
+      softDelete: { column: 'date_deleted', type: 'invalid' }
+    })
+    Code.expect(func).to.throw('Soft delete type must be timestamp or boolean')
+  })
+
+  lab.test('Throw error if relation config is invalid', async () => {
+    const createApi = relation => () => new RestApi({
+      table: 'sessions',
+      endpoint: '/api/1.0/invalid',
+      validation: {},
+      relations: { related: relation }
+    })
+    Code.expect(createApi({ type: 'hasOne', api: 'sessions', foreignKey: 'id' })).to.throw('Relation related type must be belongsTo or hasMany')
+    Code.expect(createApi({ type: 'hasMany', foreignKey: 'id' })).to.throw('Relation related requires a table or api')
+    Code.expect(createApi({ type: 'hasMany', api: 'sessions' })).to.throw('Relation related requires a foreignKey')
+    Code.expect(createApi({ type: 'belongsTo', table: 'sessions', foreignKey: 'id' })).to.throw('Relation related requires the referenced column')
+    Code.expect(createApi({ type: 'hasMany', table: 'sessions', foreignKey: 'id', writable: true })).to.throw('Relation related must be a hasMany relation to an api to be writable')
+  })
+
+  lab.test('Throw error if search config is invalid', async () => {
+    const createApi = search => () => new RestApi({
+      table: 'sessions',
+      endpoint: '/api/1.0/invalid',
+      validation: {},
+      search
+    })
+    Code.expect(createApi({ language: 'english' })).to.throw('Search requires columns or a vectorColumn')
+    Code.expect(createApi({ columns: ['ip'], language: "english'" })).to.throw('Search language must be the name of a text search configuration')
+  })
+
+  lab.test('The API should return 409 if DB unique constraint error', async () => {
     sandbox = sinon.sandbox.create()
     const query = sandbox.stub(Db, 'query')
     query.throws({
@@ -37,10 +72,11 @@ lab.experiment('Test REST API', () => {
     }
 
     const res = await server.inject(request)
-    Code.expect(res.statusCode).to.equal(400)
+    Code.expect(res.statusCode).to.equal(409)
 
     const payload = JSON.parse(res.payload)
     Code.expect(payload.error.name).to.equal('DBError')
+    Code.expect(payload.error.type).to.equal('unique_violation')
 
     sandbox.restore()
   })
@@ -92,6 +128,7 @@ lab.experiment('Test REST API', () => {
     Code.expect(Sessions.routes.updateManyRoute.config.payload.maxBytes).to.equal(4096)
     Code.expect(Sessions.routes.schemaDefinitionRoute.config.payload).to.equal(undefined)
     Code.expect(Sessions.routes.deleteManyRoute.config.payload).to.equal(undefined)
+    Code.expect(Sessions.routes.batchRoute.config.payload.maxBytes).to.equal(4096)
   })
 })
 
@@ -0,0 +1,91 @@
+const Lab = require('@hapi/lab')
+
+const lab = Lab.script()
+
+const Code = require('@hapi/code')
+const { inject, expectValidationError } = require('./lib/server.js')
+
+const tag = `search${Date.now()}`
+
+/**
+ * Searches documents created by this test
+ * @param {Object} params - query params
+ * @param {String} [endpoint]
+ * @return {Promise} resolves with {statusCode, payload}
+ */
+const search = (params, endpoint = '/api/1.0/documents') => {
+  const qs = new URLSearchParams({
+    filter: JSON.stringify({ name: { $like: `${tag}%` } }),
+    ...params
+  })
+  return inject(`${endpoint}?${qs}`)
+}
+
+lab.experiment('Test full-text search', () => {
+  lab.before(async () => {
+    for (const name of [`${tag} alpha river`, `${tag} alpha mountains alpha`, `${tag} beta`]) {
+      const { statusCode } = await inject({
+        method: 'POST',
+        url: '/api/1.0/documents',
+        payload: { name }
+      })
+      Code.expect(statusCode).to.equal(201)
+    }
+  })
+
+  lab.test('The API should find records matching the search with their rank', async () => {
+    const { statusCode, payload } = await search({ q: 'alpha', sort: JSON.stringify({ name: 1 }) })
+
+    Code.expect(statusCode).to.equal(200)
+    Code.expect(payload.data.map(row => row.name)).to.equal([`${tag} alpha mountains alpha`, `${tag} alpha river`])
+    Code.expect(payload.data[0]._rank).to.be.a.number()
+    Code.expect(payload.pagination.totalRows).to.equal(2)
+  })
+
+  lab.test('The API should sort records by search rank', async () => {
+    const { payload } = await search({ q: 'alpha', sort: JSON.stringify({ _rank: -1, name: 1 }) })
+
+    Code.expect(payload.data.map(row => row.name)).to.equal([`${tag} alpha mountains alpha`, `${tag} alpha river`])
+    Code.expect(payload.data[0]._rank).to.be.above(payload.data[1]._rank)
+  })
+
+  lab.test('The API should support web search syntax', async () => {
+    const { payload } = await search({ q: 'alpha -river' })
+
+    Code.expect(payload.data.map(row => row.name)).to.equal([`${tag} alpha mountains alpha`])
+  })
+
+  lab.test('The API should match words with the same stem', async () => {
+    const { payload } = await search({ q: 'mountain' })
+
+    Code.expect(payload.data.map(row => row.name)).to.equal([`${tag} alpha mountains alpha`])
+  })
+
+  lab.test('The API should return highlighted snippets of the search columns', async () => {
+    const { payload } = await search({ q: 'river', headline: 'true' })
+
+    Code.expect(payload.data.length).to.equal(1)
+    Code.expect(payload.data[0]._headlines).to.equal({ name: `${tag} alpha [river]` })
+  })
+
+  lab.test('The API should reply with a 400 error when sorting by rank without a search', async () => {
+    const res = await search({ sort: JSON.stringify({ _rank: -1 }) })
+    expectValidationError(res, 'Sorting by _rank requires a search')
+  })
+
+  lab.test('The API should reply with a 400 error when sorting by rank with cursor pagination', async () => {
+    const res = await search({
+      q: 'alpha',
+      sort: JSON.stringify({ _rank: -1 }),
+      pagination: JSON.stringify({ perPage: 10, cursor: null })
+    })
+    expectValidationError(res, 'Sorting by _rank is only supported with page pagination')
+  })
+
+  lab.test('The API should reply with a 400 error when search is not configured', async () => {
+    const res = await search({ q: 'alpha', filter: '{}' }, '/api/1.0/sessions')
+    expectValidationError(res, 'Search is not supported')
+  })
+})
+
+exports.lab = lab
@@ -0,0 +1,147 @@
+const Lab = require('@hapi/lab')
+
+const lab = Lab.script()
+
+const Code = require('@hapi/code')
+const server = require('../server.js')
+
+let id
+
+lab.experiment('Test soft delete', () => {
+  lab.beforeEach(async () => {
+    const res = await server.inject({
+      method: 'POST',
+      url: '/api/1.0/softdelete',
+      payload: {
+        name: 'Soft delete test'
+      }
+    })
+    Code.expect(res.statusCode).to.equal(201)
+    id = JSON.parse(res.payload).data.id
+  })
+
+  lab.test('The API should flag a record as deleted rather than removing it', async () => {
+    const res = await server.inject({
+      method: 'DELETE',
+      url: `/api/1.0/softdelete/${id}`
+    })
+    Code.expect(res.statusCode).to.equal(200)
+    Code.expect(JSON.parse(res.payload).rowCount).to.equal(1)
+
+    // Record is excluded from find one
+    const res2 = await server.inject({
+      method: 'GET',
+      url: `/api/1.0/softdelete/${id}`
+    })
+    Code.expect(res2.statusCode).to.equal(404)
+
+    // Record can be found when deleted records included
+    const res3 = await server.inject({
+      method: 'GET',
+      url: `/api/1.0/softdelete/${id}?includeDeleted=true`,
+      headers: { 'x-include-deleted': 'allow' }
+    })
+    Code.expect(res3.statusCode).to.equal(200)
+    Code.expect(JSON.parse(res3.payload).data.date_deleted).to.be.a.string()
+  })
+
+  lab.test('The API should return 404 when deleting a record already deleted', async () => {
+    const request = {
+      method: 'DELETE',
+      url: `/api/1.0/softdelete/${id}`
+    }
+    await server.inject(request)
+
+    const res = await server.inject(request)
+    Code.expect(res.statusCode).to.equal(404)
+  })
+
+  lab.test('The API should exclude deleted records from lists and bulk updates', async () => {
+    await server.inject({
+      method: 'DELETE',
+      url: `/api/1.0/softdelete?filter=${JSON.stringify({ id })}`
+    })
+
+    const res = await server.inject({
+      method: 'GET',
+      url: `/api/1.0/softdelete?filter=${JSON.stringify({ id })}`
+    })
+    const payload = JSON.parse(res.payload)
+    Code.expect(payload.data).to.equal([])
+    Code.expect(payload.pagination.totalRows).to.equal(0)
+
+    const res2 = await server.inject({
+      method: 'PATCH',
+      url: `/api/1.0/softdelete?filter=${JSON.stringify({ id })}`,
+      payload: { name: 'Updated' }
+    })
+    Code.expect(JSON.parse(res2.payload).rowCount).to.equal(0)
+
+    const res3 = await server.inject({
+      method: 'GET',
+      url: `/api/1.0/softdelete?filter=${JSON.stringify({ id })}&includeDeleted=true`,
+      headers: { 'x-include-deleted': 'allow' }
+    })
+    const payload3 = JSON.parse(res3.payload)
+    Code.expect(payload3.data.length).to.equal(1)
+    Code.expect(payload3.pagination.totalRows).to.equal(1)
+  })
+
+  lab.test('The API should forbid including deleted records without permission', async () => {
+    const res = await server.inject({
+      method: 'GET',
+      url: '/api/1.0/softdelete?includeDeleted=true'
+    })
+    Code.expect(res.statusCode).to.equal(403)
+    Code.expect(JSON.parse(res.payload).error.name).to.equal('ForbiddenError')
+  })
+
+  lab.test('The API should restore a deleted record', async () => {
+    await server.inject({
+      method: 'DELETE',
+      url: `/api/1.0/softdelete/${id}`
+    })
+
+    const res = await server.inject({
+      method: 'POST',
+      url: `/api/1.0/softdelete/${id}/restore`
+    })
+    Code.expect(res.statusCode).to.equal(200)
+
+    const payload = JSON.parse(res.payload)
+    Code.expect(payload.data.date_deleted).to.equal(null)
+    Code.expect(payload.rowCount).to.equal(1)
+
+    const res2 = await server.inject({
+      method: 'GET',
+      url: `/api/1.0/softdelete/${id}`
+    })
+    Code.expect(res2.statusCode).to.equal(200)
+  })
+
+  lab.test('The API should return 404 when restoring a record not deleted', async () => {
+    const res = await server.inject({
+      method: 'POST',
+      url: `/api/1.0/softdelete/${id}/restore`
+    })
+    Code.expect(res.statusCode).to.equal(404)
+    Code.expect(JSON.parse(res.payload).error.name).to.equal('NotFoundError')
+  })
+
+  lab.test('The API should reject an invalid ID when restoring', async () => {
+    const res = await server.inject({
+      method: 'POST',
+      url: '/api/1.0/softdelete/invalid/restore'
+    })
+    Code.expect(res.statusCode).to.equal(400)
+  })
+
+  lab.test('The API should only create a restore route when soft delete is configured', async () => {
+    const SoftDeleteApi = require('../soft-delete-api.js')
+    const Sessions = require('../sessions-api.js')
+    Code.expect(SoftDeleteApi.restoreOneRoute).to.be.a.function()
+    Code.expect(Sessions.restoreOneRoute).to.equal(undefined)
+  })
+})
+
+exports.lab = lab
@@ -0,0 +1,155 @@
+const Lab = require('@hapi/lab')
+
+const lab = Lab.script()
+
+const Code = require('@hapi/code')
+const Joi = require('joi')
+const uuidV4 = require('uuid/v4')
+const pool = require('../db.js')
+const { inject, createServer } = require('./lib/server.js')
+
+const tag = `update-each-${Date.now()}`
+
+/**
+ * Patches a list of records
+ * @param {String} url
+ * @param {Array} payload - list of {id, ...changes}
+ * @return {Promise} resolves with {statusCode, payload}
+ */
+const patch = (url, payload) => inject({ method: 'PATCH', url, payload })
+
+lab.experiment('Test bulk update with values per record', () => {
+  const ids = []
+
+  lab.before(async () => {
+    for (const ip of ['10.0.0.1', '10.0.0.2']) {
+      const { payload } = await inject({
+        method: 'POST',
+        url: '/api/1.0/sessions',
+        payload: { ip, session_data: JSON.stringify({ tag }) }
+      })
+      ids.push(payload.data.session_id)
+    }
+  })
+
+  lab.test('The API should update each record with its own values and report records not found', async () => {
+    const missingId = uuidV4()
+    const { statusCode, payload } = await patch('/api/1.0/sessions?columns=session_id,ip,date_updated', [
+      { id: ids[0], ip: '10.0.1.1' },
+      { id: missingId, ip: '10.0.1.2' },
+      { id: ids[1], ip: '10.0.1.3' }
+    ])
+
+    Code.expect(statusCode).to.equal(200)
+    Code.expect(payload.rowCount).to.equal(2)
+    Code.expect(payload.notFound).to.equal([missingId])
+    Code.expect(payload.data.map(row => [row.session_id, row.ip])).to.equal([[ids[0], '10.0.1.1'], [ids[1], '10.0.1.3']])
+    Code.expect(payload.data[0].date_updated).to.not.equal(null)
+  })
+
+  lab.test('The API should only update records matching the filter', async () => {
+    const filter = JSON.stringify({ ip: '10.0.1.1' })
+    const { payload } = await patch(`/api/1.0/sessions?filter=${filter}`, [
+      { id: ids[0], session_data: JSON.stringify({ tag, filtered: true }) },
+      { id: ids[1], session_data: JSON.stringify({ tag, filtered: true }) }
+    ])
+
+    Code.expect(payload.rowCount).to.equal(1)
+    Code.expect(payload.notFound).to.equal([ids[1]])
+  })
+
+  lab.test('The API should reply with a 400 error and the index of an invalid record', async () => {
+    const { statusCode, payload } = await patch('/api/1.0/sessions', [
+      { id: ids[0], ip: '10.0.2.1' },
+      { id: ids[1], ip: 123 }
+    ])
+
+    Code.expect(statusCode).to.equal(400)
+    Code.expect(payload.error.name).to.equal('ValidationError')
+    Code.expect(payload.error.message).to.equal('ValidationError: [1]: "ip" must be a string')
+    Code.expect(payload.error.index).to.equal(1)
+
+    const { payload: found } = await inject(`/api/1.0/sessions/${ids[0]}`)
+    Code.expect(found.data.ip).to.equal('10.0.1.1')
+  })
+
+  lab.test('The API should reply with a 400 error if a record has no id or changes its primary key', async () => {
+    const { payload: noId } = await patch('/api/1.0/sessions', [{ ip: '10.0.2.1' }])
+    Code.expect(noId.error.message).to.equal('ValidationError: [0]: Primary key column session_id is required')
+
+    const { payload: keyChange } = await patch('/api/1.0/sessions', [{ id: ids[0], session_id: uuidV4() }])
+    Code.expect(keyChange.error.message).to.equal('ValidationError: [0]: "session_id" is not allowed')
+
+    const { payload: empty } = await patch('/api/1.0/sessions', [])
+    Code.expect(empty.error.message).to.equal('ValidationError: Payload must contain at least one record')
+  })
+
+  lab.test('The API should reply with a 400 error if a record has no changes', async () => {
+    const { statusCode, payload } = await patch('/api/1.0/numericpk', [{ id: 1 }])
+
+    Code.expect(statusCode).to.equal(400)
+    Code.expect(payload.error.message).to.equal('ValidationError: [0]: no changes')
+    Code.expect(payload.error.index).to.equal(0)
+  })
+
+  lab.test('The API should update records with a composite key', async () => {
+    const licenceId = -Date.now()
+    await inject({
+      method: 'POST',
+      url: '/api/1.0/licence-documents',
+      payload: [{ licence_id: licenceId, document_id: 1 }, { licence_id: licenceId, document_id: 2 }]
+    })
+
+    const { payload } = await patch('/api/1.0/licence-documents', [
+      { id: { licence_id: licenceId, document_id: 1 }, role: 'primary' },
+      { id: { licence_id: licenceId, document_id: 2 }, role: 'secondary' }
+    ])
+
+    Code.expect(payload.data.map(row => row.role)).to.equal(['primary', 'secondary'])
+  })
+
+  lab.experiment('With a preQuery hook scoping the records to a licence', () => {
+    const licenceId = -Date.now() - 1
+    const otherLicenceId = licenceId - 1
+    const { server: scopedServer } = createServer({
+      table: 'licence_documents_test',
+      name: `${tag}-scoped`,
+      primaryKey: ['licence_id', 'document_id'],
+      endpoint: '/api/1.0/scoped-licence-documents',
+      preQuery: query => ({ ...query, filter: { ...query.filter, licence_id: licenceId } }),
+      validation: {
+        licence_id: Joi.number().integer(),
+        document_id: Joi.number().integer(),
+        role: Joi.string()
+      }
+    })
+
+    lab.before(async () => {
+      await inject({
+        method: 'POST',
+        url: '/api/1.0/licence-documents',
+        payload: [{ licence_id: licenceId, document_id: 1 }, { licence_id: otherLicenceId, document_id: 1 }]
+      })
+    })
+
+    lab.test('The API should not update records outside the scope when the key is in another scope', async () => {
+      const { statusCode, payload } = await inject({
+        method: 'PATCH',
+        url: '/api/1.0/scoped-licence-documents',
+        payload: [
+          { id: { licence_id: licenceId, document_id: 1 }, role: 'scoped' },
+          { id: { licence_id: otherLicenceId, document_id: 1 }, role: 'scoped' }
+        ]
+      }, scopedServer)
+
+      Code.expect(statusCode).to.equal(200)
+      Code.expect(payload.rowCount).to.equal(1)
+      Code.expect(payload.notFound).to.equal([{ licence_id: otherLicenceId, document_id: 1 }])
+
+      const { rows } = await pool.query('SELECT role FROM licence_documents_test WHERE licence_id = $1', [otherLicenceId])
+      Code.expect(rows).to.equal([{ role: null }])
+    })
+  })
+})
+
+exports.lab = lab
@@ -0,0 +1,90 @@
+const Lab = require('@hapi/lab')
+
+const lab = Lab.script()
+
+const Code = require('@hapi/code')
+const { inject } = require('./lib/server.js')
+
+// Unique IDs for this test run, negative so they don't clash with other tests
+const id = -Date.now()
+
+/**
+ * Posts records to the numeric PK API
+ * @param {Object|Array} payload
+ * @param {String} [qs] - query string
+ * @return {Promise} resolves with {statusCode, payload}
+ */
+const post = (payload, qs = '') => inject({
+  method: 'POST',
+  url: `/api/1.0/numericpk${qs}`,
+  payload
+})
+
+lab.experiment('Test per-request upsert', () => {
+  lab.before(async () => {
+    const { statusCode } = await post({ id, name: 'original' })
+    Code.expect(statusCode).to.equal(201)
+  })
+
+  lab.test('The API should reply with a DB error for a conflict if onConflict is not set', async () => {
+    const { statusCode, payload } = await post({ id, name: 'duplicate' })
+
+    Code.expect(statusCode).to.equal(409)
+    Code.expect(payload.error.type).to.equal('unique_violation')
+  })
+
+  lab.test('The API should update conflicting records and report the action for each row', async () => {
+    const { statusCode, payload } = await post([
+      { id, name: 'updated' },
+      { id: id - 1, name: 'inserted' }
+    ], '?onConflict=id')
+
+    Code.expect(statusCode).to.equal(201)
+    Code.expect(payload.data).to.equal([
+      { id: `${id}`, name: 'updated', _action: 'updated' },
+      { id: `${id - 1}`, name: 'inserted', _action: 'inserted' }
+    ])
+  })
+
+  lab.test('The API should ignore conflicting records in ignore mode', async () => {
+    const { statusCode, payload } = await post([
+      { id, name: 'ignored' },
+      { id: id - 2, name: 'inserted' }
+    ], '?onConflict=id&mode=ignore&columns=id')
+
+    Code.expect(statusCode).to.equal(201)
+    Code.expect(payload.data).to.equal({ id: `${id - 2}`, _action: 'inserted' })
+
+    const { payload: found } = await inject(`/api/1.0/numericpk/${id}`)
+    Code.expect(found.data.name).to.equal('updated')
+  })
+
+  lab.test('The API should reply with a 400 error for a conflict target which is not allowed', async () => {
+    const { statusCode, payload } = await post({ id, name: 'x' }, '?onConflict=name')
+
+    Code.expect(statusCode).to.equal(400)
+    Code.expect(payload.error.message).to.equal('ValidationError: Upsert on conflict with name is not allowed')
+  })
+
+  lab.test('The API should reply with a 400 error for an invalid mode', async () => {
+    const { statusCode: modeStatusCode } = await post({ id, name: 'x' }, '?onConflict=id&mode=replace')
+    Code.expect(modeStatusCode).to.equal(400)
+
+    const { statusCode, payload } = await post({ id, name: 'x' }, '?mode=ignore')
+    Code.expect(statusCode).to.equal(400)
+    Code.expect(payload.error.message).to.contain('"mode" missing required peer "onConflict"')
+  })
+
+  lab.test('The API should override the upsert config with the request', async () => {
+    const licenceId = Date.now()
+    const url = '/api/1.0/licence-documents?onConflict=licence_id,document_id&mode=ignore'
+    const payload = { licence_id: licenceId, document_id: 200, role: 'first' }
+    await inject({ method: 'POST', url, payload })
+    const res = await inject({ method: 'POST', url, payload: { ...payload, role: 'second' } })
+
+    Code.expect(res.statusCode).to.equal(201)
+    Code.expect(res.payload.data).to.equal([])
+  })
+})
+
+exports.lab = lab